@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for the price checker.
+ *
+ * Every command prints a table by default, or `--json` / `--csv` for
+ * scripts. Results go to stdout; the library logs nothing unless `--verbose`,
+ * which sends its debug log to stderr. Exit codes are listed in USAGE.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    OptimizedSolanaTokenPriceChecker,
+    ConfigError,
+    checkTokenPrice,
+    networkDiagnostic
+} = require('./index');
+const { mapWithConcurrency, summarizeBatch } = require('./lib/batch');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_PARTIAL = 3;
+
+const BOOLEAN_FLAGS = ['json', 'csv', 'help', 'verbose'];
+const VALUE_FLAGS = ['amount', 'quote', 'interval', 'count', 'concurrency'];
+const MINT_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const USAGE = `Usage: solana-price <command> [options]
+
+Commands:
+  price <mint|symbol>     Price a token        [--amount 1] [--quote USDC]
+  batch <file>            Price every token in a file: JSON array of
+                          { contractAddress, amount } or lines of "mint[,amount]"
+                                               [--quote USDC] [--concurrency N]
+  search <query>          Search the token list by name or symbol
+  info <mint|symbol>      Token metadata
+  diag                    Check the configured endpoints
+  watch <mints...>        Refreshing price view [--interval 10] [--count N]
+                                               [--amount 1] [--quote USDC]
+
+Options:
+  --json                  JSON output (NDJSON per refresh for watch)
+  --csv                   CSV output
+  --verbose               Library logs on stderr
+  --help                  Show this help
+
+Exit codes:
+  0 success, 1 failure, 2 usage or configuration error,
+  3 batch finished with some tokens unpriced`;
+
+class UsageError extends Error {}
+
+/**
+ * Split argv into a command, positional args and flags
+ * (`--flag value` or `--flag=value`)
+ */
+function parseArgs(argv) {
+    const flags = {};
+    const positional = [];
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = true;
+        } else if (VALUE_FLAGS.includes(name)) {
+            const value = inlineValue ?? argv[++index];
+            if (value === undefined) throw new UsageError(`--${name} needs a value`);
+            flags[name] = value;
+        } else {
+            throw new UsageError(`Unknown option --${name}`);
+        }
+    }
+
+    if (flags.json && flags.csv) {
+        throw new UsageError('Use either --json or --csv, not both');
+    }
+
+    return {
+        command: positional[0],
+        args: positional.slice(1),
+        flags,
+        format: flags.json ? 'json' : flags.csv ? 'csv' : 'table'
+    };
+}
+
+function positiveNumber(value, name, integer = false) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+        throw new UsageError(`--${name} must be a positive ${integer ? 'integer' : 'number'}`);
+    }
+    return number;
+}
+
+// ================================
+// OUTPUT
+// ================================
+
+function formatCell(value) {
+    if (value === null || value === undefined) return '';
+    return String(value);
+}
+
+function formatTable(rows, columns) {
+    const widths = columns.map(column => Math.max(
+        column.label.length,
+        ...rows.map(row => formatCell(row[column.key]).length)
+    ));
+    const line = cells => cells
+        .map((cell, index) => (columns[index].align === 'right' ? cell.padStart(widths[index]) : cell.padEnd(widths[index])))
+        .join('  ')
+        .trimEnd();
+
+    return [
+        line(columns.map(column => column.label)),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(row => line(columns.map(column => formatCell(row[column.key]))))
+    ].join('\n');
+}
+
+function csvField(value) {
+    const text = formatCell(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows, columns, header = true) {
+    const lines = rows.map(row => columns.map(column => csvField(row[column.key])).join(','));
+    return (header ? [columns.map(column => column.key).join(','), ...lines] : lines).join('\n');
+}
+
+/**
+ * Print rows as a table or CSV, or `json` (defaulting to the rows) as JSON
+ */
+function render(io, format, rows, columns, json = rows) {
+    if (format === 'json') {
+        io.print(JSON.stringify(json, null, 2));
+    } else if (format === 'csv') {
+        io.print(formatCsv(rows, columns));
+    } else {
+        io.print(formatTable(rows, columns));
+    }
+}
+
+const PRICE_COLUMNS = [
+    { key: 'symbol', label: 'Symbol' },
+    { key: 'amount', label: 'Amount', align: 'right' },
+    { key: 'price', label: 'Price', align: 'right' },
+    { key: 'value', label: 'Value', align: 'right' },
+    { key: 'quote', label: 'Quote' },
+    { key: 'method', label: 'Method' },
+    { key: 'confidence', label: 'Confidence' },
+    { key: 'address', label: 'Address' },
+    { key: 'error', label: 'Error' }
+];
+
+function priceRow(result, address) {
+    if (!result.success) {
+        return { symbol: null, address, error: result.error };
+    }
+    const { pricing } = result;
+    return {
+        symbol: result.token.symbol,
+        address: result.token.address,
+        amount: pricing.amountExact ?? pricing.amount,
+        price: pricing.pricePerTokenExact ?? pricing.pricePerToken,
+        value: pricing.totalValueExact ?? pricing.totalValue,
+        quote: pricing.quote.code,
+        method: pricing.method,
+        confidence: pricing.confidence,
+        error: null
+    };
+}
+
+// ================================
+// COMMANDS
+// ================================
+
+/**
+ * Mint address for a mint or a symbol from the token list
+ */
+async function resolveToken(checker, input) {
+    if (MINT_PATTERN.test(input)) return input;
+
+    await checker.fetchAllJupiterTokens();
+    const resolved = await checker.resolveQuote(input).catch(() => null);
+    if (!resolved || resolved.type !== 'mint') {
+        throw new Error(`Unknown token: ${input}`);
+    }
+    return resolved.mint;
+}
+
+async function priceCommand(checker, { args, flags, format }, io) {
+    if (args.length !== 1) throw new UsageError('price needs exactly one mint or symbol');
+    const amount = flags.amount !== undefined ? positiveNumber(flags.amount, 'amount') : 1;
+    const mint = await resolveToken(checker, args[0]);
+
+    if (format === 'table') {
+        const result = await checkTokenPrice(mint, amount, { checker, quote: flags.quote, log: io.print });
+        return result.success ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    const result = await checker.getTokenPrice(mint, amount, { quote: flags.quote });
+    render(io, format, [priceRow(result, mint)], PRICE_COLUMNS, result);
+    return result.success ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * Batch file entries: a JSON array (strings or objects) or one
+ * "mint[,amount]" per line, with blank lines and # comments skipped
+ */
+async function readBatchFile(file) {
+    const text = await fs.readFile(file, 'utf8');
+
+    if (path.extname(file).toLowerCase() === '.json' || /^\s*\[/.test(text)) {
+        const parsed = JSON.parse(text);
+        if (!Array.isArray(parsed)) throw new UsageError(`${file} must contain a JSON array`);
+        return parsed.map(entry => (typeof entry === 'string'
+            ? { token: entry }
+            : { token: entry.contractAddress || entry.mint || entry.symbol, amount: entry.amount, amountRaw: entry.amountRaw }));
+    }
+
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const [token, amount] = line.split(',').map(part => part.trim());
+            return { token, amount };
+        });
+}
+
+async function batchCommand(checker, { args, flags, format }, io) {
+    if (args.length !== 1) throw new UsageError('batch needs exactly one file');
+    const concurrency = flags.concurrency !== undefined
+        ? positiveNumber(flags.concurrency, 'concurrency', true)
+        : checker.config.get('server.batchConcurrency');
+
+    const tokens = await readBatchFile(args[0]);
+    if (tokens.length === 0) throw new UsageError(`${args[0]} lists no tokens`);
+
+    const quote = await checker.resolveQuote(flags.quote);
+    const shared = new Map();
+    const startedAt = Date.now();
+
+    const entries = await mapWithConcurrency(tokens, concurrency, async ({ token, amount, amountRaw }, index) => {
+        const tokenStart = Date.now();
+        let result;
+        let contractAddress = token;
+        try {
+            contractAddress = await resolveToken(checker, String(token ?? ''));
+            result = await checker.getTokenPrice(contractAddress, Number(amount) || 1, { quote: flags.quote, amountRaw, shared });
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+        return { index, contractAddress, result, latencyMs: Date.now() - tokenStart };
+    });
+
+    const summary = summarizeBatch(entries, Date.now() - startedAt, checker.describeQuote(quote));
+    const rows = entries.map(entry => priceRow(entry.result, entry.contractAddress));
+    render(io, format, rows, PRICE_COLUMNS, { results: entries.map(entry => entry.result), summary });
+
+    if (format === 'table') {
+        io.print(`\n${summary.successfulPrices}/${summary.totalTokens} priced, total ${summary.totalValueExact ?? summary.totalValue} ${quote.code} in ${summary.durationMs}ms`);
+    }
+
+    if (summary.successfulPrices === 0) return EXIT_FAILURE;
+    return summary.failedPrices > 0 ? EXIT_PARTIAL : EXIT_OK;
+}
+
+async function searchCommand(checker, { args, format }, io) {
+    if (args.length === 0) throw new UsageError('search needs a query');
+    const tokens = await checker.searchTokens(args.join(' '));
+
+    render(io, format, tokens, [
+        { key: 'symbol', label: 'Symbol' },
+        { key: 'name', label: 'Name' },
+        { key: 'decimals', label: 'Decimals', align: 'right' },
+        { key: 'address', label: 'Address' }
+    ]);
+    return tokens.length > 0 ? EXIT_OK : EXIT_FAILURE;
+}
+
+async function infoCommand(checker, { args, format }, io) {
+    if (args.length !== 1) throw new UsageError('info needs exactly one mint or symbol');
+    const mint = await resolveToken(checker, args[0]);
+    const info = await checker.getTokenInfo(mint);
+    const found = info.source !== 'fallback';
+
+    const fields = ['address', 'name', 'symbol', 'decimals', 'tokenProgram', 'uri', 'logoURI', 'source'];
+    render(io, format,
+        fields.filter(field => info[field] !== undefined).map(field => ({ field, value: info[field] })),
+        [{ key: 'field', label: 'Field' }, { key: 'value', label: 'Value' }],
+        { found, ...info });
+    return found ? EXIT_OK : EXIT_FAILURE;
+}
+
+async function diagCommand(checker, { format }, io) {
+    const results = await networkDiagnostic({ checker, log: () => {} });
+
+    render(io, format, results, [
+        { key: 'endpoint', label: 'Endpoint' },
+        { key: 'reachable', label: 'Reachable' },
+        { key: 'status', label: 'Status', align: 'right' },
+        { key: 'durationMs', label: 'ms', align: 'right' },
+        { key: 'error', label: 'Error' }
+    ], {
+        configFile: checker.config.file,
+        endpoints: results,
+        providers: checker.getProviderHealth()
+    });
+    return results.every(result => result.reachable) ? EXIT_OK : EXIT_FAILURE;
+}
+
+const WATCH_COLUMNS = [
+    { key: 'symbol', label: 'Symbol' },
+    { key: 'price', label: 'Price', align: 'right' },
+    { key: 'changePct', label: 'Change %', align: 'right' },
+    { key: 'quote', label: 'Quote' },
+    { key: 'confidence', label: 'Confidence' },
+    { key: 'address', label: 'Address' },
+    { key: 'error', label: 'Error' }
+];
+
+/**
+ * Re-price `mints` every --interval seconds until Ctrl+C (or --count
+ * refreshes). Change is measured from the first successful price.
+ */
+async function watchCommand(checker, { args, flags, format }, io) {
+    if (args.length === 0) throw new UsageError('watch needs at least one mint or symbol');
+    const intervalMs = (flags.interval !== undefined ? positiveNumber(flags.interval, 'interval') : 10) * 1000;
+    const count = flags.count !== undefined ? positiveNumber(flags.count, 'count', true) : Infinity;
+    const amount = flags.amount !== undefined ? positiveNumber(flags.amount, 'amount') : 1;
+    const mints = await Promise.all(args.map(arg => resolveToken(checker, arg)));
+
+    let stopped = false;
+    let wake = null;
+    const stop = () => {
+        stopped = true;
+        if (wake) wake();
+    };
+    process.once('SIGINT', stop);
+
+    const baseline = new Map();
+    let lastExit = EXIT_OK;
+
+    try {
+        for (let tick = 1; tick <= count && !stopped; tick++) {
+            const results = await mapWithConcurrency(mints, mints.length, mint => checker.getTokenPrice(mint, amount, { quote: flags.quote, noCache: true }));
+            const timestamp = new Date().toISOString();
+
+            const rows = results.map((result, index) => {
+                const row = priceRow(result, mints[index]);
+                if (result.success) {
+                    if (!baseline.has(mints[index])) baseline.set(mints[index], result.pricing.pricePerToken);
+                    const first = baseline.get(mints[index]);
+                    row.changePct = first ? ((result.pricing.pricePerToken - first) / first * 100).toFixed(2) : null;
+                }
+                return { timestamp, ...row };
+            });
+
+            if (format === 'json') {
+                io.print(JSON.stringify({ timestamp, results: rows }));
+            } else if (format === 'csv') {
+                io.print(formatCsv(rows, [{ key: 'timestamp' }, ...WATCH_COLUMNS], tick === 1));
+            } else {
+                if (io.isTTY) io.write('\x1b[2J\x1b[H');
+                io.print(`Watching ${mints.length} token(s) every ${intervalMs / 1000}s - ${timestamp} (Ctrl+C to stop)\n`);
+                io.print(formatTable(rows, WATCH_COLUMNS));
+                if (!io.isTTY) io.print('');
+            }
+
+            lastExit = results.some(result => result.success) ? EXIT_OK : EXIT_FAILURE;
+            if (tick < count && !stopped) {
+                await new Promise(resolve => {
+                    wake = resolve;
+                    setTimeout(resolve, intervalMs);
+                });
+            }
+        }
+    } finally {
+        process.removeListener('SIGINT', stop);
+    }
+
+    return lastExit;
+}
+
+const COMMANDS = {
+    price: priceCommand,
+    batch: batchCommand,
+    search: searchCommand,
+    info: infoCommand,
+    diag: diagCommand,
+    watch: watchCommand
+};
+
+/**
+ * Run the CLI with `argv` (without node and script) and resolve to the exit code
+ */
+async function main(argv, io = {
+    print: line => process.stdout.write(`${line}\n`),
+    write: text => process.stdout.write(text),
+    error: line => process.stderr.write(`${line}\n`),
+    isTTY: Boolean(process.stdout.isTTY)
+}) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        io.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    if (parsed.flags.help || !parsed.command || parsed.command === 'help') {
+        io.print(USAGE);
+        return parsed.command || parsed.flags.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    const command = COMMANDS[parsed.command];
+    if (!command) {
+        io.error(`Unknown command: ${parsed.command}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        // The library is silent by default; --verbose shows its logs on stderr, away from results
+        const checker = new OptimizedSolanaTokenPriceChecker({
+            logger: parsed.flags.verbose ? { level: 'debug', write: line => io.error(line) } : null
+        });
+        if (parsed.command !== 'diag') {
+            await checker.initialize();
+        }
+        return await command(checker, parsed, io);
+    } catch (error) {
+        io.error(`❌ ${error.message}`);
+        return error instanceof UsageError || error instanceof ConfigError ? EXIT_USAGE : EXIT_FAILURE;
+    }
+}
+
+module.exports = {
+    EXIT_OK,
+    EXIT_FAILURE,
+    EXIT_USAGE,
+    EXIT_PARTIAL,
+    parseArgs,
+    main
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
@@ -1,54 +1,408 @@
 const axios = require('axios');
 const fs = require('fs').promises;
+const priceProviders = require('./lib/providers');
+const pools = require('./lib/pools');
+const { USDC_MINT, SOL_MINT, USDT_MINT } = require('./lib/constants');
+const { PriceCache } = require('./lib/priceCache');
+const depth = require('./lib/depth');
+const { PriceHistory } = require('./lib/history');
+const { FxRates } = require('./lib/fx');
+const { EndpointPool, CIRCUIT_OPEN, redactUrl } = require('./lib/endpointPool');
+const { Config, ConfigError } = require('./lib/config');
+const { Logger, createLogger, getRequestContext } = require('./lib/logger');
+const { MetricsRegistry } = require('./lib/metrics');
+const wallet = require('./lib/wallet');
+const metadata = require('./lib/metadata');
+const risk = require('./lib/risk');
+const consensus = require('./lib/consensus');
+const { describeRoute } = require('./lib/route');
+const amounts = require('./lib/amounts');
+const errors = require('./lib/errors');
 
-// Enhanced constants with backup endpoints
-const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
-const SOL_MINT = 'So11111111111111111111111111111111111111112';
-const CACHE_FILE = 'token_cache.json';
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+const {
+    toBaseUnits,
+    fromBaseUnits,
+    parseBaseUnits,
+    priceFromBaseUnits,
+    valueAtPrice,
+    scaleDecimal,
+    quoteFromBaseUnits
+} = amounts;
+
+const { PriceProvider, createDefaultProviders } = priceProviders;
+const { PriceError, toPriceError, combineErrors, failureResult } = errors;
+
+// Quote currencies accepted by symbol without a token list lookup
+const QUOTE_ALIASES = {
+    USDC: USDC_MINT,
+    SOL: SOL_MINT,
+    WSOL: SOL_MINT,
+    USDT: USDT_MINT
+};
+const USDC_QUOTE = { type: 'mint', code: 'USDC', symbol: 'USDC', mint: USDC_MINT, decimals: 6 };
+const FIAT_DECIMALS = 6;
+const SWAP_MODES = ['ExactIn', 'ExactOut'];
+const MINT_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+// JSON-RPC errors that mean the node itself is unhealthy (internal error, node behind)
+const RPC_NODE_FAULT_CODES = [-32603, -32005];
+
+/**
+ * Host an axios request went to; the metrics label for upstream calls (no path or credentials)
+ */
+function upstreamHost(config) {
+    try {
+        return new URL(config.url, config.baseURL).host;
+    } catch (error) {
+        return 'unknown';
+    }
+}
 
 class OptimizedSolanaTokenPriceChecker {
-    constructor() {
+    constructor(options = {}) {
+        // Settings from defaults, config file and environment (see lib/config.js);
+        // `options.config` is a loaded Config or an object of overrides
+        this.config = options.config instanceof Config
+            ? options.config
+            : Config.load({ overrides: options.config });
+        const config = this.config;
+        // A Logger or its options; silent by default so embedding the checker logs nothing
+        this.logger = createLogger(options.logger);
+        const urlOf = entry => (typeof entry === 'string' ? entry : entry.url);
+
         // Multiple API endpoints for redundancy
         this.apiEndpoints = {
-            // Jupiter Price API (primary)
-            jupiterPrice: 'https://price.jup.ag/v4',
-            // Jupiter Quote API (fallback 1)
-            jupiterQuote: 'https://quote-api.jup.ag/v6',
-            // Jupiter Tokens API
-            jupiterTokens: 'https://token.jup.ag/all',
-            // Backup RPC endpoints
-            solanaRpc: [
-                'https://api.mainnet-beta.solana.com',
-                'https://rpc.ankr.com/solana',
-                'https://solana-api.projectserum.com'
-            ]
+            jupiterPrice: config.get('endpoints.jupiterPrice'),
+            jupiterQuote: urlOf(config.get('endpoints.jupiterQuote')[0]),
+            jupiterTokens: urlOf(config.get('endpoints.jupiterTokens')[0]),
+            solanaRpc: config.get('endpoints.solanaRpc').map(urlOf)
         };
-        
+
+        // Health-scored pools over the configured endpoints. `options.endpoints`
+        // replaces a list with urls or `{ url, name, headers, rateLimitPerSecond }`
+        // entries; `options.endpointPool` tunes the circuit breakers.
+        const endpointLists = {
+            solanaRpc: config.get('endpoints.solanaRpc'),
+            jupiterQuote: config.get('endpoints.jupiterQuote'),
+            jupiterTokens: config.get('endpoints.jupiterTokens'),
+            ...options.endpoints
+        };
+        this.endpointPools = {};
+        for (const [name, list] of Object.entries(endpointLists)) {
+            this.endpointPools[name] = new EndpointPool(name, [].concat(list), {
+                ...config.get('endpointPool'),
+                logger: this.logger,
+                ...options.endpointPool
+            });
+        }
+
         this.tokenCache = new Map();
-        this.priceCache = new Map();
+        this.riskCache = new Map();
+        this.priceCache = new PriceCache({
+            freshMs: config.get('cache.priceFreshMs'),
+            staleMs: config.get('cache.priceStaleMs'),
+            ...options.priceCache
+        });
+
+        // Optional observation history: true, a PriceHistory config object or an instance
+        this.history = null;
+        if (options.history instanceof PriceHistory) {
+            this.history = options.history;
+        } else if (options.history) {
+            this.history = new PriceHistory({
+                file: config.get('history.file'),
+                retentionMs: config.get('history.retentionMs'),
+                logger: this.logger,
+                ...(options.history === true ? {} : options.history)
+            });
+        }
         this.allTokens = null;
         this.lastTokenFetch = null;
-        this.currentRpcIndex = 0;
+
+        // Fiat quotes: a FxRates instance or its config
+        this.fx = options.fx instanceof FxRates
+            ? options.fx
+            : new FxRates({ file: config.get('fx.file'), maxAgeMs: config.get('fx.maxAgeMs'), logger: this.logger, ...options.fx });
+
+        // On-chain metadata lookup; `offChain` also fetches the image from the metadata URI
+        this.metadataOptions = { offChain: false, timeoutMs: 3000, ...options.metadata };
         
         // Enhanced axios instance with retry logic
         this.axiosInstance = axios.create({
-            timeout: 15000,
+            timeout: config.get('http.timeoutMs'),
             headers: {
-                'User-Agent': 'SolanaTokenChecker/1.0',
+                'User-Agent': config.get('http.userAgent'),
                 'Accept': 'application/json',
                 'Content-Type': 'application/json'
             }
         });
         
+        // Metrics first: their interceptors must see every attempt, including retries
+        this.setupMetrics(options.metrics);
+
         // Add retry interceptor
         this.setupRetryInterceptor();
+
+        // Price sources, tried in priority order
+        this.providers = [];
+        const providers = options.providers || createDefaultProviders(this, options);
+        providers.forEach(provider => this.registerProvider(provider));
+    }
+
+    /**
+     * Register a price provider (replaces any provider with the same name)
+     */
+    registerProvider(provider) {
+        if (!(provider instanceof PriceProvider) && typeof provider?.quote !== 'function') {
+            throw new Error('Price provider must implement quote()');
+        }
+
+        this.unregisterProvider(provider.name);
+        this.providers.push(provider);
+        return provider;
+    }
+
+    unregisterProvider(name) {
+        const before = this.providers.length;
+        this.providers = this.providers.filter(provider => provider.name !== name);
+        return this.providers.length !== before;
+    }
+
+    getProvider(name) {
+        return this.providers.find(provider => provider.name === name) || null;
+    }
+
+    setProviderEnabled(name, enabled) {
+        const provider = this.getProvider(name);
+        if (!provider) throw new Error(`Unknown price provider: ${name}`);
+        provider.enabled = Boolean(enabled);
+        return provider;
+    }
+
+    setProviderPriority(name, priority) {
+        const provider = this.getProvider(name);
+        if (!provider) throw new Error(`Unknown price provider: ${name}`);
+        provider.priority = Number(priority);
+        return provider;
+    }
+
+    /**
+     * Enabled providers sorted by priority (lowest first)
+     */
+    getActiveProviders() {
+        return this.providers
+            .filter(provider => provider.enabled !== false)
+            .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100));
+    }
+
+    getProviderHealth() {
+        return this.providers.map(provider => (
+            typeof provider.health === 'function'
+                ? provider.health()
+                : { name: provider.name, priority: provider.priority, enabled: provider.enabled !== false, status: 'unknown' }
+        ));
+    }
+
+    /**
+     * Run one provider, recording the outcome for its health stats. Failures
+     * resolve to `{ success: false, error }` with a PriceError; a provider
+     * that answers without one is taken to have found no route.
+     */
+    async runProvider(provider, tokenMint, amount, quoteMint, context) {
+        const labels = { provider: provider.name };
+        const start = Date.now();
+        try {
+            const result = await provider.quote(tokenMint, amount, quoteMint, context);
+            if (result?.success) {
+                provider.recordSuccess?.();
+                this.instruments.providerRequests.inc({ ...labels, outcome: 'success' });
+                return result;
+            }
+            const error = result?.error instanceof Error
+                ? toPriceError(result.error)
+                : new PriceError('NO_LIQUIDITY', result?.error || 'No price returned');
+            provider.recordFailure?.(error.message);
+            this.instruments.providerRequests.inc({ ...labels, outcome: 'no_price' });
+            return { success: false, error };
+        } catch (thrown) {
+            const error = toPriceError(thrown);
+            this.logger.warn('⚠️  Provider failed', { provider: provider.name, code: error.code, error: error.message });
+            provider.recordFailure?.(error.message);
+            this.instruments.providerRequests.inc({ ...labels, outcome: 'error' });
+            return { success: false, error };
+        } finally {
+            this.instruments.providerDuration.observe(labels, (Date.now() - start) / 1000);
+        }
+    }
+
+    /**
+     * JSON-RPC call against the healthiest Solana RPC endpoint, failing over
+     * to the next one on network errors and node faults
+     */
+    async rpcRequest(method, params) {
+        const pool = this.endpointPools.solanaRpc;
+
+        return pool.request(async endpoint => {
+            const response = await this.axiosInstance.post(endpoint.url, {
+                jsonrpc: '2.0',
+                id: 1,
+                method,
+                params
+            }, { headers: endpoint.headers });
+
+            if (response.data.error) {
+                const error = new Error(response.data.error.message || 'RPC error');
+                error.rpcCode = response.data.error.code;
+                // Bad params or an unknown account fail the same everywhere; don't blame the node
+                error.endpointHealthy = !RPC_NODE_FAULT_CODES.includes(response.data.error.code);
+                throw error;
+            }
+
+            pool.recordSlot(endpoint, response.data.result?.context?.slot);
+            return response.data.result;
+        });
+    }
+
+    /**
+     * GET `path` on the healthiest endpoint of a pool (jupiterQuote, jupiterTokens, ...)
+     */
+    async endpointGet(poolName, path = '', config = {}) {
+        const pool = this.endpointPools[poolName];
+        if (!pool) throw new Error(`Unknown endpoint pool: ${poolName}`);
+
+        return pool.request(endpoint => this.axiosInstance.get(`${endpoint.url}${path}`, {
+            ...config,
+            headers: { ...config.headers, ...endpoint.headers }
+        }));
+    }
+
+    getEndpointHealth() {
+        return Object.values(this.endpointPools).map(pool => pool.getStats());
+    }
+
+    /**
+     * Base-unit input amount: the exact `context.amountRaw` when the caller
+     * supplied one, otherwise the float amount converted without float math
+     */
+    resolveAmountRaw(amount, decimals, context = {}) {
+        if (context.amountRaw !== undefined && context.amountRaw !== null) {
+            return BigInt(context.amountRaw);
+        }
+        return toBaseUnits(amount, decimals);
+    }
+
+    /**
+     * Decimals for a quote-side mint, from the token cache when known
+     */
+    getMintDecimals(mint) {
+        if (mint === USDC_MINT) return 6;
+        if (mint === SOL_MINT) return 9;
+        return this.tokenCache.get(mint)?.decimals ?? 6;
+    }
+
+    /**
+     * Prometheus instruments for pricing, upstream calls and caches.
+     * `metrics` is a shared MetricsRegistry (the server passes its own);
+     * otherwise the checker keeps a private one, rendered by
+     * `checker.metrics.render()`.
+     */
+    setupMetrics(metrics) {
+        this.metrics = metrics instanceof MetricsRegistry ? metrics : new MetricsRegistry();
+        const registry = this.metrics;
+
+        this.instruments = {
+            priceRequests: registry.counter('solana_price_requests_total',
+                'Price lookups by the method that answered (none when all failed)', ['method', 'outcome']),
+            priceDuration: registry.histogram('solana_price_request_duration_seconds',
+                'Price lookup duration, cache hits included', ['outcome']),
+            providerRequests: registry.counter('solana_price_provider_requests_total',
+                'Price provider attempts', ['provider', 'outcome']),
+            providerDuration: registry.histogram('solana_price_provider_duration_seconds',
+                'Price provider attempt duration', ['provider']),
+            upstreamRequests: registry.counter('solana_upstream_requests_total',
+                'HTTP requests to upstream APIs and RPC nodes, per attempt', ['host', 'status']),
+            upstreamDuration: registry.histogram('solana_upstream_request_duration_seconds',
+                'Upstream request duration, per attempt', ['host']),
+            upstreamErrors: registry.counter('solana_upstream_errors_total',
+                'Failed upstream attempts by HTTP status or network error code', ['host', 'reason']),
+            upstreamRateLimited: registry.counter('solana_upstream_rate_limited_total',
+                'Upstream HTTP 429 responses', ['host']),
+            upstreamRetries: registry.counter('solana_upstream_retries_total',
+                'Upstream requests retried by the retry interceptor', ['host']),
+            tokenInfoLookups: registry.counter('solana_token_info_lookups_total',
+                'Token info lookups by where the answer came from', ['source'])
+        };
+
+        registry.counter('solana_price_cache_lookups_total', 'Price cache lookups', ['result'], {
+            collect: () => [
+                { labels: { result: 'hit' }, value: this.priceCache.stats.hits },
+                { labels: { result: 'stale' }, value: this.priceCache.stats.staleHits },
+                { labels: { result: 'miss' }, value: this.priceCache.stats.misses }
+            ]
+        });
+        registry.gauge('solana_price_cache_entries', 'Entries in the price cache', [], {
+            collect: () => [{ labels: {}, value: this.priceCache.entries.size }]
+        });
+        registry.gauge('solana_token_list_age_seconds', 'Seconds since the Jupiter token list was fetched', [], {
+            collect: () => (this.lastTokenFetch ? [{ labels: {}, value: (Date.now() - this.lastTokenFetch) / 1000 }] : [])
+        });
+        registry.gauge('solana_token_list_tokens', 'Tokens in the loaded Jupiter token list', [], {
+            collect: () => [{ labels: {}, value: this.allTokens ? this.allTokens.length : 0 }]
+        });
+        registry.gauge('solana_endpoint_available', 'Whether an endpoint\'s circuit admits requests (1) or is open (0)', ['pool', 'endpoint'], {
+            collect: () => Object.values(this.endpointPools).flatMap(pool => pool.endpoints.map(endpoint => ({
+                labels: { pool: pool.name, endpoint: endpoint.name },
+                value: endpoint.circuit === CIRCUIT_OPEN ? 0 : 1
+            })))
+        });
+
+        const observe = (config, status) => {
+            const host = upstreamHost(config);
+            this.instruments.upstreamRequests.inc({ host, status });
+            if (config.metricsStartedAt) {
+                this.instruments.upstreamDuration.observe({ host }, (Date.now() - config.metricsStartedAt) / 1000);
+            }
+            return host;
+        };
+
+        this.axiosInstance.interceptors.request.use((config) => {
+            config.metricsStartedAt = Date.now();
+            return config;
+        });
+        this.axiosInstance.interceptors.response.use(
+            (response) => {
+                observe(response.config, response.status);
+                return response;
+            },
+            (error) => {
+                if (error.config) {
+                    const status = error.response?.status;
+                    const host = observe(error.config, status ?? 'error');
+                    this.instruments.upstreamErrors.inc({ host, reason: status ?? error.code ?? 'unknown' });
+                    if (status === 429) {
+                        this.instruments.upstreamRateLimited.inc({ host });
+                    }
+                }
+                return Promise.reject(error);
+            }
+        );
     }
 
     /**
-     * Setup axios retry interceptor for network issues
+     * Setup axios retry interceptor for network issues. Upstream calls made
+     * while serving a request carry its ID; retries reuse the config, so the
+     * header follows them too.
      */
     setupRetryInterceptor() {
+        const maxRetries = this.config.get('http.maxRetries');
+
+        this.axiosInstance.interceptors.request.use((config) => {
+            const { requestId } = getRequestContext();
+            if (requestId && !config.headers['X-Request-Id']) {
+                config.headers['X-Request-Id'] = requestId;
+            }
+            return config;
+        });
+
         this.axiosInstance.interceptors.response.use(
             (response) => response,
             async (error) => {
@@ -58,16 +412,20 @@ class OptimizedSolanaTokenPriceChecker {
                     config.retry = 0;
                 }
                 
-                if (config.retry >= 3) {
+                if (config.retry >= maxRetries) {
                     return Promise.reject(error);
                 }
                 
                 config.retry += 1;
+                this.instruments.upstreamRetries.inc({ host: upstreamHost(config) });
                 
                 // Exponential backoff: 1s, 2s, 4s
                 const delay = Math.pow(2, config.retry) * 1000;
                 
-                console.log(`🔄 Retrying request (attempt ${config.retry}/3) in ${delay}ms...`);
+                this.logger.warn(`🔄 Retrying request (attempt ${config.retry}/${maxRetries}) in ${delay}ms`, {
+                    url: redactUrl(config.url),
+                    error: error.message
+                });
                 
                 await new Promise(resolve => setTimeout(resolve, delay));
                 return this.axiosInstance(config);
@@ -80,13 +438,16 @@ class OptimizedSolanaTokenPriceChecker {
      */
     async initialize() {
         try {
-            console.log('🚀 Initializing Optimized Solana Token Price Checker...');
+            this.logger.info('🚀 Initializing Optimized Solana Token Price Checker...');
             await this.loadTokenCache();
+            await this.fx.load();
+            if (this.history) {
+                await this.history.load();
+            }
             await this.fetchAllJupiterTokens();
-            console.log('✅ Initialization complete!');
+            this.logger.info('✅ Initialization complete!');
         } catch (error) {
-            console.error('❌ Initialization failed:', error.message);
-            console.log('📋 Continuing with cached data if available...');
+            this.logger.error('❌ Initialization failed, continuing with cached data if available', { error: error.message });
         }
     }
 
@@ -96,19 +457,19 @@ class OptimizedSolanaTokenPriceChecker {
     async fetchAllJupiterTokens() {
         try {
             if (this.allTokens && this.lastTokenFetch && 
-                (Date.now() - this.lastTokenFetch) < 60 * 60 * 1000) {
+                (Date.now() - this.lastTokenFetch) < this.config.get('cache.tokenListTtlMs')) {
                 return this.allTokens;
             }
 
-            console.log('📡 Fetching all Jupiter tokens...');
+            this.logger.info('📡 Fetching all Jupiter tokens...');
             
             // Try multiple approaches to get token list
             let response;
             
             try {
-                response = await this.axiosInstance.get(this.apiEndpoints.jupiterTokens);
+                response = await this.endpointGet('jupiterTokens');
             } catch (error) {
-                console.log('⚠️  Primary token endpoint failed, trying backup...');
+                this.logger.warn('⚠️  Primary token endpoint failed, trying backup...', { error: error.message });
                 // Backup: use a static list of common tokens if API fails
                 response = { data: await this.getBackupTokenList() };
             }
@@ -121,13 +482,13 @@ class OptimizedSolanaTokenPriceChecker {
             });
 
             await this.saveTokenCache();
-            console.log(`✅ Loaded ${this.allTokens.length} Jupiter tokens`);
+            this.logger.info(`✅ Loaded ${this.allTokens.length} Jupiter tokens`);
             return this.allTokens;
 
         } catch (error) {
-            console.error('❌ Failed to fetch Jupiter tokens:', error.message);
+            this.logger.error('❌ Failed to fetch Jupiter tokens', { error: error.message });
             if (this.allTokens) {
-                console.log('📋 Using cached token data');
+                this.logger.info('📋 Using cached token data');
                 return this.allTokens;
             }
             throw error;
@@ -179,322 +540,925 @@ class OptimizedSolanaTokenPriceChecker {
     }
 
     /**
-     * Enhanced price fetching with improved error handling
+     * Price in USDC; kept for existing callers (same as getTokenPrice with the default quote)
      */
-    async getTokenPriceInUSDC(tokenMint, amount = 1) {
+    async getTokenPriceInUSDC(tokenMint, amount = 1, options = {}) {
+        return this.getTokenPrice(tokenMint, amount, { ...options, quote: USDC_MINT });
+    }
+
+    /**
+     * Enhanced price fetching with improved error handling.
+     * `options.quote` is a mint, a symbol (SOL, USDT, ...) or a fiat code from
+     * the FX table; it defaults to USDC. `options.includeRoute: false` drops
+     * the route plan for compact responses. Failures resolve to
+     * `{ success: false, error, code }` with a code from lib/errors.js.
+     */
+    async getTokenPrice(tokenMint, amount = 1, options = {}) {
+        const start = Date.now();
         try {
-            if (!tokenMint || typeof tokenMint !== 'string') {
-                throw new Error('Invalid token mint address');
+            this.checkMint(tokenMint);
+
+            const quote = await this.resolveQuote(options.quote);
+            // Fiat is priced in USDC and converted afterwards, so it shares the USDC cache
+            const priceQuote = quote.type === 'fiat' ? USDC_QUOTE : quote;
+
+            // Raw base-unit input takes precedence over the float amount
+            let amountRaw = null;
+            if (options.amountRaw !== undefined && options.amountRaw !== null) {
+                amountRaw = this.parseAmountRaw(options.amountRaw);
+                const tokenInfo = await this.getTokenInfo(tokenMint);
+                amount = Number(fromBaseUnits(amountRaw, tokenInfo.decimals ?? 6));
             }
+
             if (!amount || amount <= 0) {
-                throw new Error('Amount must be greater than 0');
+                throw new PriceError('INVALID_AMOUNT');
             }
 
-            console.log(`💰 Getting price for ${amount} tokens (${tokenMint})`);
+            const cacheKey = this.priceCache.key(tokenMint, amount, priceQuote.mint);
+            let result = null;
 
-            const tokenInfo = await this.getTokenInfo(tokenMint);
-            console.log(`📋 Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+            if (!options.noCache) {
+                const cached = this.priceCache.get(cacheKey);
+                if (cached) {
+                    if (cached.stale) {
+                        this.priceCache.revalidate(cacheKey, () => this.fetchTokenPrice(tokenMint, amount, { amountRaw, quote: priceQuote }));
+                    }
+                    this.logger.debug(`📋 Cached price (${cached.stale ? 'stale, refreshing' : 'fresh'})`, { mint: tokenMint, ageMs: cached.ageMs });
+                    result = this.fromCachedResult(cached.value, amount, cached.ageMs, amountRaw);
+                }
+            }
 
-            // Enhanced pricing strategy
-            let priceResult = null;
+            if (!result) {
+                result = await this.fetchTokenPrice(tokenMint, amount, { ...options, amountRaw, quote: priceQuote });
+                this.priceCache.set(cacheKey, result);
+            }
 
-            // Skip Price API if we know it's having issues, go straight to Quote API
-            console.log('📊 Using Quote API (more reliable)...');
-            priceResult = await this.tryQuoteApi(tokenMint, amount, tokenInfo);
-            if (priceResult.success) {
-                console.log(`✅ Price found via Quote API`);
-                return this.formatPriceResult(priceResult, tokenInfo, 'quote_api');
+            if (quote.type === 'fiat') {
+                result = this.convertToFiat(result, quote);
+            }
+            if (options.includeRoute === false) {
+                result = this.withoutRoute(result);
             }
+            this.instruments.priceRequests.inc({ method: result.pricing.method, outcome: 'success' });
+            this.instruments.priceDuration.observe({ outcome: 'success' }, (Date.now() - start) / 1000);
+            return options.includeRisk ? this.withRiskSummary(result) : result;
 
-            // If Quote API fails, try SOL conversion
-            priceResult = await this.trySOLConversion(tokenMint, amount, tokenInfo);
-            if (priceResult.success) {
-                console.log(`✅ Price found via SOL conversion`);
-                return this.formatPriceResult(priceResult, tokenInfo, 'sol_conversion');
+        } catch (error) {
+            const failure = failureResult(error, {
+                tokenMint,
+                amount,
+                quote: options.quote || 'USDC',
+                suggestion: 'Try again in a few moments or check if the token has sufficient liquidity'
+            });
+            this.logger.error('❌ Error in getTokenPrice', { mint: tokenMint, code: failure.code, error: failure.error });
+            this.instruments.priceRequests.inc({ method: 'none', outcome: 'failure' });
+            this.instruments.priceDuration.observe({ outcome: 'failure' }, (Date.now() - start) / 1000);
+            return failure;
+        }
+    }
+
+    /**
+     * Throws INVALID_MINT unless `tokenMint` looks like a Solana address
+     */
+    checkMint(tokenMint) {
+        if (typeof tokenMint !== 'string' || !MINT_ADDRESS.test(tokenMint)) {
+            throw new PriceError('INVALID_MINT', undefined, { details: { tokenMint: tokenMint ?? null } });
+        }
+    }
+
+    parseAmountRaw(amountRaw) {
+        try {
+            return parseBaseUnits(amountRaw);
+        } catch (error) {
+            throw new PriceError('INVALID_AMOUNT', error.message);
+        }
+    }
+
+    /**
+     * Price from every independent source at once (see lib/consensus.js).
+     * Options: `quote`, `amountRaw`, `tolerancePct` (default 2),
+     * `aggregation` ('median' or 'weighted'), `reverse` (default true).
+     * Always fresh: consensus results bypass the price cache.
+     */
+    async getConsensusPrice(tokenMint, amount = 1, options = {}) {
+        try {
+            this.checkMint(tokenMint);
+
+            const tolerancePct = options.tolerancePct ?? this.config.get('pricing.consensusTolerancePct');
+            if (typeof tolerancePct !== 'number' || !Number.isFinite(tolerancePct) || tolerancePct <= 0) {
+                throw new PriceError('INVALID_REQUEST', 'tolerancePct must be a positive number');
             }
 
-            // Final fallback: try alternative calculation methods
-            priceResult = await this.tryAlternativePricing(tokenMint, amount, tokenInfo);
-            if (priceResult.success) {
-                console.log(`✅ Price found via alternative method`);
-                return this.formatPriceResult(priceResult, tokenInfo, 'alternative');
+            const quote = await this.resolveQuote(options.quote);
+            const priceQuote = quote.type === 'fiat' ? USDC_QUOTE : quote;
+
+            let amountRaw = null;
+            if (options.amountRaw !== undefined && options.amountRaw !== null) {
+                amountRaw = this.parseAmountRaw(options.amountRaw);
+            } else if (!amount || amount <= 0) {
+                throw new PriceError('INVALID_AMOUNT');
             }
 
-            throw new Error('All pricing methods failed');
+            this.logger.debug(`🗳️  Consensus price in ${quote.code}`, { mint: tokenMint });
+            const outcome = await consensus.getConsensusPrice(this, tokenMint, amount, priceQuote, {
+                amountRaw,
+                tolerancePct,
+                aggregation: options.aggregation || 'median',
+                reverse: options.reverse !== false
+            });
+
+            const { source, result: sourceResult } = outcome.representative;
+            const formatted = this.formatPriceResult(sourceResult, outcome.tokenInfo, source, priceQuote);
+            const isUSDC = priceQuote.mint === USDC_MINT;
+
+            let result = {
+                ...formatted,
+                pricing: {
+                    ...formatted.pricing,
+                    pricePerToken: Number(outcome.priceExact),
+                    pricePerTokenExact: outcome.priceExact,
+                    totalValue: Number(outcome.totalValueExact),
+                    totalValueExact: outcome.totalValueExact,
+                    totalValueUSDC: isUSDC ? Number(outcome.totalValueExact) : null,
+                    totalValueUSDCExact: isUSDC ? outcome.totalValueExact : null,
+                    method: 'consensus',
+                    confidence: outcome.consensus.confidence
+                },
+                consensus: {
+                    ...outcome.consensus,
+                    // Route, slippage and impact in `additional` come from this source
+                    representative: source
+                }
+            };
+
+            if (quote.type === 'fiat') {
+                result = this.convertToFiat(result, quote);
+            }
+            if (options.includeRoute === false) {
+                result = this.withoutRoute(result);
+            }
+            return options.includeRisk ? this.withRiskSummary(result) : result;
 
         } catch (error) {
-            console.error('❌ Error in getTokenPriceInUSDC:', error.message);
-            return {
-                success: false,
-                error: error.message,
+            const failure = failureResult(error, {
                 tokenMint,
                 amount,
-                suggestion: 'Try again in a few moments or check if the token has sufficient liquidity'
-            };
+                quote: options.quote || 'USDC',
+                suggestion: 'Check the token address and consensus options, or try again in a few moments'
+            });
+            this.logger.error('❌ Error in getConsensusPrice', { mint: tokenMint, code: failure.code, error: failure.error });
+            return failure;
         }
     }
 
+    /**
+     * Swap-style conversion between two mints (or symbols). 'ExactIn' spends
+     * exactly `amount` of `from`; 'ExactOut' finds how much `from` is needed
+     * to receive exactly `amount` of `to`. Walks the same provider chain as
+     * pricing, skipping providers that cannot quote the requested mode.
+     */
+    async convert(from, to, amount, options = {}) {
+        const swapMode = options.swapMode || 'ExactIn';
+        const slippageBps = options.slippageBps ?? this.config.get('pricing.slippageBps');
+
+        try {
+            if (!SWAP_MODES.includes(swapMode)) {
+                throw new PriceError('INVALID_REQUEST', `swapMode must be one of: ${SWAP_MODES.join(', ')}`);
+            }
+
+            const [fromQuote, toQuote] = await Promise.all([this.resolveQuote(from), this.resolveQuote(to)]);
+            if (fromQuote.type === 'fiat' || toQuote.type === 'fiat') {
+                throw new PriceError('INVALID_QUOTE', 'Conversions are between token mints; use the quote parameter on price routes for fiat');
+            }
+
+            const fromInfo = await this.getTokenInfo(fromQuote.mint);
+            const toInfo = await this.getTokenInfo(toQuote.mint);
+            const fixedDecimals = swapMode === 'ExactOut' ? toInfo.decimals ?? 6 : fromInfo.decimals ?? 6;
+            let fixedAmountRaw;
+            try {
+                fixedAmountRaw = options.amountRaw !== undefined && options.amountRaw !== null
+                    ? parseBaseUnits(options.amountRaw)
+                    : toBaseUnits(amount, fixedDecimals);
+            } catch (error) {
+                throw new PriceError('INVALID_AMOUNT', error.message);
+            }
+
+            if (fixedAmountRaw <= 0n) {
+                throw new PriceError('INVALID_AMOUNT');
+            }
+
+            this.logger.debug(`🔁 Converting ${fromInfo.symbol} -> ${toInfo.symbol}`, { swapMode, amount: fromBaseUnits(fixedAmountRaw, fixedDecimals) });
+
+            const failures = [];
+            for (const provider of this.getActiveProviders()) {
+                if (!provider.supportsSwapMode(swapMode)) continue;
+
+                const result = await this.runProvider(provider, fromQuote.mint, Number(fromBaseUnits(fixedAmountRaw, fixedDecimals)), toQuote.mint, {
+                    tokenInfo: fromInfo,
+                    amountRaw: fixedAmountRaw,
+                    quoteDecimals: toInfo.decimals ?? 6,
+                    swapMode,
+                    slippageBps
+                });
+                if (result.success) {
+                    this.logger.debug(`✅ Conversion found via ${provider.name}`);
+                    const conversion = this.formatConversionResult(result, fromInfo, toInfo, provider.name, swapMode, slippageBps);
+                    return options.includeRoute === false ? { ...conversion, route: null } : conversion;
+                }
+                failures.push({ source: provider.name, error: result.error });
+            }
+
+            throw combineErrors(failures);
+        } catch (error) {
+            const failure = failureResult(error, {
+                from,
+                to,
+                amount,
+                swapMode,
+                suggestion: swapMode === 'ExactOut'
+                    ? 'Not every route supports ExactOut; try ExactIn with an estimated input'
+                    : 'Try again in a few moments or check if the token has sufficient liquidity'
+            });
+            this.logger.error('❌ Error in convert', { code: failure.code, error: failure.error });
+            return failure;
+        }
+    }
+
+    /**
+     * Conversion response. Providers without a slippage threshold get one
+     * derived from `slippageBps` so both bounds are always present.
+     */
+    formatConversionResult(result, fromInfo, toInfo, method, swapMode, slippageBps) {
+        const inRaw = BigInt(result.amountRaw);
+        const outRaw = BigInt(result.outAmountRaw);
+        const route = describeRoute(result, method);
+        const bps = BigInt(result.slippageBps ?? slippageBps);
+
+        const minOutAmountRaw = swapMode === 'ExactIn'
+            ? result.minOutAmountRaw ?? outRaw * (10000n - bps) / 10000n
+            : outRaw;
+        const maxInAmountRaw = swapMode === 'ExactOut'
+            ? result.maxInAmountRaw ?? (inRaw * (10000n + bps) + 9999n) / 10000n
+            : inRaw;
+        const describe = (info, raw, decimals) => ({
+            mint: info.address,
+            symbol: info.symbol,
+            decimals,
+            amount: fromBaseUnits(raw, decimals),
+            amountRaw: raw.toString()
+        });
+
+        return {
+            success: true,
+            swapMode,
+            input: describe(fromInfo, inRaw, result.inputDecimals),
+            output: describe(toInfo, outRaw, result.outputDecimals),
+            rate: priceFromBaseUnits(inRaw, result.inputDecimals, outRaw, result.outputDecimals),
+            inverseRate: priceFromBaseUnits(outRaw, result.outputDecimals, inRaw, result.inputDecimals),
+            slippageBps: Number(bps),
+            minimumReceived: {
+                amount: fromBaseUnits(minOutAmountRaw, result.outputDecimals),
+                amountRaw: minOutAmountRaw.toString()
+            },
+            maximumSpent: {
+                amount: fromBaseUnits(maxInAmountRaw, result.inputDecimals),
+                amountRaw: maxInAmountRaw.toString()
+            },
+            priceImpactPct: route.priceImpactPct,
+            method,
+            confidence: this.calculateConfidence(method, result),
+            conversionPath: result.conversionPath || 'DIRECT',
+            route,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Normalise a quote currency: a mint address, a known symbol or a fiat
+     * code from the FX table. Throws INVALID_QUOTE for anything unrecognised.
+     */
+    async resolveQuote(quote) {
+        if (quote === undefined || quote === null || quote === '' || quote === USDC_MINT) {
+            return USDC_QUOTE;
+        }
+
+        const requested = String(quote).trim();
+        const upper = requested.toUpperCase();
+
+        if (!QUOTE_ALIASES[upper] && /^[A-Za-z]{3}$/.test(requested) && this.fx.has(upper)) {
+            const fx = this.fx.getRate(upper);
+            return { type: 'fiat', code: fx.code, symbol: fx.code, mint: USDC_MINT, decimals: FIAT_DECIMALS, fx };
+        }
+
+        let mint = QUOTE_ALIASES[upper] || null;
+        if (!mint && MINT_ADDRESS.test(requested)) {
+            mint = requested;
+        }
+        if (!mint && this.allTokens) {
+            mint = this.allTokens.find(token => token.symbol?.toUpperCase() === upper)?.address || null;
+        }
+        if (!mint) {
+            throw new PriceError('INVALID_QUOTE', `Unknown quote currency: ${quote}`);
+        }
+        if (mint === USDC_MINT) {
+            return USDC_QUOTE;
+        }
+
+        const quoteInfo = await this.getTokenInfo(mint);
+        return { type: 'mint', code: quoteInfo.symbol, symbol: quoteInfo.symbol, mint, decimals: quoteInfo.decimals ?? 6 };
+    }
+
+    /**
+     * Convert a USDC-quoted result to fiat using the FX table. The USDC
+     * fields are left as they are; the currency-neutral fields carry fiat.
+     */
+    convertToFiat(result, quote) {
+        const { rate } = quote.fx;
+        const pricing = result.pricing;
+
+        const pricePerTokenExact = pricing.pricePerTokenExact !== null
+            ? scaleDecimal(pricing.pricePerTokenExact, rate)
+            : null;
+        const totalValueExact = pricing.totalValueUSDCExact !== null
+            ? scaleDecimal(pricing.totalValueUSDCExact, rate, FIAT_DECIMALS)
+            : null;
+
+        return {
+            ...result,
+            pricing: {
+                ...pricing,
+                quote: this.describeQuote(quote),
+                pricePerToken: pricePerTokenExact !== null ? Number(pricePerTokenExact) : pricing.pricePerToken * Number(rate),
+                pricePerTokenExact,
+                totalValue: totalValueExact !== null ? Number(totalValueExact) : pricing.totalValueUSDC * Number(rate),
+                totalValueExact
+            }
+        };
+    }
+
+    describeQuote(quote) {
+        const described = { type: quote.type, code: quote.code, mint: quote.type === 'mint' ? quote.mint : null, decimals: quote.decimals };
+        if (quote.fx) {
+            described.fx = { base: 'USD', via: 'USDC', ...quote.fx };
+        }
+        return described;
+    }
+
+    /**
+     * Walk the provider chain for a fresh price, throwing a PriceError if every
+     * provider fails (UNKNOWN_TOKEN when the mint does not exist on chain).
+     * `options.shared` is a Map of quotes reusable across calls (see getSharedSOLQuote).
+     */
+    async fetchTokenPrice(tokenMint, amount, options = {}) {
+        const quote = options.quote || USDC_QUOTE;
+        this.logger.debug(`💰 Getting price in ${quote.code}`, { mint: tokenMint, amount });
+
+        const tokenInfo = await this.getTokenInfo(tokenMint);
+        this.logger.debug(`📋 Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+
+        const amountRaw = options.amountRaw !== undefined && options.amountRaw !== null
+            ? parseBaseUnits(options.amountRaw)
+            : toBaseUnits(amount, tokenInfo.decimals ?? 6);
+
+        const failures = [];
+        for (const provider of this.getActiveProviders()) {
+            const priceResult = await this.runProvider(provider, tokenMint, amount, quote.mint, {
+                tokenInfo,
+                amountRaw,
+                quoteDecimals: quote.decimals,
+                shared: options.shared
+            });
+            if (priceResult.success) {
+                this.logger.debug(`✅ Price found via ${provider.name}`, { mint: tokenMint });
+                const result = this.formatPriceResult(priceResult, tokenInfo, provider.name, quote);
+                this.recordObservation(result);
+                return result;
+            }
+            failures.push({ source: provider.name, error: priceResult.error });
+        }
+
+        if (tokenInfo.missing) {
+            throw new PriceError('UNKNOWN_TOKEN', `No token mint exists at ${tokenMint}`, {
+                suggestion: 'Check the contract address; it may be a wallet or program account, or on another cluster'
+            });
+        }
+        throw combineErrors(failures);
+    }
+
+    /**
+     * Persist a fresh (non-cached) price to the history store, if enabled
+     */
+    recordObservation(result) {
+        // History is kept in USDC only
+        if (!this.history || result.pricing.quote.mint !== USDC_MINT) return;
+
+        this.history.record({
+            mint: result.token.address,
+            price: result.pricing.pricePerToken,
+            amount: result.pricing.amount,
+            value: result.pricing.totalValueUSDC,
+            method: result.pricing.method,
+            timestamp: Date.parse(result.pricing.timestamp)
+        });
+    }
+
+    /**
+     * Re-scale a cached result (same amount bucket) to the requested amount
+     */
+    fromCachedResult(result, amount, ageMs, amountRaw = null) {
+        const decimals = result.token.decimals ?? 6;
+        const raw = amountRaw ?? toBaseUnits(amount, decimals);
+        const { quote } = result.pricing;
+        let totalValueExact = null;
+
+        if (result.pricing.pricePerTokenExact) {
+            totalValueExact = fromBaseUnits(
+                valueAtPrice(raw, decimals, result.pricing.pricePerTokenExact, quote.decimals),
+                quote.decimals
+            );
+        }
+
+        const totalValue = totalValueExact !== null
+            ? Number(totalValueExact)
+            : result.pricing.pricePerToken * amount;
+        const isUSDC = quote.mint === USDC_MINT;
+
+        return {
+            ...result,
+            pricing: {
+                ...result.pricing,
+                amount,
+                totalValue,
+                totalValueExact,
+                totalValueUSDC: isUSDC ? totalValue : null,
+                amountRaw: raw.toString(),
+                amountExact: fromBaseUnits(raw, decimals),
+                totalValueUSDCExact: isUSDC ? totalValueExact : null
+            },
+            additional: {
+                ...result.additional,
+                cached: true,
+                ageMs
+            }
+        };
+    }
+
+    /**
+     * Liquidity depth ladder and price-impact thresholds (see lib/depth.js)
+     */
+    async getLiquidityDepth(tokenMint, options = {}) {
+        return depth.getLiquidityDepth(this, tokenMint, options);
+    }
+
+    /**
+     * Mint authority, holder, extension and liquidity risk report (see lib/risk.js)
+     */
+    async getTokenRisk(tokenMint, options = {}) {
+        return risk.getTokenRisk(this, tokenMint, options);
+    }
+
+    /**
+     * Cached on-chain risk summary; skips the liquidity ladder since the
+     * price itself already shows whether a sell route exists
+     */
+    async getRiskSummary(tokenMint) {
+        const cached = this.riskCache.get(tokenMint);
+        if (cached && Date.now() - cached.timestamp < this.config.get('cache.riskSummaryTtlMs')) {
+            return cached.summary;
+        }
+
+        const summary = risk.summarizeRisk(await this.getTokenRisk(tokenMint, { liquidity: false }));
+        if (summary.available) {
+            this.riskCache.set(tokenMint, { summary, timestamp: Date.now() });
+        }
+        return summary;
+    }
+
+    withoutRoute(result) {
+        return result.success ? { ...result, additional: { ...result.additional, route: null } } : result;
+    }
+
+    async withRiskSummary(result) {
+        return { ...result, risk: await this.getRiskSummary(result.token.address) };
+    }
+
+    /**
+     * USDC valuation of every holding in a wallet (see lib/wallet.js)
+     */
+    async getWalletValue(owner, options = {}) {
+        return wallet.getWalletValue(this, owner, options);
+    }
+
     /**
      * Enhanced Quote API with better error handling
      */
-    async tryQuoteApi(tokenMint, amount, tokenInfo) {
+    async tryQuoteApi(tokenMint, amount, tokenInfo, quoteMint = USDC_MINT, context = {}) {
         try {
-            const decimals = tokenInfo.decimals || 6;
-            const amountInSmallestUnit = Math.floor(amount * Math.pow(10, decimals));
+            const decimals = tokenInfo.decimals ?? 6;
+            const outputDecimals = context.quoteDecimals ?? this.getMintDecimals(quoteMint);
+            const exactOut = context.swapMode === 'ExactOut';
+            // ExactOut fixes the output amount, so `amount` is in the quote mint's units
+            const fixedAmountRaw = this.resolveAmountRaw(amount, exactOut ? outputDecimals : decimals, context);
+            const slippageBps = context.slippageBps ?? this.config.get('pricing.slippageBps');
 
-            const response = await this.axiosInstance.get(`${this.apiEndpoints.jupiterQuote}/quote`, {
+            const response = await this.endpointGet('jupiterQuote', '/quote', {
                 params: {
                     inputMint: tokenMint,
-                    outputMint: USDC_MINT,
-                    amount: amountInSmallestUnit,
-                    slippageBps: 50,
+                    outputMint: quoteMint,
+                    amount: fixedAmountRaw.toString(),
+                    swapMode: exactOut ? 'ExactOut' : 'ExactIn',
+                    slippageBps,
                     onlyDirectRoutes: false, // Allow multi-hop routes for better prices
                     asLegacyTransaction: false
                 }
             });
 
             if (response.data?.outAmount) {
-                const usdcAmount = response.data.outAmount / Math.pow(10, 6);
-                const pricePerToken = usdcAmount / amount;
-
-                // Cache successful result
-                const cacheKey = `quote_${tokenMint}`;
-                this.priceCache.set(cacheKey, {
-                    price: pricePerToken,
-                    timestamp: Date.now()
-                });
+                const threshold = response.data.otherAmountThreshold
+                    ? BigInt(response.data.otherAmountThreshold)
+                    : null;
 
                 return {
                     success: true,
-                    pricePerToken,
-                    totalValueUSDC: usdcAmount,
-                    slippage: '0.5%',
-                    route: response.data,
-                    amount
+                    ...quoteFromBaseUnits({
+                        amountRaw: exactOut ? response.data.inAmount : fixedAmountRaw,
+                        inputDecimals: decimals,
+                        outAmountRaw: response.data.outAmount,
+                        outputDecimals
+                    }),
+                    swapMode: exactOut ? 'ExactOut' : 'ExactIn',
+                    slippage: `${slippageBps / 100}%`,
+                    slippageBps,
+                    priceImpactPct: response.data.priceImpactPct !== undefined
+                        ? Number(response.data.priceImpactPct)
+                        : null,
+                    minOutAmountRaw: exactOut ? null : threshold,
+                    maxInAmountRaw: exactOut ? threshold : null,
+                    route: response.data
                 };
             }
 
-            return { success: false };
+            return { success: false, error: new PriceError('NO_LIQUIDITY', 'The quote API returned no route') };
         } catch (error) {
-            console.log(`⚠️  Quote API failed: ${error.message}`);
-            return { success: false };
+            const failure = toPriceError(error);
+            this.logger.warn('⚠️  Quote API failed', { code: failure.code, error: failure.message });
+            return { success: false, error: failure };
         }
     }
 
     /**
      * Alternative pricing method using different approaches
      */
-    async tryAlternativePricing(tokenMint, amount, tokenInfo) {
+    async tryAlternativePricing(tokenMint, amount, tokenInfo, quoteMint = USDC_MINT, context = {}) {
+        let lastError = null;
         try {
             // Method 1: Try with different slippage
-            for (const slippage of [100, 200, 500]) { // 1%, 2%, 5%
+            for (const slippage of this.config.get('pricing.alternativeSlippageBps')) { // 1%, 2%, 5% by default
                 try {
-                    const decimals = tokenInfo.decimals || 6;
-                    const amountInSmallestUnit = Math.floor(amount * Math.pow(10, decimals));
+                    const decimals = tokenInfo.decimals ?? 6;
+                    const outputDecimals = context.quoteDecimals ?? this.getMintDecimals(quoteMint);
+                    const exactOut = context.swapMode === 'ExactOut';
+                    const fixedAmountRaw = this.resolveAmountRaw(amount, exactOut ? outputDecimals : decimals, context);
 
-                    const response = await this.axiosInstance.get(`${this.apiEndpoints.jupiterQuote}/quote`, {
+                    const response = await this.endpointGet('jupiterQuote', '/quote', {
                         params: {
                             inputMint: tokenMint,
-                            outputMint: USDC_MINT,
-                            amount: amountInSmallestUnit,
+                            outputMint: quoteMint,
+                            amount: fixedAmountRaw.toString(),
+                            swapMode: exactOut ? 'ExactOut' : 'ExactIn',
                             slippageBps: slippage,
                             onlyDirectRoutes: true
                         }
                     });
 
                     if (response.data?.outAmount) {
-                        const usdcAmount = response.data.outAmount / Math.pow(10, 6);
-                        const pricePerToken = usdcAmount / amount;
+                        const threshold = response.data.otherAmountThreshold
+                            ? BigInt(response.data.otherAmountThreshold)
+                            : null;
 
                         return {
                             success: true,
-                            pricePerToken,
-                            totalValueUSDC: usdcAmount,
+                            ...quoteFromBaseUnits({
+                                amountRaw: exactOut ? response.data.inAmount : fixedAmountRaw,
+                                inputDecimals: decimals,
+                                outAmountRaw: response.data.outAmount,
+                                outputDecimals
+                            }),
+                            swapMode: exactOut ? 'ExactOut' : 'ExactIn',
                             slippage: `${slippage / 100}%`,
-                            method: 'high_slippage',
-                            amount
+                            slippageBps: slippage,
+                            priceImpactPct: response.data.priceImpactPct !== undefined
+                                ? Number(response.data.priceImpactPct)
+                                : null,
+                            minOutAmountRaw: exactOut ? null : threshold,
+                            maxInAmountRaw: exactOut ? threshold : null,
+                            route: response.data,
+                            method: 'high_slippage'
                         };
                     }
                 } catch (e) {
+                    lastError = e;
                     continue;
                 }
             }
 
-            return { success: false };
+            return { success: false, error: lastError ? toPriceError(lastError) : new PriceError('NO_LIQUIDITY', 'No direct route at any slippage') };
         } catch (error) {
-            return { success: false };
+            return { success: false, error: toPriceError(error) };
         }
     }
 
     /**
      * Enhanced SOL conversion with multiple RPC endpoints
      */
-    async trySOLConversion(tokenMint, amount, tokenInfo) {
+    async trySOLConversion(tokenMint, amount, tokenInfo, quoteMint = USDC_MINT, context = {}) {
+        if (context.swapMode === 'ExactOut') {
+            return this.trySOLConversionExactOut(tokenMint, amount, tokenInfo, quoteMint, context);
+        }
+
+        try {
+            const decimals = tokenInfo.decimals ?? 6;
+            const amountRaw = this.resolveAmountRaw(amount, decimals, context);
+
+            const tokenSolPrice = await this.getTokenPriceInSOL(tokenMint, amount, tokenInfo, { amountRaw });
+            if (!tokenSolPrice.success) return { success: false, error: tokenSolPrice.error };
+
+            const solUsdcPrice = context.shared
+                ? await this.getSharedSOLQuote(context.shared, tokenSolPrice.totalValueSOLRaw, quoteMint)
+                : await this.tryQuoteApi(SOL_MINT, tokenSolPrice.totalValueSOL, { decimals: 9 }, quoteMint, {
+                    amountRaw: tokenSolPrice.totalValueSOLRaw
+                });
+            if (!solUsdcPrice.success) return { success: false, error: solUsdcPrice.error };
+
+            // Worst case on both legs: the quote leg's minimum, scaled by the SOL leg's slippage
+            const minOutAmountRaw = tokenSolPrice.minOutAmountRaw !== null && solUsdcPrice.minOutAmountRaw !== null
+                ? solUsdcPrice.minOutAmountRaw * tokenSolPrice.minOutAmountRaw / tokenSolPrice.outAmountRaw
+                : null;
+
+            return {
+                success: true,
+                ...quoteFromBaseUnits({
+                    amountRaw,
+                    inputDecimals: decimals,
+                    outAmountRaw: solUsdcPrice.outAmountRaw,
+                    outputDecimals: this.getMintDecimals(quoteMint)
+                }),
+                minOutAmountRaw,
+                legs: [tokenSolPrice, solUsdcPrice],
+                conversionPath: 'TOKEN -> SOL -> USDC'
+            };
+        } catch (error) {
+            this.logger.warn('⚠️  SOL conversion failed', { error: error.message });
+            return { success: false, error: toPriceError(error) };
+        }
+    }
+
+    /**
+     * ExactOut through SOL: the SOL needed for the target output, then the
+     * tokens needed for that SOL
+     */
+    async trySOLConversionExactOut(tokenMint, amount, tokenInfo, quoteMint, context = {}) {
         try {
-            const tokenSolPrice = await this.getTokenPriceInSOL(tokenMint, amount, tokenInfo);
-            if (!tokenSolPrice.success) return { success: false };
+            const solLeg = await this.tryQuoteApi(SOL_MINT, amount, { decimals: 9 }, quoteMint, context);
+            if (!solLeg.success) return { success: false, error: solLeg.error };
 
-            const solUsdcPrice = await this.tryQuoteApi(SOL_MINT, tokenSolPrice.totalValueSOL, { decimals: 9 });
-            if (!solUsdcPrice.success) return { success: false };
+            const tokenLeg = await this.tryQuoteApi(tokenMint, null, tokenInfo, SOL_MINT, {
+                swapMode: 'ExactOut',
+                amountRaw: solLeg.amountRaw,
+                quoteDecimals: 9,
+                slippageBps: context.slippageBps
+            });
+            if (!tokenLeg.success) return { success: false, error: tokenLeg.error };
+
+            // Worst case on both legs: the token leg's maximum, scaled by the SOL leg's slippage
+            const maxInAmountRaw = tokenLeg.maxInAmountRaw !== null && solLeg.maxInAmountRaw !== null
+                ? tokenLeg.maxInAmountRaw * solLeg.maxInAmountRaw / solLeg.amountRaw
+                : null;
 
             return {
                 success: true,
-                pricePerToken: solUsdcPrice.totalValueUSDC / amount,
-                totalValueUSDC: solUsdcPrice.totalValueUSDC,
-                conversionPath: 'TOKEN -> SOL -> USDC',
-                amount
+                ...quoteFromBaseUnits({
+                    amountRaw: tokenLeg.amountRaw,
+                    inputDecimals: tokenInfo.decimals ?? 6,
+                    outAmountRaw: solLeg.outAmountRaw,
+                    outputDecimals: solLeg.outputDecimals
+                }),
+                swapMode: 'ExactOut',
+                slippageBps: solLeg.slippageBps,
+                maxInAmountRaw,
+                legs: [tokenLeg, solLeg],
+                conversionPath: 'TOKEN -> SOL -> QUOTE'
             };
         } catch (error) {
-            console.log(`⚠️  SOL conversion failed: ${error.message}`);
-            return { success: false };
+            this.logger.warn('⚠️  SOL conversion (ExactOut) failed', { error: error.message });
+            return { success: false, error: toPriceError(error) };
         }
     }
 
+    /**
+     * SOL leg priced once per `shared` map (e.g. one batch request) and
+     * reused by every SOL-routed conversion in it. SOL/USDC is deep enough
+     * that scaling a 1 SOL quote is accurate for typical batch sizes.
+     */
+    async getSharedSOLQuote(shared, lamports, quoteMint = USDC_MINT) {
+        const key = `sol_quote:${quoteMint}`;
+        if (!shared.has(key)) {
+            shared.set(key, this.tryQuoteApi(SOL_MINT, 1, { decimals: 9 }, quoteMint));
+        }
+
+        const solQuote = await shared.get(key);
+        if (!solQuote.success) return { success: false, error: solQuote.error };
+
+        const scale = { numerator: BigInt(lamports), denominator: solQuote.amountRaw };
+        return {
+            success: true,
+            ...quoteFromBaseUnits({
+                amountRaw: lamports,
+                inputDecimals: 9,
+                outAmountRaw: scale.numerator * solQuote.outAmountRaw / scale.denominator,
+                outputDecimals: solQuote.outputDecimals
+            }),
+            priceImpactPct: solQuote.priceImpactPct,
+            slippageBps: solQuote.slippageBps,
+            minOutAmountRaw: solQuote.minOutAmountRaw !== null
+                ? scale.numerator * solQuote.minOutAmountRaw / scale.denominator
+                : null,
+            route: solQuote.route,
+            routeScale: scale
+        };
+    }
+
     /**
      * Enhanced token price in SOL
      */
-    async getTokenPriceInSOL(tokenMint, amount, tokenInfo) {
+    async getTokenPriceInSOL(tokenMint, amount, tokenInfo, context = {}) {
         try {
-            const decimals = tokenInfo.decimals || 6;
-            const amountInSmallestUnit = Math.floor(amount * Math.pow(10, decimals));
+            const decimals = tokenInfo.decimals ?? 6;
+            const amountInSmallestUnit = this.resolveAmountRaw(amount, decimals, context);
 
-            const response = await this.axiosInstance.get(`${this.apiEndpoints.jupiterQuote}/quote`, {
+            const response = await this.endpointGet('jupiterQuote', '/quote', {
                 params: {
                     inputMint: tokenMint,
                     outputMint: SOL_MINT,
-                    amount: amountInSmallestUnit,
+                    amount: amountInSmallestUnit.toString(),
                     slippageBps: 100
                 }
             });
 
             if (response.data?.outAmount) {
-                const solAmount = response.data.outAmount / Math.pow(10, 9);
+                const quote = quoteFromBaseUnits({
+                    amountRaw: amountInSmallestUnit,
+                    inputDecimals: decimals,
+                    outAmountRaw: response.data.outAmount,
+                    outputDecimals: 9
+                });
                 return {
                     success: true,
-                    totalValueSOL: solAmount,
-                    pricePerTokenInSOL: solAmount / amount
+                    ...quote,
+                    totalValueSOL: quote.totalValueUSDC,
+                    totalValueSOLRaw: quote.outAmountRaw,
+                    pricePerTokenInSOL: quote.pricePerToken,
+                    slippageBps: 100,
+                    priceImpactPct: response.data.priceImpactPct !== undefined
+                        ? Number(response.data.priceImpactPct)
+                        : null,
+                    minOutAmountRaw: response.data.otherAmountThreshold
+                        ? BigInt(response.data.otherAmountThreshold)
+                        : null,
+                    route: response.data
                 };
             }
 
-            return { success: false };
+            return { success: false, error: new PriceError('NO_LIQUIDITY', 'The quote API returned no route to SOL') };
         } catch (error) {
-            return { success: false };
+            return { success: false, error: toPriceError(error) };
         }
     }
 
     /**
-     * Enhanced token info with multiple RPC fallbacks
+     * Token info from the Jupiter list, else from the mint and its on-chain metadata
      */
     async getTokenInfo(tokenMint) {
         if (this.tokenCache.has(tokenMint)) {
+            this.instruments.tokenInfoLookups.inc({ source: 'cache' });
             return this.tokenCache.get(tokenMint);
         }
 
         if (this.allTokens) {
             const jupiterToken = this.allTokens.find(token => token.address === tokenMint);
             if (jupiterToken) {
+                this.instruments.tokenInfoLookups.inc({ source: 'token_list' });
                 this.tokenCache.set(tokenMint, jupiterToken);
                 return jupiterToken;
             }
         }
 
-        // Try multiple RPC endpoints
-        for (const rpcUrl of this.apiEndpoints.solanaRpc) {
-            try {
-                const response = await this.axiosInstance.post(rpcUrl, {
-                    jsonrpc: '2.0',
-                    id: 1,
-                    method: 'getAccountInfo',
-                    params: [tokenMint, { encoding: 'jsonParsed' }]
-                });
+        // Mint decimals plus Metaplex / Token-2022 metadata
+        let missing = false;
+        try {
+            const resolved = await metadata.resolveTokenMetadata(this, tokenMint, this.metadataOptions);
+            missing = resolved === null;
+            if (resolved) {
+                const tokenInfo = {
+                    ...resolved,
+                    name: resolved.name || 'Unknown Token',
+                    symbol: resolved.symbol || 'UNK',
+                    source: resolved.sources.name || 'mint'
+                };
 
-                if (response.data.result?.value?.data?.parsed?.info) {
-                    const info = response.data.result.value.data.parsed.info;
-                    const tokenInfo = {
-                        address: tokenMint,
-                        name: info.name || 'Unknown Token',
-                        symbol: info.symbol || 'UNK',
-                        decimals: info.decimals || 6,
-                        source: 'rpc'
-                    };
-                    
-                    this.tokenCache.set(tokenMint, tokenInfo);
-                    return tokenInfo;
-                }
-            } catch (error) {
-                console.log(`⚠️  RPC ${rpcUrl} failed, trying next...`);
-                continue;
+                this.instruments.tokenInfoLookups.inc({ source: 'metadata' });
+                this.tokenCache.set(tokenMint, tokenInfo);
+                return tokenInfo;
             }
+        } catch (error) {
+            this.logger.warn('⚠️  Metadata lookup failed', { mint: tokenMint, error: error.message });
         }
 
-        const fallbackInfo = {
+        this.instruments.tokenInfoLookups.inc({ source: 'fallback' });
+        // Not cached, so the token resolves properly once RPC recovers or the mint appears.
+        // `missing` means the RPC answered and there is no mint account at this address.
+        return {
             address: tokenMint,
             name: 'Unknown Token',
             symbol: 'UNK',
             decimals: 6,
-            source: 'fallback'
+            source: 'fallback',
+            sources: {},
+            ...(missing ? { missing: true } : {})
         };
-        
-        this.tokenCache.set(tokenMint, fallbackInfo);
-        return fallbackInfo;
     }
 
     /**
      * Enhanced result formatting with more details
      */
-    formatPriceResult(result, tokenInfo, method) {
+    formatPriceResult(result, tokenInfo, method, quote = USDC_QUOTE) {
+        const hasRaw = result.amountRaw !== undefined && result.outAmountRaw !== undefined;
+        const isUSDC = quote.mint === USDC_MINT;
+        const totalValueExact = hasRaw ? fromBaseUnits(result.outAmountRaw, result.outputDecimals) : null;
+        const route = describeRoute(result, method);
+
         return {
             success: true,
             token: {
                 address: tokenInfo.address,
                 name: tokenInfo.name,
                 symbol: tokenInfo.symbol,
-                decimals: tokenInfo.decimals
+                decimals: tokenInfo.decimals,
+                logoURI: tokenInfo.logoURI || tokenInfo.image || null,
+                source: tokenInfo.source || 'token-list'
             },
             pricing: {
                 amount: result.amount || (result.totalValueUSDC / result.pricePerToken),
+                // pricePerToken and totalValue are in the quote currency
+                quote: this.describeQuote(quote),
                 pricePerToken: result.pricePerToken,
-                totalValueUSDC: result.totalValueUSDC,
+                totalValue: result.totalValueUSDC,
+                // USDC fields are kept for existing clients and are null for other quotes
+                totalValueUSDC: isUSDC ? result.totalValueUSDC : null,
                 method: method,
                 timestamp: new Date().toISOString(),
-                confidence: this.calculateConfidence(method, result)
+                confidence: this.calculateConfidence(method, result),
+                // Exact decimal strings; the float fields above are for convenience only
+                amountRaw: hasRaw ? result.amountRaw.toString() : null,
+                amountExact: hasRaw ? fromBaseUnits(result.amountRaw, result.inputDecimals) : null,
+                pricePerTokenExact: hasRaw
+                    ? priceFromBaseUnits(result.amountRaw, result.inputDecimals, result.outAmountRaw, result.outputDecimals)
+                    : null,
+                totalValueExact,
+                totalValueUSDCExact: isUSDC ? totalValueExact : null
             },
             additional: {
                 slippage: result.slippage || null,
                 conversionPath: result.conversionPath || 'DIRECT',
-                route: result.route ? 'Available' : null,
-                cached: result.cached || false
+                route,
+                priceImpactPct: route.priceImpactPct,
+                cached: result.cached || false,
+                ageMs: result.ageMs || 0
             }
         };
     }
 
     /**
-     * Calculate confidence score based on method and result
+     * Calculate confidence score, delegated to the provider that answered
      */
     calculateConfidence(method, result) {
-        let confidence = 'medium';
-        
-        if (method === 'quote_api' && result.route) {
-            confidence = 'high';
-        } else if (method === 'sol_conversion') {
-            confidence = 'medium';
-        } else if (method === 'alternative' && result.slippage) {
-            const slippageNum = parseFloat(result.slippage);
-            confidence = slippageNum <= 1 ? 'medium' : 'low';
+        const provider = this.getProvider(method);
+        if (provider && typeof provider.confidence === 'function') {
+            return provider.confidence(result);
         }
-        
-        return confidence;
+        return 'medium';
     }
 
     // Include all other methods from the original class...
-    async searchTokens(query) {
+    // Tokens whose symbol or name contains query; limit = Infinity returns every match
+    async searchTokens(query, limit = 10) {
         await this.fetchAllJupiterTokens();
         
         const searchQuery = query.toLowerCase();
         return this.allTokens.filter(token => 
             token.symbol.toLowerCase().includes(searchQuery) ||
             token.name.toLowerCase().includes(searchQuery)
-        ).slice(0, 10);
+        ).slice(0, limit);
     }
 
     async getAllTokens(page = 1, limit = 100) {
@@ -518,24 +1482,26 @@ class OptimizedSolanaTokenPriceChecker {
 
     async loadTokenCache() {
         try {
-            const cacheData = await fs.readFile(CACHE_FILE, 'utf8');
+            const cacheData = await fs.readFile(this.config.get('cache.tokenCacheFile'), 'utf8');
             const parsed = JSON.parse(cacheData);
             
             if (parsed.tokens) {
                 Object.entries(parsed.tokens).forEach(([key, value]) => {
+                    // Older caches stored placeholder names and defaulted decimals; resolve those again
+                    if (value.source === 'rpc' || value.source === 'fallback') return;
                     this.tokenCache.set(key, value);
                 });
             }
             
             if (parsed.allTokens && parsed.timestamp && 
-                (Date.now() - parsed.timestamp) < 60 * 60 * 1000) {
+                (Date.now() - parsed.timestamp) < this.config.get('cache.tokenListTtlMs')) {
                 this.allTokens = parsed.allTokens;
                 this.lastTokenFetch = parsed.timestamp;
             }
             
-            console.log('📋 Loaded cache from file');
+            this.logger.info('📋 Loaded cache from file');
         } catch (error) {
-            console.log('📋 No cache file found, starting fresh');
+            this.logger.info('📋 No cache file found, starting fresh');
         }
     }
 
@@ -547,48 +1513,59 @@ class OptimizedSolanaTokenPriceChecker {
                 allTokens: this.allTokens
             };
             
-            await fs.writeFile(CACHE_FILE, JSON.stringify(cacheData, null, 2));
+            await fs.writeFile(this.config.get('cache.tokenCacheFile'), JSON.stringify(cacheData, null, 2));
         } catch (error) {
-            console.log('⚠️  Failed to save cache:', error.message);
+            this.logger.warn('⚠️  Failed to save cache', { error: error.message });
         }
     }
 
     clearCache() {
         this.tokenCache.clear();
+        this.riskCache.clear();
         this.priceCache.clear();
         this.allTokens = null;
         this.lastTokenFetch = null;
-        console.log('🗑️  Cache cleared');
+        this.logger.info('🗑️  Cache cleared');
     }
 }
 
 // Enhanced usage functions
-async function checkTokenPrice(contractAddress, amount) {
-    const checker = new OptimizedSolanaTokenPriceChecker();
-    await checker.initialize();
+/**
+ * Price `amount` tokens and print a readable report. Pass `checker` to reuse
+ * an initialized instance, `quote` for a non-USDC quote and `log` to print
+ * somewhere other than console.log.
+ */
+async function checkTokenPrice(contractAddress, amount, { checker = null, quote, log = console.log } = {}) {
+    if (!checker) {
+        checker = new OptimizedSolanaTokenPriceChecker();
+        await checker.initialize();
+    }
     
-    console.log(`\n🔍 Checking ${amount} tokens with CA: ${contractAddress}`);
-    console.log('='.repeat(60));
+    log(`\n🔍 Checking ${amount} tokens with CA: ${contractAddress}`);
+    log('='.repeat(60));
     
-    const result = await checker.getTokenPriceInUSDC(contractAddress, amount);
+    const result = await checker.getTokenPrice(contractAddress, amount, { quote });
     
     if (result.success) {
-        console.log(`\n💰 PRICE RESULTS:`);
-        console.log(`Token: ${result.token.name} (${result.token.symbol})`);
-        console.log(`Amount: ${amount} ${result.token.symbol}`);
-        console.log(`Total Value: $${result.pricing.totalValueUSDC.toFixed(6)} USDC`);
-        console.log(`Price per token: $${result.pricing.pricePerToken.toFixed(8)} USDC`);
-        console.log(`Method: ${result.pricing.method}`);
-        console.log(`Confidence: ${result.pricing.confidence}`);
-        console.log(`Path: ${result.additional.conversionPath}`);
+        const { code } = result.pricing.quote;
+        const money = (value, digits) => (code === 'USDC' ? `$${value.toFixed(digits)} USDC` : `${value.toFixed(digits)} ${code}`);
+
+        log(`\n💰 PRICE RESULTS:`);
+        log(`Token: ${result.token.name} (${result.token.symbol})`);
+        log(`Amount: ${amount} ${result.token.symbol}`);
+        log(`Total Value: ${money(result.pricing.totalValue, 6)}`);
+        log(`Price per token: ${money(result.pricing.pricePerToken, 8)}`);
+        log(`Method: ${result.pricing.method}`);
+        log(`Confidence: ${result.pricing.confidence}`);
+        log(`Path: ${result.additional.conversionPath}`);
         if (result.additional.slippage) {
-            console.log(`Slippage: ${result.additional.slippage}`);
+            log(`Slippage: ${result.additional.slippage}`);
         }
-        console.log(`Timestamp: ${result.pricing.timestamp}`);
+        log(`Timestamp: ${result.pricing.timestamp}`);
     } else {
-        console.log(`\n❌ ERROR: ${result.error}`);
+        log(`\n❌ ERROR: ${result.error}`);
         if (result.suggestion) {
-            console.log(`💡 Suggestion: ${result.suggestion}`);
+            log(`💡 Suggestion: ${result.suggestion}`);
         }
     }
     
@@ -614,46 +1591,68 @@ async function quickPriceCheck(contractAddress, amount = 1) {
     }
 }
 
-// Network diagnostic function
-async function networkDiagnostic() {
-    console.log('🔧 Running network diagnostic...\n');
+/**
+ * Network diagnostic against the configured endpoints. An endpoint that
+ * answers at all (even with an HTTP error) is reachable. Returns one entry
+ * per endpoint.
+ */
+async function networkDiagnostic({ checker = null, log = console.log } = {}) {
+    log('🔧 Running network diagnostic...\n');
     
+    const { apiEndpoints } = checker || new OptimizedSolanaTokenPriceChecker();
     const endpoints = [
-        'https://price.jup.ag/v4/price',
-        'https://quote-api.jup.ag/v6/quote',
-        'https://token.jup.ag/all',
-        'https://api.mainnet-beta.solana.com'
+        `${apiEndpoints.jupiterPrice}/price`,
+        `${apiEndpoints.jupiterQuote}/quote`,
+        apiEndpoints.jupiterTokens,
+        ...apiEndpoints.solanaRpc
     ];
+    const results = [];
     
     for (const endpoint of endpoints) {
+        const start = Date.now();
         try {
-            const start = Date.now();
             const response = await axios.get(endpoint, { timeout: 5000 });
             const duration = Date.now() - start;
-            console.log(`✅ ${endpoint} - ${duration}ms - Status: ${response.status}`);
+            log(`✅ ${redactUrl(endpoint)} - ${duration}ms - Status: ${response.status}`);
+            results.push({ endpoint: redactUrl(endpoint), reachable: true, status: response.status, durationMs: duration, error: null });
         } catch (error) {
-            console.log(`❌ ${endpoint} - Error: ${error.message}`);
+            const duration = Date.now() - start;
+            const status = error.response?.status ?? null;
+            log(`${status ? '✅' : '❌'} ${redactUrl(endpoint)} - Error: ${error.message}`);
+            results.push({ endpoint: redactUrl(endpoint), reachable: status !== null, status, durationMs: duration, error: error.message });
         }
     }
+
+    return results;
 }
 
 module.exports = {
     OptimizedSolanaTokenPriceChecker,
+    ...priceProviders,
+    EndpointPool,
+    Config,
+    ConfigError,
+    PriceError,
+    ERROR_CODES: errors.ERROR_CODES,
+    Logger,
+    MetricsRegistry,
+    pools,
+    PriceCache,
+    PriceHistory,
+    FxRates,
+    metadata,
+    amounts,
+    USDC_MINT,
+    SOL_MINT,
+    USDT_MINT,
     checkTokenPrice,
     quickPriceCheck,
     networkDiagnostic
 };
 
-// Run examples if this file is executed directly
+// Running this file directly is the same as running cli.js
 if (require.main === module) {
-    (async () => {
-        // Run network diagnostic first
-        await networkDiagnostic();
-        
-        console.log('\n' + '='.repeat(60));
-        console.log('🚀 Running Optimized Examples\n');
-        
-        // Quick test
-        await checkTokenPrice('EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', 100);
-    })().catch(console.error);
-}
\ No newline at end of file
+    require('./cli').main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,366 @@
+/**
+ * Price alert rules with signed webhook delivery.
+ *
+ * Rules are persisted to a local JSON file together with a bounded delivery
+ * log, so they survive restarts. A background evaluator prices each watched
+ * mint once per round and fires a rule when its condition becomes true
+ * (edge-triggered, with a per-rule cooldown). Deliveries are POSTed as JSON
+ * with an HMAC-SHA256 signature and retried with exponential backoff.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const axios = require('axios');
+const { silentLogger } = require('./logger');
+
+const ALERTS_FILE = 'alerts.json';
+const RULE_TYPES = ['price_above', 'price_below', 'percent_change', 'price_impact'];
+
+class AlertManager {
+    constructor(checker, {
+        file = ALERTS_FILE,
+        intervalMs = 30 * 1000,
+        maxAttempts = 5,
+        deliveryLogSize = 500,
+        timeoutMs = 10 * 1000,
+        logger = silentLogger
+    } = {}) {
+        this.checker = checker;
+        this.logger = logger;
+        this.file = file;
+        this.intervalMs = intervalMs;
+        this.maxAttempts = maxAttempts;
+        this.deliveryLogSize = deliveryLogSize;
+        this.rules = new Map();
+        this.deliveries = [];
+        this.priceSamples = new Map();
+        this.timer = null;
+        this.evaluating = false;
+        this.saveQueue = Promise.resolve();
+        this.http = axios.create({
+            timeout: timeoutMs,
+            headers: { 'User-Agent': 'SolanaTokenChecker-Alerts/1.0' }
+        });
+    }
+
+    async load() {
+        try {
+            const parsed = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            (parsed.rules || []).forEach(rule => this.rules.set(rule.id, rule));
+            this.deliveries = parsed.deliveries || [];
+            this.logger.info(`🔔 Loaded ${this.rules.size} alert rules`);
+        } catch (error) {
+            this.logger.info('🔔 No alert rules file found, starting fresh');
+        }
+    }
+
+    save() {
+        const data = {
+            timestamp: Date.now(),
+            rules: [...this.rules.values()],
+            deliveries: this.deliveries
+        };
+
+        this.saveQueue = this.saveQueue
+            .then(() => fs.writeFile(this.file, JSON.stringify(data, null, 2)))
+            .catch(error => {
+                this.logger.warn('⚠️  Failed to save alert rules', { error: error.message });
+            });
+        return this.saveQueue;
+    }
+
+    /**
+     * Validate and store a new rule. The signing secret is generated when not
+     * supplied and is only ever returned from this call.
+     */
+    async createRule(input = {}) {
+        const { type, mint, webhookUrl } = input;
+        const threshold = parseFloat(input.threshold);
+
+        if (!RULE_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${RULE_TYPES.join(', ')}`);
+        }
+        if (!mint || typeof mint !== 'string') {
+            throw new Error('mint is required');
+        }
+        if (isNaN(threshold) || (type !== 'price_above' && type !== 'price_below' && threshold <= 0)) {
+            throw new Error('threshold must be a number (positive for percent_change and price_impact)');
+        }
+
+        let url;
+        try {
+            url = new URL(webhookUrl);
+        } catch (error) {
+            throw new Error('webhookUrl must be a valid URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('webhookUrl must use http or https');
+        }
+
+        const rule = {
+            id: `alert_${crypto.randomBytes(8).toString('hex')}`,
+            type,
+            mint,
+            threshold,
+            windowMs: type === 'percent_change' ? parseInt(input.windowMs, 10) || 60 * 60 * 1000 : null,
+            direction: type === 'percent_change' ? (['up', 'down'].includes(input.direction) ? input.direction : 'any') : null,
+            sizeUSD: type === 'price_impact' ? parseFloat(input.sizeUSD) || 1000 : null,
+            webhookUrl: url.toString(),
+            secret: input.secret || crypto.randomBytes(24).toString('hex'),
+            cooldownMs: parseInt(input.cooldownMs, 10) || 15 * 60 * 1000,
+            enabled: input.enabled !== false,
+            createdAt: new Date().toISOString(),
+            active: false,
+            lastValue: null,
+            lastEvaluatedAt: null,
+            lastTriggeredAt: null,
+            triggerCount: 0
+        };
+
+        this.rules.set(rule.id, rule);
+        await this.save();
+        return { ...this.toPublicRule(rule), secret: rule.secret };
+    }
+
+    async deleteRule(id) {
+        const deleted = this.rules.delete(id);
+        if (deleted) await this.save();
+        return deleted;
+    }
+
+    async setRuleEnabled(id, enabled) {
+        const rule = this.rules.get(id);
+        if (!rule) return null;
+        rule.enabled = Boolean(enabled);
+        await this.save();
+        return this.toPublicRule(rule);
+    }
+
+    listRules() {
+        return [...this.rules.values()].map(rule => this.toPublicRule(rule));
+    }
+
+    getRule(id) {
+        const rule = this.rules.get(id);
+        return rule ? this.toPublicRule(rule) : null;
+    }
+
+    getDeliveries(ruleId = null, limit = 50) {
+        return this.deliveries
+            .filter(delivery => !ruleId || delivery.ruleId === ruleId)
+            .slice(-limit)
+            .reverse();
+    }
+
+    toPublicRule(rule) {
+        const { secret, ...publicRule } = rule;
+        return publicRule;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.evaluateAll().catch(error => this.logger.warn('⚠️  Alert evaluation failed', { error: error.message }));
+        }, this.intervalMs);
+        this.timer.unref?.();
+        this.logger.info(`🔔 Evaluating alert rules every ${this.intervalMs}ms`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * One evaluation round: each mint is priced once and shared by its rules
+     */
+    async evaluateAll() {
+        if (this.evaluating) return;
+        this.evaluating = true;
+
+        try {
+            const enabled = [...this.rules.values()].filter(rule => rule.enabled);
+            const priceMints = new Set(enabled.filter(rule => rule.type !== 'price_impact').map(rule => rule.mint));
+            const prices = new Map();
+
+            for (const mint of priceMints) {
+                const result = await this.checker.getTokenPriceInUSDC(mint, 1);
+                if (result.success) {
+                    prices.set(mint, result.pricing.pricePerToken);
+                    this.recordSample(mint, result.pricing.pricePerToken);
+                }
+            }
+
+            for (const rule of enabled) {
+                const value = rule.type === 'price_impact'
+                    ? await this.getImpact(rule)
+                    : this.getRuleValue(rule, prices.get(rule.mint));
+                if (value === null) continue;
+
+                rule.lastValue = value;
+                rule.lastEvaluatedAt = new Date().toISOString();
+
+                const conditionMet = this.isConditionMet(rule, value);
+                const coolingDown = rule.lastTriggeredAt &&
+                    Date.now() - Date.parse(rule.lastTriggeredAt) < rule.cooldownMs;
+
+                if (conditionMet && !rule.active && !coolingDown) {
+                    rule.lastTriggeredAt = new Date().toISOString();
+                    rule.triggerCount += 1;
+                    this.deliver(rule, value);
+                }
+                rule.active = conditionMet;
+            }
+
+            await this.save();
+        } finally {
+            this.evaluating = false;
+        }
+    }
+
+    recordSample(mint, price) {
+        if (!this.priceSamples.has(mint)) {
+            this.priceSamples.set(mint, []);
+        }
+
+        const samples = this.priceSamples.get(mint);
+        samples.push({ timestamp: Date.now(), price });
+
+        // Keep enough history for the longest percent_change window on this mint
+        const longestWindow = Math.max(0, ...[...this.rules.values()]
+            .filter(rule => rule.mint === mint && rule.windowMs)
+            .map(rule => rule.windowMs));
+        while (samples.length && samples[0].timestamp < Date.now() - longestWindow) {
+            samples.shift();
+        }
+    }
+
+    /**
+     * Current price for price rules, or percent change across the window
+     */
+    getRuleValue(rule, price) {
+        if (price === undefined) return null;
+        if (rule.type !== 'percent_change') return price;
+
+        const samples = (this.priceSamples.get(rule.mint) || [])
+            .filter(sample => sample.timestamp >= Date.now() - rule.windowMs);
+        if (samples.length < 2 || samples[0].price <= 0) return null;
+
+        return (price - samples[0].price) / samples[0].price * 100;
+    }
+
+    async getImpact(rule) {
+        const depthResult = await this.checker.getLiquidityDepth(rule.mint, {
+            sizes: [rule.sizeUSD],
+            unit: 'usd',
+            direction: 'sell'
+        });
+        const rung = depthResult.success ? depthResult.ladder.sell[0] : null;
+        return rung && rung.success ? rung.impactPct : null;
+    }
+
+    isConditionMet(rule, value) {
+        switch (rule.type) {
+            case 'price_above':
+                return value > rule.threshold;
+            case 'price_below':
+                return value < rule.threshold;
+            case 'percent_change':
+                if (rule.direction === 'up') return value >= rule.threshold;
+                if (rule.direction === 'down') return value <= -rule.threshold;
+                return Math.abs(value) >= rule.threshold;
+            case 'price_impact':
+                return value > rule.threshold;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Signature over `${timestamp}.${body}` so receivers can reject replays
+     */
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * POST the alert with retries (1s, 2s, 4s, ...); every attempt is logged
+     */
+    async deliver(rule, value) {
+        const deliveryId = `dlv_${crypto.randomBytes(8).toString('hex')}`;
+        const body = JSON.stringify({
+            id: deliveryId,
+            event: 'alert.triggered',
+            rule: this.toPublicRule(rule),
+            value,
+            threshold: rule.threshold,
+            triggeredAt: rule.lastTriggeredAt
+        });
+
+        this.logger.info('🔔 Alert fired', { ruleId: rule.id, type: rule.type, mint: rule.mint, value });
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            const timestamp = Date.now().toString();
+            const start = Date.now();
+            const entry = {
+                deliveryId,
+                ruleId: rule.id,
+                attempt,
+                url: rule.webhookUrl,
+                timestamp: new Date().toISOString()
+            };
+
+            try {
+                const response = await this.http.post(rule.webhookUrl, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Alert-Id': deliveryId,
+                        'X-Alert-Timestamp': timestamp,
+                        'X-Alert-Signature': `sha256=${this.sign(rule.secret, timestamp, body)}`
+                    }
+                });
+                this.logDelivery({ ...entry, status: 'delivered', statusCode: response.status, durationMs: Date.now() - start });
+                await this.save();
+                return true;
+            } catch (error) {
+                this.logDelivery({
+                    ...entry,
+                    status: attempt < this.maxAttempts ? 'retrying' : 'failed',
+                    statusCode: error.response?.status || null,
+                    error: error.message,
+                    durationMs: Date.now() - start
+                });
+            }
+
+            if (attempt < this.maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt - 1) * 1000));
+            }
+        }
+
+        await this.save();
+        return false;
+    }
+
+    logDelivery(entry) {
+        this.deliveries.push(entry);
+        if (this.deliveries.length > this.deliveryLogSize) {
+            this.deliveries.splice(0, this.deliveries.length - this.deliveryLogSize);
+        }
+    }
+
+    getStats() {
+        const rules = [...this.rules.values()];
+        return {
+            rules: rules.length,
+            enabled: rules.filter(rule => rule.enabled).length,
+            deliveries: this.deliveries.length,
+            failedDeliveries: this.deliveries.filter(delivery => delivery.status === 'failed').length,
+            evaluating: Boolean(this.timer)
+        };
+    }
+}
+
+module.exports = {
+    ALERTS_FILE,
+    RULE_TYPES,
+    AlertManager
+};
@@ -0,0 +1,135 @@
+/**
+ * Exact token amount conversion.
+ *
+ * All base-unit amounts are BigInts; human-readable amounts are handled as
+ * decimal strings so no value ever passes through a float on its way to or
+ * from the chain. Float fields in responses are derived from these strings
+ * for convenience only.
+ */
+
+// Fractional digits kept for exact per-token prices
+const PRICE_PRECISION = 18;
+
+const POW10 = decimals => 10n ** BigInt(decimals);
+
+/**
+ * Expand a number or numeric string (including exponent notation) into a
+ * plain decimal string, e.g. 1e-7 -> "0.0000001"
+ */
+function toPlainDecimalString(value) {
+    const text = String(value).trim();
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(text);
+    if (!match || (!match[2] && !match[3])) {
+        throw new Error(`Invalid decimal amount: ${value}`);
+    }
+
+    const [, sign, intPart = '', fracPart = '', exponentText] = match;
+    const digits = `${intPart}${fracPart}`;
+    const pointIndex = intPart.length + parseInt(exponentText || '0', 10);
+    let plain;
+
+    if (pointIndex <= 0) {
+        plain = `0.${'0'.repeat(-pointIndex)}${digits}`;
+    } else if (pointIndex >= digits.length) {
+        plain = `${digits}${'0'.repeat(pointIndex - digits.length)}`;
+    } else {
+        plain = `${digits.slice(0, pointIndex)}.${digits.slice(pointIndex)}`;
+    }
+
+    return `${sign === '-' ? '-' : ''}${plain.replace(/^0+(?=\d)/, '')}`;
+}
+
+/**
+ * Human amount -> base units, truncating digits beyond `decimals`
+ */
+function toBaseUnits(amount, decimals) {
+    const plain = toPlainDecimalString(amount);
+    if (plain.startsWith('-')) {
+        throw new Error(`Amount must not be negative: ${amount}`);
+    }
+
+    const [intPart, fracPart = ''] = plain.split('.');
+    const fraction = fracPart.slice(0, decimals).padEnd(decimals, '0');
+    return BigInt(intPart || '0') * POW10(decimals) + BigInt(fraction || '0');
+}
+
+/**
+ * Base units -> exact decimal string without trailing zeros
+ */
+function fromBaseUnits(raw, decimals) {
+    const value = BigInt(raw);
+    const negative = value < 0n;
+    const absolute = negative ? -value : value;
+    const scale = POW10(decimals);
+    const intPart = (absolute / scale).toString();
+    const fracPart = decimals > 0
+        ? (absolute % scale).toString().padStart(decimals, '0').replace(/0+$/, '')
+        : '';
+
+    return `${negative ? '-' : ''}${intPart}${fracPart ? `.${fracPart}` : ''}`;
+}
+
+/**
+ * Parse a raw base-unit amount (string, number or BigInt), requiring a positive integer
+ */
+function parseBaseUnits(value) {
+    const text = typeof value === 'bigint' ? value.toString() : String(value).trim();
+    if (!/^\d+$/.test(text) || BigInt(text) <= 0n) {
+        throw new Error(`amountRaw must be a positive integer in base units: ${value}`);
+    }
+    return BigInt(text);
+}
+
+/**
+ * Exact per-token price as a decimal string:
+ * (outRaw / 10^outDecimals) / (inRaw / 10^inDecimals)
+ */
+function priceFromBaseUnits(inRaw, inDecimals, outRaw, outDecimals, precision = PRICE_PRECISION) {
+    if (BigInt(inRaw) === 0n) return '0';
+
+    const numerator = BigInt(outRaw) * POW10(inDecimals) * POW10(precision);
+    const denominator = BigInt(inRaw) * POW10(outDecimals);
+    return fromBaseUnits(numerator / denominator, precision);
+}
+
+/**
+ * Value of `amountRaw` tokens at an exact decimal `price`, in quote base units
+ */
+function valueAtPrice(amountRaw, tokenDecimals, price, quoteDecimals) {
+    const scaledPrice = toBaseUnits(price, PRICE_PRECISION);
+    return BigInt(amountRaw) * scaledPrice * POW10(quoteDecimals) / POW10(tokenDecimals + PRICE_PRECISION);
+}
+
+/**
+ * Exact `value * factor` as a decimal string truncated to `decimals` places
+ */
+function scaleDecimal(value, factor, decimals = PRICE_PRECISION) {
+    return fromBaseUnits(valueAtPrice(toBaseUnits(value, decimals), decimals, factor, decimals), decimals);
+}
+
+/**
+ * Float and exact fields of a quote, all derived from base-unit amounts
+ */
+function quoteFromBaseUnits({ amountRaw, inputDecimals, outAmountRaw, outputDecimals }) {
+    return {
+        amount: Number(fromBaseUnits(amountRaw, inputDecimals)),
+        amountRaw: BigInt(amountRaw),
+        outAmountRaw: BigInt(outAmountRaw),
+        inputDecimals,
+        outputDecimals,
+        pricePerToken: Number(priceFromBaseUnits(amountRaw, inputDecimals, outAmountRaw, outputDecimals)),
+        totalValueUSDC: Number(fromBaseUnits(outAmountRaw, outputDecimals))
+    };
+}
+
+module.exports = {
+    PRICE_PRECISION,
+    toPlainDecimalString,
+    toBaseUnits,
+    fromBaseUnits,
+    parseBaseUnits,
+    priceFromBaseUnits,
+    valueAtPrice,
+    scaleDecimal,
+    quoteFromBaseUnits
+};
@@ -0,0 +1,496 @@
+/**
+ * API keys, tiers and usage.
+ *
+ * Keys are persisted hashed to a local JSON file and each belongs to a tier
+ * that sets its rate limit, daily quota, batch size cap and allowed routes.
+ * Requests without a key use the anonymous tier, rate limited per IP, unless
+ * anonymous access is turned off. Usage is counted per key, per UTC day and
+ * per route, and written back to the file in the background.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const rateLimit = require('express-rate-limit');
+const { silentLogger } = require('./logger');
+const { PriceError } = require('./errors');
+
+const API_KEYS_FILE = 'api_keys.json';
+const ANONYMOUS_TIER = 'anonymous';
+const ADMIN_TIER = 'admin';
+const USAGE_RETENTION_DAYS = 31;
+const KEY_PREFIX = 'spk_';
+
+/**
+ * Built-in tiers. `routes` entries are `*`, `METHOD /path` or `METHOD /prefix*`
+ * (METHOD may be `*`) against route patterns such as `GET /api/price/:contractAddress`;
+ * admin routes additionally need `admin: true`. `dailyQuota: null` is unlimited.
+ */
+const DEFAULT_TIERS = {
+    anonymous: { rateLimit: { windowMs: 60 * 1000, max: 30 }, dailyQuota: null, batchMaxTokens: 10, routes: ['*'] },
+    free: { rateLimit: { windowMs: 60 * 1000, max: 60 }, dailyQuota: 10000, batchMaxTokens: 25, routes: ['*'] },
+    pro: { rateLimit: { windowMs: 60 * 1000, max: 600 }, dailyQuota: 250000, batchMaxTokens: 100, routes: ['*'] },
+    admin: { rateLimit: { windowMs: 60 * 1000, max: 600 }, dailyQuota: null, batchMaxTokens: 100, routes: ['*'], admin: true }
+};
+
+function hashKey(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function utcDay(time = Date.now()) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function msUntilNextUtcDay(time = Date.now()) {
+    const next = new Date(time);
+    next.setUTCHours(24, 0, 0, 0);
+    return next.getTime() - time;
+}
+
+function routeMatches(pattern, routeKey) {
+    if (pattern === '*') return true;
+    const [method, path = ''] = pattern.split(' ');
+    const [routeMethod, routePath] = routeKey.split(' ');
+    if (method !== '*' && method.toUpperCase() !== routeMethod) return false;
+    return path.endsWith('*') ? routePath.startsWith(path.slice(0, -1)) : path === routePath;
+}
+
+/**
+ * Problem with a tier definition, or null when it is valid
+ */
+function validateTier(name, tier) {
+    const positiveInteger = value => Number.isInteger(value) && value > 0;
+    if (!tier || typeof tier !== 'object') return `tier ${name} must be an object`;
+    if (!positiveInteger(tier.rateLimit?.windowMs) || !positiveInteger(tier.rateLimit?.max)) {
+        return `tier ${name} needs rateLimit.windowMs and rateLimit.max as positive integers`;
+    }
+    if (tier.dailyQuota !== null && !positiveInteger(tier.dailyQuota)) {
+        return `tier ${name} dailyQuota must be a positive integer or null`;
+    }
+    if (!positiveInteger(tier.batchMaxTokens)) return `tier ${name} batchMaxTokens must be a positive integer`;
+    if (!Array.isArray(tier.routes) || !tier.routes.every(route => typeof route === 'string')) {
+        return `tier ${name} routes must be a list of route patterns`;
+    }
+    return null;
+}
+
+class ApiKeyStore {
+    constructor({ file = API_KEYS_FILE, tiers = {}, flushIntervalMs = 10 * 1000, logger = silentLogger } = {}) {
+        this.file = file;
+        this.logger = logger;
+        this.flushIntervalMs = flushIntervalMs;
+        this.tiers = {};
+        this.keys = new Map();
+        this.keysByHash = new Map();
+        this.usage = {};
+        this.flushTimer = null;
+        this.saveQueue = Promise.resolve();
+        // Built-in tiers < tiers passed in (e.g. the anonymous limit from config) < tiers in the file
+        this.optionTiers = tiers;
+        this.fileTiers = null;
+        this.applyTiers();
+    }
+
+    /**
+     * Merge tier overrides over the built-in tiers; throws on an invalid tier
+     */
+    applyTiers() {
+        const tiers = { ...DEFAULT_TIERS };
+        for (const overrides of [this.optionTiers, this.fileTiers]) {
+            for (const [name, tier] of Object.entries(overrides || {})) {
+                tiers[name] = { ...tiers[name], ...tier, rateLimit: { ...tiers[name]?.rateLimit, ...tier.rateLimit } };
+            }
+        }
+        for (const [name, tier] of Object.entries(tiers)) {
+            const problem = validateTier(name, { dailyQuota: null, ...tier });
+            if (problem) throw new Error(problem);
+        }
+        this.tiers = Object.fromEntries(Object.entries(tiers).map(([name, tier]) => [name, { dailyQuota: null, ...tier }]));
+    }
+
+    /**
+     * Load keys, usage and tier overrides. A missing file starts empty; an
+     * unreadable one throws rather than being overwritten with no keys.
+     */
+    async load() {
+        let parsed;
+        try {
+            parsed = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.logger.info('🔑 No API keys file found, starting fresh');
+                return;
+            }
+            throw new Error(`Could not read API keys from ${this.file}: ${error.message}`);
+        }
+
+        if (parsed.tiers) {
+            this.fileTiers = parsed.tiers;
+            this.applyTiers();
+        }
+        (parsed.keys || []).forEach(key => {
+            this.keys.set(key.id, key);
+            this.keysByHash.set(key.hash, key.id);
+        });
+        this.usage = parsed.usage || {};
+        this.logger.info(`🔑 Loaded ${this.keys.size} API keys`);
+    }
+
+    save() {
+        const data = {
+            timestamp: Date.now(),
+            ...(this.fileTiers ? { tiers: this.fileTiers } : {}),
+            keys: [...this.keys.values()],
+            usage: this.usage
+        };
+
+        this.saveQueue = this.saveQueue
+            .then(() => fs.writeFile(this.file, JSON.stringify(data, null, 2)))
+            .catch(error => {
+                this.logger.warn('⚠️  Failed to save API keys', { error: error.message });
+            });
+        return this.saveQueue;
+    }
+
+    // Usage changes on every request, so it is written at most once per flush interval
+    scheduleSave() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.save();
+        }, this.flushIntervalMs);
+        this.flushTimer.unref?.();
+    }
+
+    async close() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+            await this.save();
+        }
+    }
+
+    getTier(name) {
+        return this.tiers[name] ? { name, ...this.tiers[name] } : null;
+    }
+
+    listTiers() {
+        return Object.keys(this.tiers).map(name => this.getTier(name));
+    }
+
+    toPublicKey(key) {
+        const { hash, ...rest } = key;
+        return { ...rest, active: !key.revokedAt };
+    }
+
+    /**
+     * Issue a key. The secret is only ever returned from this call; the store
+     * keeps its SHA-256 hash and a short prefix for identification.
+     */
+    async createKey({ name, tier }) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('name is required');
+        }
+        if (!this.tiers[tier] || tier === ANONYMOUS_TIER) {
+            throw new Error(`tier must be one of: ${Object.keys(this.tiers).filter(item => item !== ANONYMOUS_TIER).join(', ')}`);
+        }
+
+        const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const key = {
+            id: `key_${crypto.randomBytes(8).toString('hex')}`,
+            name: name.trim(),
+            tier,
+            prefix: secret.slice(0, KEY_PREFIX.length + 6),
+            hash: hashKey(secret),
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+            lastUsedAt: null
+        };
+
+        this.keys.set(key.id, key);
+        this.keysByHash.set(key.hash, key.id);
+        await this.save();
+        return { ...this.toPublicKey(key), key: secret };
+    }
+
+    listKeys() {
+        return [...this.keys.values()].map(key => this.toPublicKey(key));
+    }
+
+    getKey(id) {
+        const key = this.keys.get(id);
+        return key ? this.toPublicKey(key) : null;
+    }
+
+    /**
+     * Revoke a key; it stays listed (with its usage) but no longer authenticates
+     */
+    async revokeKey(id) {
+        const key = this.keys.get(id);
+        if (!key) return null;
+        if (!key.revokedAt) {
+            key.revokedAt = new Date().toISOString();
+            await this.save();
+        }
+        return this.toPublicKey(key);
+    }
+
+    /**
+     * Active key for a secret, or null
+     */
+    authenticate(secret) {
+        if (typeof secret !== 'string' || !secret.startsWith(KEY_PREFIX)) return null;
+        const key = this.keys.get(this.keysByHash.get(hashKey(secret)));
+        return key && !key.revokedAt ? key : null;
+    }
+
+    /**
+     * Count one request for `id` (a key ID, or the anonymous tier) on `routeKey`
+     */
+    recordUsage(id, routeKey, { rejected = false } = {}) {
+        const day = utcDay();
+        const entry = this.usage[id] || (this.usage[id] = { totalRequests: 0, days: {} });
+
+        if (!entry.days[day]) {
+            entry.days[day] = { requests: 0, rejected: 0, routes: {} };
+            const cutoff = utcDay(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+            Object.keys(entry.days).filter(date => date < cutoff).forEach(date => delete entry.days[date]);
+        }
+
+        const today = entry.days[day];
+        if (rejected) {
+            today.rejected += 1;
+        } else {
+            today.requests += 1;
+            today.routes[routeKey] = (today.routes[routeKey] || 0) + 1;
+            entry.totalRequests += 1;
+            if (this.keys.has(id)) this.keys.get(id).lastUsedAt = new Date().toISOString();
+        }
+        this.scheduleSave();
+    }
+
+    usedToday(id) {
+        return this.usage[id]?.days[utcDay()]?.requests || 0;
+    }
+
+    /**
+     * Usage report for the last `days` UTC days (newest first) with today's quota standing
+     */
+    getUsage(id, { days = 7 } = {}) {
+        const key = this.keys.get(id);
+        const tier = this.getTier(key ? key.tier : id === ANONYMOUS_TIER ? ANONYMOUS_TIER : ADMIN_TIER);
+        const entry = this.usage[id] || { totalRequests: 0, days: {} };
+        const usedToday = this.usedToday(id);
+
+        const history = [];
+        for (let offset = 0; offset < days; offset += 1) {
+            const date = utcDay(Date.now() - offset * 24 * 60 * 60 * 1000);
+            history.push({ date, ...(entry.days[date] || { requests: 0, rejected: 0, routes: {} }) });
+        }
+
+        return {
+            id,
+            key: key ? this.toPublicKey(key) : null,
+            tier,
+            today: {
+                date: utcDay(),
+                requests: usedToday,
+                quota: tier?.dailyQuota ?? null,
+                remaining: tier?.dailyQuota ? Math.max(0, tier.dailyQuota - usedToday) : null,
+                resetsInMs: msUntilNextUtcDay()
+            },
+            totalRequests: entry.totalRequests,
+            days: history
+        };
+    }
+
+    getStats() {
+        const keys = [...this.keys.values()];
+        return {
+            keys: keys.length,
+            activeKeys: keys.filter(key => !key.revokedAt).length,
+            tiers: Object.keys(this.tiers)
+        };
+    }
+}
+
+/**
+ * Express-side access control over an ApiKeyStore. `middleware()` runs per
+ * registered API route (it reads the route from `req.apiRoute`), identifies
+ * the caller, checks the tier's routes, daily quota and rate limit, counts
+ * usage, and sets `req.apiKey` (null when anonymous) and `req.apiTier`.
+ */
+class ApiKeyAuth {
+    constructor(store, { allowAnonymous = true, adminKey = null, logger = silentLogger } = {}) {
+        this.store = store;
+        this.allowAnonymous = allowAnonymous;
+        this.adminKeyHash = adminKey ? hashKey(adminKey) : null;
+        this.logger = logger;
+        this.limiters = new Map();
+    }
+
+    /**
+     * Key from the X-API-Key header, an `Authorization: Bearer` header or the
+     * apiKey query parameter
+     */
+    static extractKey(req, query = req.query) {
+        const header = req.headers['x-api-key'];
+        if (header) return String(header);
+        const authorization = req.headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) return authorization.slice('Bearer '.length).trim();
+        return typeof query?.apiKey === 'string' && query.apiKey !== '' ? query.apiKey : null;
+    }
+
+    /**
+     * `{ key, tier }` for a request, or `{ status, code, error, message }` when it is refused
+     */
+    identify(secret) {
+        if (!secret) {
+            if (!this.allowAnonymous) {
+                return {
+                    status: 401,
+                    code: 'UNAUTHORIZED',
+                    error: 'API key required',
+                    message: 'Send a key in the X-API-Key header or the apiKey query parameter'
+                };
+            }
+            return { key: null, id: ANONYMOUS_TIER, tier: this.store.getTier(ANONYMOUS_TIER) };
+        }
+
+        if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(hashKey(secret), 'hex'), Buffer.from(this.adminKeyHash, 'hex'))) {
+            return { key: { id: ADMIN_TIER, name: 'Configured admin key', tier: ADMIN_TIER }, id: ADMIN_TIER, tier: this.store.getTier(ADMIN_TIER) };
+        }
+
+        const key = this.store.authenticate(secret);
+        if (!key) {
+            return { status: 401, code: 'UNAUTHORIZED', error: 'Invalid API key', message: 'The API key is unknown or has been revoked' };
+        }
+        const tier = this.store.getTier(key.tier);
+        if (!tier) {
+            return { status: 403, code: 'FORBIDDEN', error: 'Unknown tier', message: `The key's tier ${key.tier} is not configured` };
+        }
+        return { key: this.store.toPublicKey(key), id: key.id, tier };
+    }
+
+    /**
+     * Whether `tier` may call `routeKey`; admin routes need an admin tier
+     */
+    static allows(tier, routeKey, { admin = false } = {}) {
+        if (admin && !tier.admin) return false;
+        return tier.admin || tier.routes.some(pattern => routeMatches(pattern, routeKey));
+    }
+
+    limiterFor(tier) {
+        if (!this.limiters.has(tier.name)) {
+            this.limiters.set(tier.name, rateLimit({
+                windowMs: tier.rateLimit.windowMs,
+                max: tier.rateLimit.max,
+                standardHeaders: 'draft-6',
+                // Keys are limited per key, anonymous callers per IP
+                keyGenerator: req => (req.apiKey ? req.apiKey.id : req.ip),
+                handler: (req, res) => {
+                    this.store.recordUsage(req.apiUsageId, req.apiRouteKey, { rejected: true });
+                    const resetTime = req.rateLimit?.resetTime;
+                    ApiKeyAuth.reject(req, res, {
+                        status: 429,
+                        code: 'RATE_LIMITED',
+                        error: 'Too many requests',
+                        message: `Rate limit of ${tier.rateLimit.max} requests per ${tier.rateLimit.windowMs / 1000}s exceeded for the ${tier.name} tier`,
+                        retryAfterMs: resetTime ? Math.max(0, resetTime.getTime() - Date.now()) : tier.rateLimit.windowMs
+                    }, { resetTime: Math.ceil(tier.rateLimit.windowMs / 1000) });
+                },
+                // Limiters are created on first use per tier, i.e. inside a request
+                validate: { creationStack: false }
+            }));
+        }
+        return this.limiters.get(tier.name);
+    }
+
+    /**
+     * Send a refusal. Routes with their own error format (`sendError`, e.g.
+     * the v2 envelope) get it as a PriceError; others get
+     * `{ success: false, error, message }` plus `extra`.
+     */
+    static reject(req, res, { status, code, error, message, retryAfterMs = null }, extra = {}) {
+        if (req.apiRoute?.sendError) {
+            return req.apiRoute.sendError(req, res, new PriceError(code, message, { retryAfterMs }));
+        }
+        return res.status(status).json({ success: false, error, message, ...extra });
+    }
+
+    middleware() {
+        return (req, res, next) => {
+            const route = req.apiRoute;
+            if (!route || route.auth === false) return next();
+
+            const routeKey = `${route.method.toUpperCase()} ${route.path}`;
+            const identity = this.identify(ApiKeyAuth.extractKey(req));
+            if (identity.status) {
+                return ApiKeyAuth.reject(req, res, identity);
+            }
+
+            const { key, id, tier } = identity;
+            req.apiKey = key;
+            req.apiTier = tier;
+            req.apiUsageId = id;
+            req.apiRouteKey = routeKey;
+            res.set('X-API-Tier', tier.name);
+
+            if (!ApiKeyAuth.allows(tier, routeKey, { admin: route.admin })) {
+                this.store.recordUsage(id, routeKey, { rejected: true });
+                return ApiKeyAuth.reject(req, res, {
+                    status: 403,
+                    code: 'FORBIDDEN',
+                    error: 'Forbidden',
+                    message: `${routeKey} is not available to the ${tier.name} tier`
+                });
+            }
+
+            if (tier.dailyQuota) {
+                const used = this.store.usedToday(id);
+                if (used >= tier.dailyQuota) {
+                    this.store.recordUsage(id, routeKey, { rejected: true });
+                    res.set('Retry-After', String(Math.ceil(msUntilNextUtcDay() / 1000)));
+                    return ApiKeyAuth.reject(req, res, {
+                        status: 429,
+                        code: 'QUOTA_EXCEEDED',
+                        error: 'Quota exceeded',
+                        message: `Daily quota of ${tier.dailyQuota} requests used; it resets at 00:00 UTC`,
+                        retryAfterMs: msUntilNextUtcDay()
+                    });
+                }
+                res.set('X-Quota-Limit', String(tier.dailyQuota));
+                res.set('X-Quota-Remaining', String(tier.dailyQuota - used - 1));
+            }
+
+            this.limiterFor(tier)(req, res, () => {
+                this.store.recordUsage(id, routeKey);
+                next();
+            });
+        };
+    }
+
+    /**
+     * Access check for a WebSocket upgrade on `routeKey` (no rate limiting;
+     * the connection counts as one request)
+     */
+    authorizeUpgrade(req, routeKey) {
+        const url = new URL(req.url, 'http://localhost');
+        const identity = this.identify(ApiKeyAuth.extractKey(req, Object.fromEntries(url.searchParams)));
+        if (identity.status || !ApiKeyAuth.allows(identity.tier, routeKey)) {
+            return false;
+        }
+        if (identity.tier.dailyQuota && this.store.usedToday(identity.id) >= identity.tier.dailyQuota) {
+            return false;
+        }
+        this.store.recordUsage(identity.id, routeKey);
+        return true;
+    }
+}
+
+module.exports = {
+    API_KEYS_FILE,
+    ANONYMOUS_TIER,
+    ADMIN_TIER,
+    DEFAULT_TIERS,
+    ApiKeyStore,
+    ApiKeyAuth
+};
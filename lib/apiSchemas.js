@@ -0,0 +1,483 @@
+/**
+ * JSON Schemas for the HTTP API: reusable components for the OpenAPI
+ * document plus small helpers the route definitions in server.js use.
+ */
+
+const { RULE_TYPES } = require('./alerts');
+const { ERROR_CODES } = require('./errors');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+// OpenAPI 3.0 ignores siblings of $ref, so nullable references go through allOf
+const nullable = schema => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+
+const SOLANA_ADDRESS_PATTERN = '^[1-9A-HJ-NP-Za-km-z]{32,44}$';
+
+const components = {
+    SolanaAddress: {
+        type: 'string',
+        pattern: SOLANA_ADDRESS_PATTERN,
+        'x-pattern-message': 'must be a valid Solana address (32-44 base58 characters)',
+        example: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm'
+    },
+    BaseUnits: {
+        type: 'string',
+        pattern: '^0*[1-9][0-9]*$',
+        'x-pattern-message': 'must be a positive integer in the token\'s base units',
+        description: 'Exact integer amount in the token\'s smallest unit',
+        example: '1000000'
+    },
+    DecimalString: {
+        type: 'string',
+        description: 'Exact decimal value; the float fields next to it are for convenience only',
+        example: '0.000123456789'
+    },
+    Error: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            message: { type: 'string' },
+            suggestion: { type: 'string' }
+        }
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['success', 'error', 'message', 'details'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string', enum: ['Invalid request'] },
+            message: { type: 'string', description: 'Every problem, joined with "; "' },
+            details: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        in: { type: 'string', enum: ['path', 'query', 'body'] },
+                        path: { type: 'string', description: 'Parameter name or dotted body path' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    Token: {
+        type: 'object',
+        properties: {
+            address: ref('SolanaAddress'),
+            name: { type: 'string' },
+            symbol: { type: 'string' },
+            decimals: { type: 'integer' },
+            logoURI: nullable({ type: 'string' }),
+            source: { type: 'string', description: 'Where the token info came from (token-list, metaplex, token-2022, mint, fallback)' }
+        }
+    },
+    Quote: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['mint', 'fiat'] },
+            code: { type: 'string', example: 'USDC' },
+            mint: nullable(ref('SolanaAddress')),
+            decimals: { type: 'integer' },
+            fx: {
+                type: 'object',
+                description: 'Fiat quotes only: the USD rate applied on top of the USDC price',
+                properties: {
+                    base: { type: 'string' },
+                    via: { type: 'string' },
+                    rate: { type: 'string' },
+                    updatedAt: nullable({ type: 'string' })
+                }
+            }
+        }
+    },
+    Pricing: {
+        type: 'object',
+        properties: {
+            amount: { type: 'number' },
+            quote: ref('Quote'),
+            pricePerToken: { type: 'number', description: 'In the quote currency' },
+            totalValue: { type: 'number', description: 'In the quote currency' },
+            totalValueUSDC: nullable({ type: 'number' }),
+            method: { type: 'string', description: 'Provider that answered, or consensus' },
+            timestamp: { type: 'string', format: 'date-time' },
+            confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+            amountRaw: nullable(ref('BaseUnits')),
+            amountExact: nullable(ref('DecimalString')),
+            pricePerTokenExact: nullable(ref('DecimalString')),
+            totalValueExact: nullable(ref('DecimalString')),
+            totalValueUSDCExact: nullable(ref('DecimalString'))
+        }
+    },
+    RouteLeg: {
+        type: 'object',
+        properties: {
+            venue: { type: 'string' },
+            pool: nullable({ type: 'string' }),
+            inputMint: { type: 'string' },
+            outputMint: { type: 'string' },
+            inAmountRaw: nullable({ type: 'string' }),
+            outAmountRaw: nullable({ type: 'string' }),
+            fee: nullable({
+                type: 'object',
+                properties: { amountRaw: { type: 'string' }, mint: nullable({ type: 'string' }) }
+            }),
+            percent: { type: 'number' }
+        }
+    },
+    Route: {
+        type: 'object',
+        properties: {
+            source: { type: 'string' },
+            swapMode: { type: 'string', enum: ['ExactIn', 'ExactOut'] },
+            hops: { type: 'integer' },
+            venues: { type: 'array', items: { type: 'string' } },
+            legs: { type: 'array', items: ref('RouteLeg') },
+            priceImpactPct: nullable({ type: 'number' }),
+            slippageBps: nullable({ type: 'integer' }),
+            minOutAmountRaw: nullable({ type: 'string' }),
+            minOutAmount: nullable(ref('DecimalString')),
+            maxInAmountRaw: nullable({ type: 'string' }),
+            maxInAmount: nullable(ref('DecimalString'))
+        }
+    },
+    PriceAdditional: {
+        type: 'object',
+        properties: {
+            slippage: nullable({ type: 'string' }),
+            conversionPath: { type: 'string' },
+            route: ref('Route'),
+            priceImpactPct: nullable({ type: 'number' }),
+            cached: { type: 'boolean' },
+            ageMs: { type: 'integer' }
+        }
+    },
+    Consensus: {
+        type: 'object',
+        description: 'Present when consensus pricing was requested',
+        properties: {
+            aggregation: { type: 'string', enum: ['median', 'weighted'] },
+            tolerancePct: { type: 'number' },
+            confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+            sourcesQueried: { type: 'integer' },
+            sourcesPriced: { type: 'integer' },
+            sourcesAgreeing: { type: 'integer' },
+            spreadPct: { type: 'number' },
+            outliers: { type: 'array', items: { type: 'string' } },
+            representative: { type: 'string' },
+            sources: { type: 'array', items: { type: 'object' } }
+        }
+    },
+    RiskSummary: {
+        type: 'object',
+        description: 'Present when a risk summary was requested',
+        properties: {
+            available: { type: 'boolean' },
+            riskLevel: { type: 'string' },
+            findings: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { code: { type: 'string' }, severity: { type: 'string' }, message: { type: 'string' } }
+                }
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+            error: { type: 'string', description: 'Why the report is unavailable' }
+        }
+    },
+    PriceResult: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            token: ref('Token'),
+            pricing: ref('Pricing'),
+            additional: ref('PriceAdditional'),
+            consensus: ref('Consensus'),
+            risk: ref('RiskSummary')
+        }
+    },
+    BatchSummary: {
+        type: 'object',
+        properties: {
+            totalTokens: { type: 'integer' },
+            successfulPrices: { type: 'integer' },
+            failedPrices: { type: 'integer' },
+            partial: { type: 'boolean' },
+            quote: ref('Quote'),
+            totalValue: { type: 'string' },
+            totalValueExact: nullable(ref('DecimalString')),
+            totalValueUSDC: nullable({ type: 'string' }),
+            totalValueUSDCExact: nullable(ref('DecimalString')),
+            durationMs: { type: 'integer' },
+            latency: { type: 'object' },
+            failures: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        index: { type: 'integer' },
+                        contractAddress: { type: 'string' },
+                        error: { type: 'string' },
+                        code: ref('ErrorCode')
+                    }
+                }
+            }
+        }
+    },
+    Candle: {
+        type: 'object',
+        properties: {
+            time: { type: 'string', format: 'date-time' },
+            openTime: { type: 'integer' },
+            open: { type: 'number' },
+            high: { type: 'number' },
+            low: { type: 'number' },
+            close: { type: 'number' },
+            volume: { type: 'number' },
+            samples: { type: 'integer' }
+        }
+    },
+    AlertRuleInput: {
+        type: 'object',
+        required: ['type', 'mint', 'threshold', 'webhookUrl'],
+        properties: {
+            type: { type: 'string', enum: RULE_TYPES },
+            mint: ref('SolanaAddress'),
+            threshold: { type: 'number', description: 'USDC price, percent change, or impact percent' },
+            webhookUrl: { type: 'string', format: 'uri', description: 'http or https URL receiving signed alert payloads' },
+            windowMs: { type: 'integer', minimum: 1, description: 'percent_change only (default 3600000)' },
+            direction: { type: 'string', enum: ['up', 'down', 'any'], description: 'percent_change only (default any)' },
+            sizeUSD: { type: 'number', exclusiveMinimum: true, minimum: 0, description: 'price_impact only (default 1000)' },
+            cooldownMs: { type: 'integer', minimum: 1, description: 'Minimum time between firings (default 900000)' },
+            secret: { type: 'string', minLength: 1, description: 'HMAC secret; generated when omitted' },
+            enabled: { type: 'boolean' }
+        }
+    },
+    AlertRule: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            type: { type: 'string' },
+            mint: { type: 'string' },
+            threshold: { type: 'number' },
+            windowMs: nullable({ type: 'integer' }),
+            direction: nullable({ type: 'string' }),
+            sizeUSD: nullable({ type: 'number' }),
+            webhookUrl: { type: 'string' },
+            cooldownMs: { type: 'integer' },
+            enabled: { type: 'boolean' },
+            createdAt: { type: 'string', format: 'date-time' },
+            active: { type: 'boolean' },
+            lastValue: nullable({ type: 'number' }),
+            lastEvaluatedAt: nullable({ type: 'string' }),
+            lastTriggeredAt: nullable({ type: 'string' }),
+            triggerCount: { type: 'integer' },
+            secret: { type: 'string', description: 'Only returned when the rule is created' }
+        }
+    },
+    AlertDelivery: {
+        type: 'object',
+        properties: {
+            deliveryId: { type: 'string' },
+            ruleId: { type: 'string' },
+            attempt: { type: 'integer' },
+            url: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            status: { type: 'string', enum: ['delivered', 'retrying', 'failed'] },
+            statusCode: nullable({ type: 'integer' }),
+            error: { type: 'string' },
+            durationMs: { type: 'integer' }
+        }
+    },
+    FxRate: {
+        type: 'object',
+        properties: {
+            code: { type: 'string', example: 'EUR' },
+            rate: { type: 'string', description: 'Units of the currency per USD' },
+            updatedAt: nullable({ type: 'string', format: 'date-time' }),
+            stale: { type: 'boolean' }
+        }
+    },
+    Tier: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            rateLimit: {
+                type: 'object',
+                properties: { windowMs: { type: 'integer' }, max: { type: 'integer' } }
+            },
+            dailyQuota: nullable({ type: 'integer', description: 'Requests per UTC day; null is unlimited' }),
+            batchMaxTokens: { type: 'integer' },
+            routes: { type: 'array', items: { type: 'string' }, description: 'Allowed route patterns, e.g. * or GET /api/price/*' },
+            admin: { type: 'boolean' }
+        }
+    },
+    ApiKey: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            tier: { type: 'string' },
+            prefix: { type: 'string', description: 'First characters of the key, for identification' },
+            createdAt: { type: 'string', format: 'date-time' },
+            revokedAt: nullable({ type: 'string', format: 'date-time' }),
+            lastUsedAt: nullable({ type: 'string', format: 'date-time' }),
+            active: { type: 'boolean' },
+            key: { type: 'string', description: 'The secret; only returned when the key is created' }
+        }
+    },
+    ApiUsage: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', description: 'Key ID, or anonymous / admin' },
+            key: nullable(ref('ApiKey')),
+            tier: ref('Tier'),
+            today: {
+                type: 'object',
+                properties: {
+                    date: { type: 'string', format: 'date' },
+                    requests: { type: 'integer' },
+                    quota: nullable({ type: 'integer' }),
+                    remaining: nullable({ type: 'integer' }),
+                    resetsInMs: { type: 'integer' }
+                }
+            },
+            totalRequests: { type: 'integer' },
+            days: {
+                type: 'array',
+                description: 'Newest first',
+                items: {
+                    type: 'object',
+                    properties: {
+                        date: { type: 'string', format: 'date' },
+                        requests: { type: 'integer' },
+                        rejected: { type: 'integer', description: 'Refused for rate limit, quota or route access' },
+                        routes: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Requests by route pattern' }
+                    }
+                }
+            }
+        }
+    },
+    FxRateInput: {
+        description: 'a positive number or decimal string',
+        anyOf: [
+            { type: 'number', minimum: 0, exclusiveMinimum: true, description: 'a positive number' },
+            { type: 'string', pattern: '^[0-9]*\\.?[0-9]+$', description: 'a decimal string' }
+        ]
+    },
+    FxTable: {
+        type: 'object',
+        properties: {
+            base: { type: 'string', enum: ['USD'] },
+            via: { type: 'string', enum: ['USDC'] },
+            rates: { type: 'array', items: ref('FxRate') }
+        }
+    },
+    ErrorCode: {
+        type: 'string',
+        enum: Object.keys(ERROR_CODES),
+        description: Object.entries(ERROR_CODES).map(([code, { status }]) => `${code} (${status})`).join(', ')
+    },
+    V2Meta: {
+        type: 'object',
+        required: ['apiVersion', 'requestId', 'timestamp'],
+        description: 'Request metadata; some routes add their own fields (e.g. processingTimeMs)',
+        properties: {
+            apiVersion: { type: 'string', enum: ['2'] },
+            requestId: { type: 'string', description: 'Matches the X-Request-Id response header and log lines' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    V2ErrorBody: {
+        type: 'object',
+        required: ['code', 'message', 'retryable'],
+        properties: {
+            code: ref('ErrorCode'),
+            message: { type: 'string' },
+            retryable: { type: 'boolean', description: 'Whether the same request may succeed later' },
+            retryAfterMs: { type: 'integer', description: 'Also sent as the Retry-After header (seconds)' },
+            details: { description: 'Validation problems, per-source failures or other context' },
+            suggestion: { type: 'string' }
+        }
+    },
+    V2Error: {
+        type: 'object',
+        required: ['success', 'error', 'meta'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: ref('V2ErrorBody'),
+            meta: ref('V2Meta')
+        }
+    },
+    V2Price: {
+        type: 'object',
+        properties: {
+            token: ref('Token'),
+            pricing: ref('Pricing'),
+            additional: ref('PriceAdditional'),
+            consensus: ref('Consensus'),
+            risk: ref('RiskSummary')
+        }
+    },
+    V2BatchItem: {
+        type: 'object',
+        required: ['index', 'contractAddress', 'success'],
+        description: 'data on success, error otherwise',
+        properties: {
+            index: { type: 'integer' },
+            contractAddress: { type: 'string' },
+            success: { type: 'boolean' },
+            latencyMs: { type: 'integer' },
+            data: ref('V2Price'),
+            error: ref('V2ErrorBody')
+        }
+    }
+};
+
+/**
+ * `{ success: true, data }` response schema, with optional extra top-level properties
+ */
+function envelope(data, extra = {}) {
+    return {
+        type: 'object',
+        required: ['success', 'data'],
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            data,
+            ...extra
+        }
+    };
+}
+
+/**
+ * v2 `{ success: true, data, meta }` response schema
+ */
+function envelopeV2(data) {
+    return {
+        type: 'object',
+        required: ['success', 'data', 'meta'],
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            data,
+            meta: ref('V2Meta')
+        }
+    };
+}
+
+const requestMetadata = {
+    type: 'object',
+    properties: { requestId: { type: 'string', description: 'Matches the X-Request-Id response header and log lines' } }
+};
+
+const errorResponse = description => ({ description, schema: ref('Error') });
+
+module.exports = {
+    SOLANA_ADDRESS_PATTERN,
+    components,
+    ref,
+    nullable,
+    envelope,
+    envelopeV2,
+    requestMetadata,
+    errorResponse
+};
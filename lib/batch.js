@@ -0,0 +1,88 @@
+/**
+ * Bounded-concurrency helpers for batch pricing
+ */
+const { toBaseUnits, fromBaseUnits } = require('./amounts');
+
+const USDC_DECIMALS = 6;
+
+/**
+ * Map `items` through an async `worker` with at most `concurrency` calls in
+ * flight. Results keep the input order regardless of completion order.
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function lane() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const lanes = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: lanes }, lane));
+    return results;
+}
+
+/**
+ * Exact sum of `field` (a decimal string) across results, or null unless
+ * every result reported one
+ */
+function sumExact(results, field, decimals) {
+    if (results.some(result => result.pricing[field] === null || result.pricing[field] === undefined)) {
+        return null;
+    }
+    const total = results.reduce((sum, result) => sum + toBaseUnits(result.pricing[field], decimals), 0n);
+    return fromBaseUnits(total, decimals);
+}
+
+/**
+ * Summary block for a finished batch: value totals in the batch's quote
+ * currency (plus USDC when available), per-token latency and details for
+ * every token that failed
+ */
+function summarizeBatch(entries, durationMs, quote = null) {
+    const successful = entries.filter(entry => entry.result.success);
+    const failed = entries.filter(entry => !entry.result.success);
+    const results = successful.map(entry => entry.result);
+    const latencies = entries.map(entry => entry.latencyMs);
+    const quoteInfo = quote || results[0]?.pricing.quote || null;
+    const hasUSDC = results.every(result => typeof result.pricing.totalValueUSDC === 'number');
+
+    return {
+        totalTokens: entries.length,
+        successfulPrices: successful.length,
+        failedPrices: failed.length,
+        partial: successful.length > 0 && failed.length > 0,
+        quote: quoteInfo,
+        totalValue: results.reduce((sum, result) => sum + result.pricing.totalValue, 0).toFixed(quoteInfo?.decimals ?? USDC_DECIMALS),
+        totalValueExact: sumExact(results, 'totalValueExact', quoteInfo?.decimals ?? USDC_DECIMALS),
+        totalValueUSDC: hasUSDC
+            ? results.reduce((sum, result) => sum + result.pricing.totalValueUSDC, 0).toFixed(USDC_DECIMALS)
+            : null,
+        // Only exact when every successful token reported an exact value
+        totalValueUSDCExact: hasUSDC ? sumExact(results, 'totalValueUSDCExact', USDC_DECIMALS) : null,
+        durationMs,
+        latency: {
+            averageMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : 0,
+            maxMs: latencies.length ? Math.max(...latencies) : 0,
+            perToken: entries.map(entry => ({
+                index: entry.index,
+                contractAddress: entry.contractAddress,
+                latencyMs: entry.latencyMs
+            }))
+        },
+        failures: failed.map(entry => ({
+            index: entry.index,
+            contractAddress: entry.contractAddress,
+            error: entry.result.error,
+            code: entry.result.code
+        }))
+    };
+}
+
+module.exports = {
+    mapWithConcurrency,
+    summarizeBatch
+};
@@ -0,0 +1,331 @@
+/**
+ * Central configuration.
+ *
+ * Every tunable lives in SCHEMA with its type, default and environment
+ * variable. Values are layered defaults < config file < environment <
+ * explicit overrides, validated in one pass, and any problems are reported
+ * together so a bad deployment fails at startup rather than on first use.
+ *
+ * The config file is JSON shaped like the dotted paths below
+ * (`{ "server": { "port": 8080 } }`), read from `CONFIG_FILE`,
+ * `PRICE_CHECKER_CONFIG` or `price-checker.config.json` when present. String
+ * values may reference environment variables as `${NAME}`, which keeps
+ * credentials such as RPC auth headers out of the file.
+ */
+const fs = require('fs');
+const { redactUrl } = require('./endpointPool');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+
+const DEFAULT_CONFIG_FILE = 'price-checker.config.json';
+
+const SCHEMA = {
+    'endpoints.solanaRpc': {
+        type: 'endpointList',
+        default: ['https://api.mainnet-beta.solana.com', 'https://rpc.ankr.com/solana', 'https://solana-api.projectserum.com'],
+        env: 'SOLANA_RPC_URLS'
+    },
+    'endpoints.jupiterQuote': { type: 'endpointList', default: ['https://quote-api.jup.ag/v6'], env: 'JUPITER_QUOTE_URLS' },
+    'endpoints.jupiterTokens': { type: 'endpointList', default: ['https://token.jup.ag/all'], env: 'JUPITER_TOKENS_URLS' },
+    'endpoints.jupiterPrice': { type: 'string', default: 'https://price.jup.ag/v4', env: 'JUPITER_PRICE_URL' },
+
+    'endpointPool.failureThreshold': { type: 'integer', min: 1, default: 3, env: 'ENDPOINT_FAILURE_THRESHOLD' },
+    'endpointPool.cooldownMs': { type: 'integer', min: 0, default: 30 * 1000, env: 'ENDPOINT_COOLDOWN_MS' },
+    'endpointPool.maxSlotLag': { type: 'integer', min: 0, default: 50, env: 'ENDPOINT_MAX_SLOT_LAG' },
+
+    'http.timeoutMs': { type: 'integer', min: 100, default: 15000, env: 'HTTP_TIMEOUT_MS' },
+    'http.maxRetries': { type: 'integer', min: 0, max: 10, default: 3, env: 'HTTP_MAX_RETRIES' },
+    'http.userAgent': { type: 'string', default: 'SolanaTokenChecker/1.0', env: 'HTTP_USER_AGENT' },
+
+    'cache.tokenCacheFile': { type: 'string', default: 'token_cache.json', env: 'TOKEN_CACHE_FILE' },
+    'cache.tokenListTtlMs': { type: 'integer', min: 0, default: 60 * 60 * 1000, env: 'TOKEN_LIST_TTL_MS' },
+    'cache.priceFreshMs': { type: 'integer', min: 0, default: 30 * 1000, env: 'PRICE_CACHE_FRESH_MS' },
+    'cache.priceStaleMs': { type: 'integer', min: 0, default: 5 * 60 * 1000, env: 'PRICE_CACHE_STALE_MS' },
+    'cache.riskSummaryTtlMs': { type: 'integer', min: 0, default: 10 * 60 * 1000, env: 'RISK_SUMMARY_TTL_MS' },
+
+    'pricing.slippageBps': { type: 'integer', min: 0, max: 10000, default: 50, env: 'DEFAULT_SLIPPAGE_BPS' },
+    'pricing.alternativeSlippageBps': { type: 'integerList', min: 0, max: 10000, default: [100, 200, 500], env: 'ALTERNATIVE_SLIPPAGE_BPS' },
+    'pricing.consensusTolerancePct': { type: 'number', min: 0, max: 100, default: 2, env: 'CONSENSUS_TOLERANCE_PCT' },
+
+    'fx.file': { type: 'string', default: 'fx_rates.json', env: 'FX_RATES_FILE' },
+    'fx.maxAgeMs': { type: 'integer', min: 0, default: 24 * 60 * 60 * 1000, env: 'FX_MAX_AGE_MS' },
+
+    'history.file': { type: 'string', default: 'price_history.jsonl', env: 'HISTORY_FILE' },
+    'history.retentionMs': { type: 'integer', min: 0, default: 7 * 24 * 60 * 60 * 1000, env: 'HISTORY_RETENTION_MS' },
+    'history.watchMints': { type: 'stringList', default: [], env: 'HISTORY_WATCH_MINTS' },
+    'history.sampleIntervalMs': { type: 'integer', min: 1000, default: 60 * 1000, env: 'HISTORY_SAMPLE_INTERVAL_MS' },
+
+    'server.port': { type: 'integer', min: 0, max: 65535, default: 3000, env: 'PORT' },
+    // Rate limit of the anonymous API tier, per IP; keyed tiers are defined in the API keys file
+    'server.rateLimit.windowMs': { type: 'integer', min: 1000, default: 60 * 1000, env: 'RATE_LIMIT_WINDOW_MS' },
+    'server.rateLimit.max': { type: 'integer', min: 1, default: 30, env: 'RATE_LIMIT_MAX' },
+    'server.batchMaxTokens': { type: 'integer', min: 1, default: 100, env: 'BATCH_MAX_TOKENS' },
+    'server.batchConcurrency': { type: 'integer', min: 1, default: 5, env: 'BATCH_CONCURRENCY' },
+    'server.streamPollIntervalMs': { type: 'integer', min: 1000, default: 10 * 1000, env: 'STREAM_POLL_INTERVAL_MS' },
+    'server.streamHeartbeatMs': { type: 'integer', min: 1000, default: 25 * 1000, env: 'STREAM_HEARTBEAT_MS' },
+    'server.alertIntervalMs': { type: 'integer', min: 1000, default: 30 * 1000, env: 'ALERT_INTERVAL_MS' },
+    'server.alertsFile': { type: 'string', default: 'alerts.json', env: 'ALERTS_FILE' },
+
+    'auth.keysFile': { type: 'string', default: 'api_keys.json', env: 'API_KEYS_FILE' },
+    'auth.anonymous': { type: 'string', values: ['allow', 'deny'], default: 'allow', env: 'API_ANONYMOUS_ACCESS' },
+    // Bootstrap key for the admin routes; never stored, never shown by describe()
+    'auth.adminKey': { type: 'string', minLength: 16, optional: true, secret: true, default: null, env: 'API_ADMIN_KEY' },
+
+    // Server logging; the library itself is silent unless handed a logger
+    'log.level': { type: 'string', values: LOG_LEVELS, default: 'info', env: 'LOG_LEVEL' },
+    'log.format': { type: 'string', values: LOG_FORMATS, default: 'pretty', env: 'LOG_FORMAT' }
+};
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => {
+        if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+        return node[key];
+    }, object);
+    target[last] = value;
+}
+
+/**
+ * Replace `${NAME}` references in file strings with environment values
+ */
+function interpolate(value, env, path, problems) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => {
+            if (env[name] === undefined) {
+                problems.push(`${path} references unset environment variable ${name}`);
+                return '';
+            }
+            return env[name];
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolate(item, env, `${path}[${index}]`, problems));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env, path ? `${path}.${key}` : key, problems)]));
+    }
+    return value;
+}
+
+/**
+ * Environment strings to schema types; lists are comma-separated
+ */
+function parseEnvValue(spec, raw) {
+    const list = () => raw.split(',').map(item => item.trim()).filter(Boolean);
+    switch (spec.type) {
+        case 'integer':
+        case 'number':
+            return raw.trim() === '' ? NaN : Number(raw);
+        case 'integerList':
+            return list().map(Number);
+        case 'stringList':
+        case 'endpointList':
+            return list();
+        default:
+            return raw;
+    }
+}
+
+function checkNumber(spec, value, integer) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+        return integer ? 'must be an integer' : 'must be a number';
+    }
+    if (spec.min !== undefined && value < spec.min) return `must be >= ${spec.min}`;
+    if (spec.max !== undefined && value > spec.max) return `must be <= ${spec.max}`;
+    return null;
+}
+
+function checkEndpoint(entry) {
+    const url = typeof entry === 'string' ? entry : entry?.url;
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+        return 'must be an http(s) URL or { url, name, headers, rateLimitPerSecond }';
+    }
+    if (typeof entry === 'object') {
+        if (entry.headers !== undefined && (typeof entry.headers !== 'object' || Object.values(entry.headers).some(value => typeof value !== 'string'))) {
+            return 'headers must be an object of strings';
+        }
+        if (entry.rateLimitPerSecond !== undefined && entry.rateLimitPerSecond !== null
+            && !(typeof entry.rateLimitPerSecond === 'number' && entry.rateLimitPerSecond > 0)) {
+            return 'rateLimitPerSecond must be a positive number';
+        }
+    }
+    return null;
+}
+
+/**
+ * Problem with `value` for `spec`, or null when it is valid
+ */
+function validateValue(spec, value) {
+    if (spec.optional && (value === null || value === undefined)) return null;
+
+    switch (spec.type) {
+        case 'integer':
+            return checkNumber(spec, value, true);
+        case 'number':
+            return checkNumber(spec, value, false);
+        case 'string':
+            if (typeof value !== 'string' || value === '') return 'must be a non-empty string';
+            if (spec.minLength !== undefined && value.length < spec.minLength) return `must be at least ${spec.minLength} characters`;
+            return !spec.values || spec.values.includes(value) ? null : `must be one of: ${spec.values.join(', ')}`;
+        case 'integerList':
+            if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty list of integers';
+            return value.map(item => checkNumber(spec, item, true)).find(Boolean) || null;
+        case 'stringList':
+            return Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'must be a list of strings';
+        case 'endpointList':
+            if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty list of endpoints';
+            return value.map(checkEndpoint).find(Boolean) || null;
+        default:
+            return `has unknown schema type ${spec.type}`;
+    }
+}
+
+/**
+ * Paths present in a file or override object that the schema does not know
+ */
+function unknownPaths(object, prefix = '') {
+    return Object.entries(object || {}).flatMap(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (SCHEMA[path]) return [];
+        if (value && typeof value === 'object' && !Array.isArray(value)
+            && Object.keys(SCHEMA).some(known => known.startsWith(`${path}.`))) {
+            return unknownPaths(value, path);
+        }
+        return [path];
+    });
+}
+
+/**
+ * Endpoint with credentials hidden: URL secrets and header values
+ */
+function redactEndpoint(entry) {
+    if (typeof entry === 'string') return redactUrl(entry);
+    return {
+        ...entry,
+        url: redactUrl(entry.url),
+        headers: Object.fromEntries(Object.keys(entry.headers || {}).map(key => [key, '***']))
+    };
+}
+
+class Config {
+    /**
+     * Build from layered sources. `file: false` skips the config file.
+     * Throws ConfigError listing every invalid or unknown setting.
+     */
+    static load({ file, env = process.env, overrides = {} } = {}) {
+        const problems = [];
+        const values = {};
+        const sources = {};
+
+        for (const [path, spec] of Object.entries(SCHEMA)) {
+            setPath(values, path, spec.default);
+            sources[path] = 'default';
+        }
+
+        const apply = (layer, source) => {
+            for (const path of Object.keys(SCHEMA)) {
+                const value = getPath(layer, path);
+                if (value !== undefined) {
+                    setPath(values, path, value);
+                    sources[path] = source;
+                }
+            }
+        };
+
+        const configFile = file === false ? null : (file || env.CONFIG_FILE || env.PRICE_CHECKER_CONFIG || null);
+        const filePath = configFile || (file !== false && fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+        if (filePath) {
+            try {
+                const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                unknownPaths(parsed).forEach(path => problems.push(`${path}: unknown setting in ${filePath}`));
+                const fileProblems = [];
+                const interpolated = interpolate(parsed, env, '', fileProblems);
+                fileProblems.forEach(problem => problems.push(`${problem} in ${filePath}`));
+                apply(interpolated, `file:${filePath}`);
+            } catch (error) {
+                problems.push(`${filePath}: ${error.code === 'ENOENT' ? 'config file not found' : error.message}`);
+            }
+        }
+
+        for (const [path, spec] of Object.entries(SCHEMA)) {
+            const raw = spec.env ? env[spec.env] : undefined;
+            if (raw !== undefined && raw !== '') {
+                setPath(values, path, parseEnvValue(spec, raw));
+                sources[path] = `env:${spec.env}`;
+            }
+        }
+
+        unknownPaths(overrides).forEach(path => problems.push(`${path}: unknown setting`));
+        apply(overrides, 'override');
+
+        for (const [path, spec] of Object.entries(SCHEMA)) {
+            const problem = validateValue(spec, getPath(values, path));
+            if (problem) {
+                problems.push(`${path} ${problem} (from ${sources[path]})`);
+            }
+        }
+
+        if (getPath(values, 'cache.priceStaleMs') < getPath(values, 'cache.priceFreshMs')) {
+            problems.push('cache.priceStaleMs must be >= cache.priceFreshMs');
+        }
+
+        if (problems.length > 0) {
+            throw new ConfigError(problems);
+        }
+        return new Config(values, sources, filePath);
+    }
+
+    constructor(values, sources = {}, file = null) {
+        this.values = values;
+        this.sources = sources;
+        this.file = file;
+    }
+
+    get(path) {
+        const value = getPath(this.values, path);
+        if (value === undefined && !SCHEMA[path] && !Object.keys(SCHEMA).some(known => known.startsWith(`${path}.`))) {
+            throw new Error(`Unknown config setting: ${path}`);
+        }
+        return value;
+    }
+
+    /**
+     * Effective settings with credentials redacted, plus where each came from
+     */
+    describe() {
+        const settings = {};
+        for (const [path, spec] of Object.entries(SCHEMA)) {
+            const value = this.get(path);
+            if (spec.secret) {
+                setPath(settings, path, value === null ? null : '***');
+            } else {
+                setPath(settings, path, spec.type === 'endpointList' ? value.map(redactEndpoint) : value);
+            }
+        }
+
+        return {
+            file: this.file,
+            settings,
+            sources: this.sources
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    SCHEMA,
+    Config,
+    ConfigError
+};
@@ -0,0 +1,205 @@
+/**
+ * Multi-source price consensus.
+ *
+ * Instead of trusting the first provider that answers, every active provider
+ * is asked in parallel, plus a reverse-direction quote (buying the same
+ * amount with the quote mint). Prices are aggregated by median or by a
+ * liquidity weight, sources deviating beyond a tolerance are flagged as
+ * outliers, and confidence comes from how many sources agree and how tightly.
+ */
+const { PRICE_PRECISION, toBaseUnits, fromBaseUnits, priceFromBaseUnits, valueAtPrice, quoteFromBaseUnits } = require('./amounts');
+const { describeRoute } = require('./route');
+const { PriceError, toPriceError, combineErrors } = require('./errors');
+
+const AGGREGATIONS = ['median', 'weighted'];
+const REVERSE_SOURCE = 'reverse_quote';
+const WEIGHT_SCALE = 1000000n;
+
+/**
+ * Buy `amountRaw` tokens with the quote mint (ExactOut) and invert, so the
+ * price comes from the other side of the book
+ */
+async function quoteReverse(checker, tokenMint, tokenInfo, quote, amountRaw) {
+    const tokenDecimals = tokenInfo.decimals ?? 6;
+    const buy = await checker.tryQuoteApi(quote.mint, null, { decimals: quote.decimals }, tokenMint, {
+        swapMode: 'ExactOut',
+        amountRaw,
+        quoteDecimals: tokenDecimals
+    });
+    if (!buy.success) return { success: false, error: buy.error };
+
+    return {
+        success: true,
+        ...quoteFromBaseUnits({
+            amountRaw: buy.outAmountRaw,
+            inputDecimals: tokenDecimals,
+            outAmountRaw: buy.amountRaw,
+            outputDecimals: quote.decimals
+        }),
+        swapMode: 'ExactOut',
+        priceImpactPct: buy.priceImpactPct,
+        route: buy.route
+    };
+}
+
+/**
+ * Lower impact means deeper liquidity behind the price; sources that do not
+ * report impact get a neutral weight of 1
+ */
+function liquidityWeight(impact) {
+    if (typeof impact !== 'number' || !Number.isFinite(impact)) return 1;
+    return 1 / Math.max(Math.abs(impact), 0.0001);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2n;
+}
+
+/**
+ * Reference price for outlier checks. With an even count the plain median is
+ * a midpoint no source reported, which can put every source out of tolerance;
+ * use whichever middle price more sources agree with instead.
+ */
+function referencePrice(prices, tolerancePct) {
+    const sorted = [...prices].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const middle = Math.floor(sorted.length / 2);
+    if (sorted.length % 2) return sorted[middle];
+
+    const agreeingWith = candidate => prices.filter(price => Math.abs(deviationPct(price, candidate)) <= tolerancePct).length;
+    const [lower, upper] = [sorted[middle - 1], sorted[middle]];
+    return agreeingWith(upper) > agreeingWith(lower) ? upper : lower;
+}
+
+function weightedMean(sources) {
+    const weights = sources.map(source => BigInt(Math.max(1, Math.round(source.weight * Number(WEIGHT_SCALE)))));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0n);
+    const weighted = sources.reduce((sum, source, index) => sum + source.priceScaled * weights[index], 0n);
+    return weighted / totalWeight;
+}
+
+function deviationPct(priceScaled, referenceScaled) {
+    if (referenceScaled === 0n) return 0;
+    const basisPoints = (priceScaled - referenceScaled) * 1000000n / referenceScaled;
+    return Number(basisPoints) / 10000;
+}
+
+/**
+ * Confidence from agreement, not from which method answered
+ */
+function consensusConfidence(agreeing, total, spreadPct, tolerancePct) {
+    if (agreeing >= 3 && spreadPct <= tolerancePct / 2 && agreeing === total) return 'high';
+    if (agreeing >= 2 && agreeing * 2 > total) return 'medium';
+    return 'low';
+}
+
+/**
+ * Consensus price for `amount` (or `amountRaw`) of `tokenMint` in `quote`
+ * (a resolved mint quote from checker.resolveQuote)
+ */
+async function getConsensusPrice(checker, tokenMint, amount, quote, {
+    amountRaw = null,
+    tolerancePct = 2,
+    aggregation = 'median',
+    reverse = true
+} = {}) {
+    if (!AGGREGATIONS.includes(aggregation)) {
+        throw new PriceError('INVALID_REQUEST', `aggregation must be one of: ${AGGREGATIONS.join(', ')}`);
+    }
+
+    const tokenInfo = await checker.getTokenInfo(tokenMint);
+    const decimals = tokenInfo.decimals ?? 6;
+    const raw = amountRaw !== null ? BigInt(amountRaw) : toBaseUnits(amount, decimals);
+    const context = { tokenInfo, amountRaw: raw, quoteDecimals: quote.decimals };
+
+    // A mint priced in itself needs no consensus; the identity provider only adds noise otherwise
+    const providers = checker.getActiveProviders().filter(provider => provider.name !== 'identity');
+    const tasks = providers.map(provider => ({
+        source: provider.name,
+        run: () => checker.runProvider(provider, tokenMint, Number(fromBaseUnits(raw, decimals)), quote.mint, context)
+    }));
+    if (reverse) {
+        tasks.push({ source: REVERSE_SOURCE, run: () => quoteReverse(checker, tokenMint, tokenInfo, quote, raw) });
+    }
+
+    const sources = await Promise.all(tasks.map(async task => {
+        const start = Date.now();
+        const result = await task.run().catch(error => ({ success: false, error }));
+        const latencyMs = Date.now() - start;
+
+        if (!result.success || result.outAmountRaw === undefined || BigInt(result.outAmountRaw) === 0n) {
+            const error = result.error ? toPriceError(result.error) : new PriceError('NO_LIQUIDITY', 'No price returned');
+            return { source: task.source, success: false, error: error.message, code: error.code, failure: error, latencyMs };
+        }
+
+        const priceExact = priceFromBaseUnits(result.amountRaw, result.inputDecimals, result.outAmountRaw, result.outputDecimals);
+        const route = describeRoute(result, task.source);
+        return {
+            source: task.source,
+            success: true,
+            price: Number(priceExact),
+            priceExact,
+            priceScaled: toBaseUnits(priceExact, PRICE_PRECISION),
+            priceImpactPct: route.priceImpactPct,
+            weight: liquidityWeight(route.priceImpactPct),
+            venues: route.venues,
+            latencyMs,
+            result
+        };
+    }));
+
+    const priced = sources.filter(source => source.success);
+    if (priced.length === 0) {
+        throw combineErrors(sources.map(source => ({ source: source.source, error: source.failure })), 'No source returned a price');
+    }
+
+    // Outliers are judged against the median so one bad source cannot drag the reference
+    const reference = referencePrice(priced.map(source => source.priceScaled), tolerancePct);
+    priced.forEach(source => {
+        source.deviationPct = deviationPct(source.priceScaled, reference);
+        source.outlier = Math.abs(source.deviationPct) > tolerancePct;
+    });
+
+    const agreeing = priced.filter(source => !source.outlier);
+    // With two far-apart sources nobody is within tolerance of the midpoint; price from all of them at low confidence
+    const basis = agreeing.length > 0 ? agreeing : priced;
+    const consensusScaled = aggregation === 'weighted'
+        ? weightedMean(basis)
+        : median(basis.map(source => source.priceScaled));
+    const basisPrices = basis.map(source => source.priceScaled);
+    const spreadPct = basis.length > 1
+        ? deviationPct(basisPrices.reduce((a, b) => (a > b ? a : b)), basisPrices.reduce((a, b) => (a < b ? a : b)))
+        : 0;
+
+    // The source closest to consensus supplies route, slippage and method details
+    const representative = basis.reduce((best, source) => (
+        Math.abs(Number(source.priceScaled - consensusScaled)) < Math.abs(Number(best.priceScaled - consensusScaled)) ? source : best
+    ));
+
+    const priceExact = fromBaseUnits(consensusScaled, PRICE_PRECISION);
+    const totalValueExact = fromBaseUnits(valueAtPrice(raw, decimals, priceExact, quote.decimals), quote.decimals);
+
+    return {
+        tokenInfo,
+        representative: { source: representative.source, result: representative.result },
+        priceExact,
+        totalValueExact,
+        consensus: {
+            aggregation,
+            tolerancePct,
+            confidence: consensusConfidence(agreeing.length, priced.length, spreadPct, tolerancePct),
+            sourcesQueried: sources.length,
+            sourcesPriced: priced.length,
+            sourcesAgreeing: agreeing.length,
+            spreadPct,
+            outliers: priced.filter(source => source.outlier).map(source => source.source),
+            sources: sources.map(({ result, priceScaled, failure, ...source }) => source)
+        }
+    };
+}
+
+module.exports = {
+    AGGREGATIONS,
+    getConsensusPrice
+};
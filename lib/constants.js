@@ -0,0 +1,26 @@
+/**
+ * Shared mint and program addresses
+ */
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDT_MINT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYb';
+
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1tgBAmAy6xXGV3';
+const METAPLEX_METADATA_PROGRAM = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+
+const RAYDIUM_AMM_V4_PROGRAM = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const RAYDIUM_CPMM_PROGRAM = 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C';
+const ORCA_WHIRLPOOL_PROGRAM = 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc';
+
+module.exports = {
+    USDC_MINT,
+    SOL_MINT,
+    USDT_MINT,
+    TOKEN_PROGRAM,
+    TOKEN_2022_PROGRAM,
+    METAPLEX_METADATA_PROGRAM,
+    RAYDIUM_AMM_V4_PROGRAM,
+    RAYDIUM_CPMM_PROGRAM,
+    ORCA_WHIRLPOOL_PROGRAM
+};
@@ -0,0 +1,181 @@
+/**
+ * Liquidity depth ladder.
+ *
+ * Quotes a token at increasing sizes in both directions through the checker's
+ * `tryQuoteApi` and reports how the effective price degrades, plus estimated
+ * sizes at which price impact crosses fixed thresholds.
+ */
+const { USDC_MINT } = require('./constants');
+const { fromBaseUnits } = require('./amounts');
+const { mapWithConcurrency } = require('./batch');
+const { PriceError, failureResult } = require('./errors');
+
+const DEFAULT_USD_LADDER = [10, 100, 1000, 10000, 100000];
+const IMPACT_THRESHOLDS = [1, 2, 5];
+const PROBE_USD = 1;
+const USDC_INFO = { address: USDC_MINT, decimals: 6 };
+
+const round = value => Number(value.toFixed(6));
+
+/**
+ * Mid price from a small buy and the matching sell, used as the zero-impact reference
+ */
+async function getReferencePrice(checker, tokenMint, tokenInfo) {
+    const buy = await checker.tryQuoteApi(USDC_MINT, PROBE_USD, USDC_INFO, tokenMint);
+    if (!buy.success || !(buy.totalValueUSDC > 0)) {
+        throw new PriceError(buy.error?.code || 'NO_LIQUIDITY', 'Could not quote a reference buy for this token', {
+            retryAfterMs: buy.error?.retryAfterMs ?? null
+        });
+    }
+
+    const sell = await checker.tryQuoteApi(tokenMint, buy.totalValueUSDC, tokenInfo, USDC_MINT, {
+        amountRaw: buy.outAmountRaw
+    });
+    if (!sell.success) {
+        throw new PriceError(sell.error?.code || 'NO_LIQUIDITY', 'Could not quote a reference sell for this token', {
+            retryAfterMs: sell.error?.retryAfterMs ?? null
+        });
+    }
+
+    const buyPrice = PROBE_USD / buy.totalValueUSDC;
+    const sellPrice = sell.pricePerToken;
+    const mid = (buyPrice + sellPrice) / 2;
+
+    return {
+        mid,
+        buyPrice,
+        sellPrice,
+        spreadPct: round((buyPrice - sellPrice) / mid * 100),
+        probeUSD: PROBE_USD
+    };
+}
+
+/**
+ * Quote one rung. Sells spend tokens for USDC; buys spend USDC for tokens.
+ */
+async function quoteRung(checker, tokenMint, tokenInfo, reference, rung) {
+    const { side, sizeUSD, sizeTokens } = rung;
+    const quote = side === 'sell'
+        ? await checker.tryQuoteApi(tokenMint, sizeTokens, tokenInfo, USDC_MINT)
+        : await checker.tryQuoteApi(USDC_MINT, sizeUSD, USDC_INFO, tokenMint);
+
+    if (!quote.success || !(quote.totalValueUSDC > 0)) {
+        return { sizeUSD, sizeTokens, success: false, error: 'No route for this size' };
+    }
+
+    const effectivePrice = side === 'sell'
+        ? quote.pricePerToken
+        : sizeUSD / quote.totalValueUSDC;
+    const impactPct = side === 'sell'
+        ? (reference.mid - effectivePrice) / reference.mid * 100
+        : (effectivePrice - reference.mid) / reference.mid * 100;
+
+    return {
+        sizeUSD: round(sizeUSD),
+        sizeTokens: round(sizeTokens),
+        success: true,
+        inputAmount: quote.amount,
+        outputAmount: quote.totalValueUSDC,
+        effectivePrice,
+        impactPct: round(impactPct),
+        routePriceImpactPct: quote.priceImpactPct,
+        slippageBps: quote.slippageBps,
+        minimumReceived: quote.minOutAmountRaw !== null && quote.minOutAmountRaw !== undefined
+            ? fromBaseUnits(quote.minOutAmountRaw, quote.outputDecimals)
+            : null
+    };
+}
+
+/**
+ * Linear interpolation of the size at which impact first reaches each threshold
+ */
+function estimateThresholds(rungs, reference, thresholds = IMPACT_THRESHOLDS) {
+    const points = rungs.filter(rung => rung.success);
+
+    return thresholds.map(thresholdPct => {
+        let previous = { sizeUSD: 0, impactPct: 0 };
+
+        for (const point of points) {
+            if (point.impactPct >= thresholdPct) {
+                const span = point.impactPct - previous.impactPct;
+                const fraction = span > 0 ? (thresholdPct - previous.impactPct) / span : 1;
+                const sizeUSD = previous.sizeUSD + fraction * (point.sizeUSD - previous.sizeUSD);
+
+                return {
+                    thresholdPct,
+                    sizeUSD: round(sizeUSD),
+                    sizeTokens: round(sizeUSD / reference.mid),
+                    beyondLadder: false
+                };
+            }
+            previous = point;
+        }
+
+        return { thresholdPct, sizeUSD: null, sizeTokens: null, beyondLadder: true };
+    });
+}
+
+/**
+ * Depth ladder for `tokenMint`. `sizes` are in USD (`unit: 'usd'`) or whole
+ * tokens (`unit: 'token'`); `direction` is 'sell', 'buy' or 'both'.
+ */
+async function getLiquidityDepth(checker, tokenMint, { sizes, unit = 'usd', direction = 'both', concurrency = 3 } = {}) {
+    try {
+        const tokenInfo = await checker.getTokenInfo(tokenMint);
+        const reference = await getReferencePrice(checker, tokenMint, tokenInfo);
+        const ladder = (sizes && sizes.length ? sizes : DEFAULT_USD_LADDER).slice().sort((a, b) => a - b);
+        const ladderUnit = sizes && sizes.length ? unit : 'usd';
+        const sides = direction === 'both' ? ['sell', 'buy'] : [direction];
+
+        const rungs = [];
+        for (const side of sides) {
+            for (const size of ladder) {
+                rungs.push({
+                    side,
+                    sizeUSD: ladderUnit === 'usd' ? size : size * reference.mid,
+                    sizeTokens: ladderUnit === 'usd' ? size / reference.mid : size
+                });
+            }
+        }
+
+        const quoted = await mapWithConcurrency(rungs, concurrency, rung => (
+            quoteRung(checker, tokenMint, tokenInfo, reference, rung)
+        ));
+
+        const result = {
+            success: true,
+            token: {
+                address: tokenInfo.address,
+                name: tokenInfo.name,
+                symbol: tokenInfo.symbol,
+                decimals: tokenInfo.decimals
+            },
+            unit: ladderUnit,
+            reference,
+            ladder: {},
+            thresholds: {},
+            timestamp: new Date().toISOString()
+        };
+
+        for (const side of sides) {
+            const sideRungs = quoted.filter((rung, index) => rungs[index].side === side);
+            result.ladder[side] = sideRungs;
+            result.thresholds[side] = estimateThresholds(sideRungs, reference);
+        }
+
+        return result;
+    } catch (error) {
+        checker.logger.error('❌ Error in getLiquidityDepth', { mint: tokenMint, error: error.message });
+        return failureResult(error, {
+            tokenMint,
+            suggestion: 'The token may not have a route to USDC, or the quote API may be unavailable'
+        });
+    }
+}
+
+module.exports = {
+    DEFAULT_USD_LADDER,
+    IMPACT_THRESHOLDS,
+    getLiquidityDepth,
+    estimateThresholds
+};
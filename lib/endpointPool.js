@@ -0,0 +1,340 @@
+/**
+ * Health-scored endpoint pool with circuit breakers.
+ *
+ * Every request goes to the healthiest endpoint first: lowest smoothed
+ * latency, weighted by recent error rate and (for RPC nodes) how far the
+ * node's slot lags the freshest one seen. Repeated failures open an
+ * endpoint's circuit; after a cooldown one request is let through as a
+ * half-open probe, which either closes the circuit or re-opens it.
+ * Endpoints may carry their own auth headers and a requests-per-second limit.
+ */
+const { silentLogger } = require('./logger');
+const { NO_ENDPOINT_AVAILABLE } = require('./errors');
+
+const CIRCUIT_CLOSED = 'closed';
+const CIRCUIT_OPEN = 'open';
+const CIRCUIT_HALF_OPEN = 'half_open';
+
+// Each slot of lag costs as much as this many ms of latency when ranking
+const SLOT_LAG_PENALTY_MS = 20;
+// Endpoints further behind than maxSlotLag rank after every fresh one
+const STALE_PENALTY_MS = 60 * 1000;
+// An endpoint failing every request ranks as if it took this long
+const ERROR_PENALTY_MS = 5000;
+const MAX_RATE_LIMIT_WAIT_MS = 2000;
+
+/**
+ * URL safe to show: query values and user info often carry API keys
+ */
+function redactUrl(url) {
+    const parsed = new URL(url);
+    if (!parsed.username && !parsed.password && !parsed.search) return url;
+
+    if (parsed.username || parsed.password) {
+        parsed.username = '***';
+        parsed.password = '';
+    }
+    for (const key of [...parsed.searchParams.keys()]) {
+        parsed.searchParams.set(key, '***');
+    }
+    return decodeURI(parsed.toString());
+}
+
+/**
+ * Whether a failed request says anything about the endpoint. A 4xx (other
+ * than 429) or an error flagged `endpointHealthy` is the caller's problem:
+ * another endpoint would answer the same, so there is no failover either.
+ */
+function isEndpointFault(error) {
+    if (error.endpointHealthy) return false;
+    const status = error.response?.status;
+    return !(status >= 400 && status < 500 && status !== 429);
+}
+
+class Endpoint {
+    constructor(config, index) {
+        const { url, name, headers = {}, rateLimitPerSecond = null } = typeof config === 'string' ? { url: config } : config;
+        if (!url || typeof url !== 'string') {
+            throw new Error('Endpoint requires a url');
+        }
+
+        this.url = url.replace(/\/+$/, '');
+        this.name = name || new URL(this.url).host;
+        this.index = index;
+        this.headers = headers;
+        this.rateLimitPerSecond = rateLimitPerSecond;
+        this.tokens = rateLimitPerSecond;
+        this.lastRefill = Date.now();
+
+        this.circuit = CIRCUIT_CLOSED;
+        this.openedAt = null;
+        this.probing = false;
+
+        this.latencyMs = null;
+        this.errorRate = 0;
+        this.slot = null;
+        this.slotUpdatedAt = null;
+        this.stats = {
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            rateLimited: 0,
+            lastSuccessAt: null,
+            lastFailureAt: null,
+            lastError: null
+        };
+    }
+
+    /**
+     * Take one request token; returns 0 on success or the ms until one is available
+     */
+    acquire() {
+        if (!this.rateLimitPerSecond) return 0;
+
+        const now = Date.now();
+        this.tokens = Math.min(this.rateLimitPerSecond, this.tokens + (now - this.lastRefill) * this.rateLimitPerSecond / 1000);
+        this.lastRefill = now;
+
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) * 1000 / this.rateLimitPerSecond);
+    }
+}
+
+class EndpointPool {
+    constructor(name, endpoints, {
+        failureThreshold = 3,
+        cooldownMs = 30 * 1000,
+        latencyAlpha = 0.3,
+        errorAlpha = 0.2,
+        maxSlotLag = 50,
+        logger = silentLogger
+    } = {}) {
+        if (!Array.isArray(endpoints) || endpoints.length === 0) {
+            throw new Error(`Endpoint pool ${name} requires at least one endpoint`);
+        }
+
+        this.name = name;
+        this.endpoints = endpoints.map((config, index) => new Endpoint(config, index));
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.latencyAlpha = latencyAlpha;
+        this.errorAlpha = errorAlpha;
+        this.maxSlotLag = maxSlotLag;
+        this.logger = logger;
+    }
+
+    highestSlot() {
+        return this.endpoints.reduce((highest, endpoint) => Math.max(highest, endpoint.slot ?? 0), 0);
+    }
+
+    slotLag(endpoint) {
+        return endpoint.slot === null ? null : this.highestSlot() - endpoint.slot;
+    }
+
+    /**
+     * Ranking score in ms, lower is better. Untried endpoints score 0 so they
+     * get sampled; ties keep configuration order.
+     */
+    score(endpoint) {
+        const lag = this.slotLag(endpoint) ?? 0;
+        const lagPenalty = lag > this.maxSlotLag ? STALE_PENALTY_MS : lag * SLOT_LAG_PENALTY_MS;
+        return (endpoint.latencyMs ?? 0) + endpoint.errorRate * ERROR_PENALTY_MS + lagPenalty;
+    }
+
+    /**
+     * Endpoints to try, best first. Open circuits are skipped until their
+     * cooldown has passed, then admitted one probe at a time.
+     */
+    candidates() {
+        const now = Date.now();
+        const available = this.endpoints.filter(endpoint => {
+            if (endpoint.circuit === CIRCUIT_CLOSED) return true;
+            if (endpoint.probing) return false;
+            if (endpoint.circuit === CIRCUIT_OPEN && now - endpoint.openedAt < this.cooldownMs) return false;
+            endpoint.circuit = CIRCUIT_HALF_OPEN;
+            return true;
+        });
+
+        return available.sort((a, b) => (this.score(a) - this.score(b)) || (a.index - b.index));
+    }
+
+    /**
+     * Run `fn(endpoint)` against the best endpoint, failing over to the next
+     * on endpoint faults. Throws the last error when every endpoint fails.
+     */
+    async request(fn) {
+        let lastError = null;
+        let attempted = false;
+        let waitMs = null;
+
+        for (const endpoint of this.candidates()) {
+            const waitFor = endpoint.acquire();
+            if (waitFor > 0) {
+                endpoint.stats.rateLimited += 1;
+                waitMs = waitMs === null ? waitFor : Math.min(waitMs, waitFor);
+                continue;
+            }
+
+            attempted = true;
+            const outcome = await this.attempt(endpoint, fn);
+            if (outcome.ok) return outcome.value;
+            lastError = outcome.error;
+            if (!isEndpointFault(outcome.error)) throw outcome.error;
+        }
+
+        // Everything usable was rate limited: wait for the first free slot once, then retry
+        if (!attempted && waitMs !== null && waitMs <= MAX_RATE_LIMIT_WAIT_MS) {
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+            return this.request(fn);
+        }
+
+        if (lastError) throw lastError;
+
+        const error = new Error(`No ${this.name} endpoint available (circuits open or rate limited)`);
+        error.code = NO_ENDPOINT_AVAILABLE;
+        error.retryAfterMs = waitMs ?? this.nextProbeInMs();
+        throw error;
+    }
+
+    /**
+     * Time until the first open circuit admits a probe, or null if none is open
+     */
+    nextProbeInMs() {
+        const waits = this.endpoints
+            .filter(endpoint => endpoint.circuit === CIRCUIT_OPEN)
+            .map(endpoint => Math.max(0, endpoint.openedAt + this.cooldownMs - Date.now()));
+        return waits.length > 0 ? Math.min(...waits) : null;
+    }
+
+    async attempt(endpoint, fn) {
+        const halfOpen = endpoint.circuit === CIRCUIT_HALF_OPEN;
+        if (halfOpen) endpoint.probing = true;
+        endpoint.stats.requests += 1;
+
+        const start = Date.now();
+        try {
+            const value = await fn(endpoint);
+            this.recordSuccess(endpoint, Date.now() - start);
+            return { ok: true, value };
+        } catch (error) {
+            if (isEndpointFault(error)) {
+                this.logger.warn(`⚠️  ${this.name} endpoint failed`, { endpoint: endpoint.name, error: error.message });
+                this.recordFailure(endpoint, error, Date.now() - start);
+            } else {
+                // The endpoint answered; the request itself was bad
+                this.recordSuccess(endpoint, Date.now() - start);
+            }
+            return { ok: false, error };
+        } finally {
+            if (halfOpen) endpoint.probing = false;
+        }
+    }
+
+    updateLatency(endpoint, latencyMs) {
+        endpoint.latencyMs = endpoint.latencyMs === null
+            ? latencyMs
+            : endpoint.latencyMs + this.latencyAlpha * (latencyMs - endpoint.latencyMs);
+    }
+
+    recordSuccess(endpoint, latencyMs) {
+        this.updateLatency(endpoint, latencyMs);
+        endpoint.errorRate *= 1 - this.errorAlpha;
+        endpoint.stats.successes += 1;
+        endpoint.stats.consecutiveFailures = 0;
+        endpoint.stats.lastSuccessAt = new Date().toISOString();
+
+        if (endpoint.circuit !== CIRCUIT_CLOSED) {
+            this.logger.info(`✅ ${this.name} endpoint recovered, closing circuit`, { endpoint: endpoint.name });
+            endpoint.circuit = CIRCUIT_CLOSED;
+            endpoint.openedAt = null;
+        }
+    }
+
+    /**
+     * Time-to-failure counts toward latency too, so timeouts rank slow
+     */
+    recordFailure(endpoint, error, latencyMs) {
+        this.updateLatency(endpoint, latencyMs);
+        endpoint.errorRate += this.errorAlpha * (1 - endpoint.errorRate);
+        endpoint.stats.failures += 1;
+        endpoint.stats.consecutiveFailures += 1;
+        endpoint.stats.lastFailureAt = new Date().toISOString();
+        endpoint.stats.lastError = error.message;
+
+        // A failed probe re-opens immediately; a closed circuit opens at the threshold
+        if (endpoint.circuit === CIRCUIT_HALF_OPEN) {
+            this.logger.warn(`🔌 ${this.name} endpoint probe failed, circuit re-opened`, { endpoint: endpoint.name });
+        } else if (endpoint.circuit === CIRCUIT_CLOSED && endpoint.stats.consecutiveFailures >= this.failureThreshold) {
+            this.logger.warn(`🔌 ${this.name} endpoint circuit opened`, {
+                endpoint: endpoint.name,
+                consecutiveFailures: endpoint.stats.consecutiveFailures
+            });
+        } else {
+            return;
+        }
+        endpoint.circuit = CIRCUIT_OPEN;
+        endpoint.openedAt = Date.now();
+    }
+
+    /**
+     * Record the slot an RPC node answered at (from a response's `context.slot`)
+     */
+    recordSlot(endpoint, slot) {
+        if (!Number.isInteger(slot)) return;
+        endpoint.slot = Math.max(endpoint.slot ?? 0, slot);
+        endpoint.slotUpdatedAt = new Date().toISOString();
+    }
+
+    health(endpoint) {
+        const lag = this.slotLag(endpoint);
+        let status = 'unknown';
+
+        if (endpoint.circuit !== CIRCUIT_CLOSED) {
+            status = 'unavailable';
+        } else if (endpoint.errorRate > 0.2 || (lag !== null && lag > this.maxSlotLag)) {
+            status = 'degraded';
+        } else if (endpoint.stats.successes > 0) {
+            status = 'healthy';
+        }
+
+        return {
+            name: endpoint.name,
+            url: redactUrl(endpoint.url),
+            status,
+            circuit: endpoint.circuit,
+            score: Math.round(this.score(endpoint)),
+            latencyMs: endpoint.latencyMs !== null ? Math.round(endpoint.latencyMs) : null,
+            errorRate: Math.round(endpoint.errorRate * 1000) / 1000,
+            slot: endpoint.slot,
+            slotLag: lag,
+            slotUpdatedAt: endpoint.slotUpdatedAt,
+            rateLimitPerSecond: endpoint.rateLimitPerSecond,
+            // Header names only; values are credentials
+            authHeaders: Object.keys(endpoint.headers),
+            ...endpoint.stats
+        };
+    }
+
+    getStats() {
+        return {
+            name: this.name,
+            failureThreshold: this.failureThreshold,
+            cooldownMs: this.cooldownMs,
+            highestSlot: this.highestSlot() || null,
+            endpoints: this.endpoints.map(endpoint => this.health(endpoint))
+        };
+    }
+}
+
+module.exports = {
+    CIRCUIT_CLOSED,
+    CIRCUIT_OPEN,
+    CIRCUIT_HALF_OPEN,
+    Endpoint,
+    EndpointPool,
+    redactUrl
+};
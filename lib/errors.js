@@ -0,0 +1,187 @@
+/**
+ * Typed errors for pricing and the HTTP API.
+ *
+ * Every failure carries a machine-readable code from ERROR_CODES, which also
+ * fixes the HTTP status the API answers with and whether retrying can help.
+ * Upstream failures (timeouts, 429s, open circuits, "no route" answers from
+ * the quote API) are classified here, so callers can tell "this token has no
+ * liquidity" from "the quote API is down" and only retry the latter.
+ */
+
+const ERROR_CODES = {
+    INVALID_REQUEST: { status: 400, message: 'Invalid request' },
+    INVALID_MINT: { status: 400, message: 'Invalid token mint address' },
+    INVALID_AMOUNT: { status: 400, message: 'Amount must be greater than 0' },
+    INVALID_QUOTE: { status: 400, message: 'Unknown quote currency' },
+    UNAUTHORIZED: { status: 401, message: 'API key required' },
+    FORBIDDEN: { status: 403, message: 'Forbidden' },
+    NOT_FOUND: { status: 404, message: 'Not found' },
+    UNKNOWN_TOKEN: { status: 404, message: 'No token mint exists at this address' },
+    NO_LIQUIDITY: { status: 422, message: 'No route with enough liquidity to price the token' },
+    RATE_LIMITED: { status: 429, message: 'Too many requests', retryable: true },
+    QUOTA_EXCEEDED: { status: 429, message: 'Daily quota exceeded', retryable: true },
+    INTERNAL_ERROR: { status: 500, message: 'Internal server error' },
+    UPSTREAM_UNAVAILABLE: { status: 502, message: 'Upstream service unavailable', retryable: true },
+    UPSTREAM_RATE_LIMITED: { status: 503, message: 'Upstream rate limit reached', retryable: true },
+    UPSTREAM_TIMEOUT: { status: 504, message: 'Upstream request timed out', retryable: true }
+};
+
+// Set by EndpointPool when every endpoint is behind an open circuit or rate limited
+const NO_ENDPOINT_AVAILABLE = 'NO_ENDPOINT_AVAILABLE';
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+// Jupiter's answers for pairs it cannot route
+const NO_ROUTE_CODES = ['COULD_NOT_FIND_ANY_ROUTE', 'NO_ROUTES_FOUND', 'TOKEN_NOT_TRADABLE', 'ROUTE_PLAN_DOES_NOT_CONSUME_ALL_THE_AMOUNT'];
+// When several sources fail for different reasons, the one most worth reporting
+const PRECEDENCE = ['UPSTREAM_RATE_LIMITED', 'UPSTREAM_TIMEOUT', 'UPSTREAM_UNAVAILABLE', 'INTERNAL_ERROR', 'NO_LIQUIDITY'];
+
+class PriceError extends Error {
+    /**
+     * `code` is a key of ERROR_CODES; `message` defaults to the code's.
+     * Options: `details` (JSON-safe context), `retryAfterMs`, `suggestion`, `cause`.
+     */
+    constructor(code, message, { details, retryAfterMs = null, suggestion, cause } = {}) {
+        if (!ERROR_CODES[code]) {
+            throw new Error(`Unknown error code: ${code}`);
+        }
+        super(message || ERROR_CODES[code].message, cause ? { cause } : undefined);
+        this.name = 'PriceError';
+        this.code = code;
+        this.status = ERROR_CODES[code].status;
+        this.retryable = Boolean(ERROR_CODES[code].retryable);
+        this.retryAfterMs = retryAfterMs;
+        this.details = details;
+        this.suggestion = suggestion;
+    }
+
+    /**
+     * Rebuild the error from a `{ success: false }` checker result (see failureResult)
+     */
+    static fromResult(result) {
+        return new PriceError(ERROR_CODES[result.code] ? result.code : 'INTERNAL_ERROR', result.error, {
+            details: result.details,
+            retryAfterMs: result.retryAfterMs ?? null,
+            suggestion: result.suggestion
+        });
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            message: this.message,
+            retryable: this.retryable,
+            retryAfterMs: this.retryAfterMs ?? undefined,
+            details: this.details,
+            suggestion: this.suggestion
+        };
+    }
+}
+
+/**
+ * Milliseconds from a Retry-After header (seconds or an HTTP date), or null
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isNoRoute(data) {
+    if (!data || typeof data !== 'object') return false;
+    return NO_ROUTE_CODES.includes(data.errorCode) || /no route|could not find any route|not tradable/i.test(data.error || '');
+}
+
+/**
+ * PriceError for anything thrown while pricing: typed errors pass through,
+ * HTTP and RPC failures are classified, anything else is INTERNAL_ERROR
+ */
+function toPriceError(error) {
+    if (error instanceof PriceError) return error;
+    if (!error) return new PriceError('INTERNAL_ERROR');
+
+    const options = { cause: error };
+    const response = error.response;
+
+    if (error.code === NO_ENDPOINT_AVAILABLE) {
+        return new PriceError('UPSTREAM_UNAVAILABLE', error.message, { ...options, retryAfterMs: error.retryAfterMs ?? null });
+    }
+    if (response?.status === 429) {
+        return new PriceError('UPSTREAM_RATE_LIMITED', undefined, {
+            ...options,
+            retryAfterMs: parseRetryAfter(response.headers?.['retry-after'])
+        });
+    }
+    if (response && isNoRoute(response.data)) {
+        return new PriceError('NO_LIQUIDITY', response.data.error || undefined, options);
+    }
+    if (TIMEOUT_CODES.includes(error.code) || /timeout/i.test(error.message)) {
+        return new PriceError('UPSTREAM_TIMEOUT', undefined, options);
+    }
+    if (response) {
+        return new PriceError('UPSTREAM_UNAVAILABLE', `Upstream answered HTTP ${response.status}`, options);
+    }
+    if (error.isAxiosError || error.rpcCode !== undefined) {
+        return new PriceError('UPSTREAM_UNAVAILABLE', error.message, options);
+    }
+    return new PriceError('INTERNAL_ERROR', error.message, options);
+}
+
+/**
+ * One error summarising why every source failed. Transient upstream trouble
+ * wins over NO_LIQUIDITY, since the sources that could not answer might have
+ * found a route; the per-source errors are kept in `details.sources`.
+ */
+function combineErrors(failures, message = 'All pricing methods failed') {
+    if (failures.length === 0) {
+        return new PriceError('UPSTREAM_UNAVAILABLE', `${message}: no price sources are enabled`);
+    }
+
+    const errors = failures.map(failure => toPriceError(failure.error));
+    const rank = error => {
+        const index = PRECEDENCE.indexOf(error.code);
+        return index === -1 ? PRECEDENCE.length : index;
+    };
+    const primary = errors.reduce((best, error) => (rank(error) < rank(best) ? error : best));
+    const retryAfters = errors
+        .filter(error => error.code === primary.code && error.retryAfterMs !== null)
+        .map(error => error.retryAfterMs);
+
+    return new PriceError(primary.code, `${message}: ${primary.message}`, {
+        retryAfterMs: retryAfters.length > 0 ? Math.max(...retryAfters) : null,
+        details: {
+            sources: failures.map((failure, index) => ({
+                source: failure.source,
+                code: errors[index].code,
+                message: errors[index].message
+            }))
+        }
+    });
+}
+
+/**
+ * `{ success: false, error, code, ... }` result for library methods that
+ * report failures instead of throwing; `error` stays the message
+ */
+function failureResult(error, fields = {}) {
+    const typed = toPriceError(error);
+    return {
+        success: false,
+        error: typed.message,
+        code: typed.code,
+        ...(typed.retryAfterMs !== null ? { retryAfterMs: typed.retryAfterMs } : {}),
+        ...(typed.details !== undefined ? { details: typed.details } : {}),
+        ...fields,
+        ...(typed.suggestion ? { suggestion: typed.suggestion } : {})
+    };
+}
+
+module.exports = {
+    ERROR_CODES,
+    NO_ENDPOINT_AVAILABLE,
+    PriceError,
+    toPriceError,
+    combineErrors,
+    failureResult,
+    parseRetryAfter
+};
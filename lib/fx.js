@@ -0,0 +1,119 @@
+/**
+ * Fiat conversion table.
+ *
+ * Rates are "units of currency per 1 USD" and are applied on top of the USDC
+ * price, so a fiat quote is only as good as the table. The table lives in a
+ * local JSON file next to the process and can be edited by hand or updated
+ * through `setRates`; nothing is fetched from the network.
+ */
+const fs = require('fs').promises;
+const { toPlainDecimalString } = require('./amounts');
+const { silentLogger } = require('./logger');
+
+const FX_RATES_FILE = 'fx_rates.json';
+const FIAT_CODE = /^[A-Z]{3}$/;
+
+class FxRates {
+    constructor({ file = FX_RATES_FILE, rates = {}, maxAgeMs = 24 * 60 * 60 * 1000, logger = silentLogger } = {}) {
+        this.file = file;
+        this.logger = logger;
+        this.maxAgeMs = maxAgeMs;
+        this.rates = new Map([['USD', { rate: '1', updatedAt: null }]]);
+        this.saveQueue = Promise.resolve();
+        this.applyRates(rates, null);
+    }
+
+    async load() {
+        try {
+            const parsed = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            for (const [code, entry] of Object.entries(parsed.rates || {})) {
+                this.applyRates({ [code]: entry.rate ?? entry }, entry.updatedAt || parsed.updatedAt || null);
+            }
+            this.logger.info(`💱 Loaded ${this.rates.size} FX rates`);
+        } catch (error) {
+            this.logger.info('💱 No FX rates file found, only USD is available');
+        }
+    }
+
+    save() {
+        const data = {
+            base: 'USD',
+            updatedAt: new Date().toISOString(),
+            rates: Object.fromEntries(this.rates)
+        };
+
+        this.saveQueue = this.saveQueue
+            .then(() => fs.writeFile(this.file, JSON.stringify(data, null, 2)))
+            .catch(error => {
+                this.logger.warn('⚠️  Failed to save FX rates', { error: error.message });
+            });
+        return this.saveQueue;
+    }
+
+    applyRates(rates, updatedAt) {
+        for (const [rawCode, rawRate] of Object.entries(rates)) {
+            const code = String(rawCode).toUpperCase();
+            const rate = Number(rawRate);
+
+            if (!FIAT_CODE.test(code)) {
+                throw new Error(`Invalid currency code: ${rawCode}`);
+            }
+            if (!Number.isFinite(rate) || rate <= 0) {
+                throw new Error(`Rate for ${code} must be a positive number`);
+            }
+            if (code === 'USD' && rate !== 1) {
+                throw new Error('USD is the base currency and always has rate 1');
+            }
+
+            this.rates.set(code, { rate: toPlainDecimalString(rawRate), updatedAt });
+        }
+    }
+
+    /**
+     * Update (or add) rates and persist the table
+     */
+    async setRates(rates) {
+        if (!rates || typeof rates !== 'object' || Object.keys(rates).length === 0) {
+            throw new Error('rates must be an object of { CODE: unitsPerUSD }');
+        }
+
+        this.applyRates(rates, new Date().toISOString());
+        await this.save();
+        return this.list();
+    }
+
+    has(code) {
+        return typeof code === 'string' && this.rates.has(code.toUpperCase());
+    }
+
+    getRate(code) {
+        const upper = String(code).toUpperCase();
+        const entry = this.rates.get(upper);
+        if (!entry) return null;
+
+        return {
+            code: upper,
+            rate: entry.rate,
+            updatedAt: entry.updatedAt,
+            // USD never goes stale; other rates are only as fresh as their last update
+            stale: upper !== 'USD' && (!entry.updatedAt || Date.now() - Date.parse(entry.updatedAt) > this.maxAgeMs)
+        };
+    }
+
+    list() {
+        return [...this.rates.keys()].sort().map(code => this.getRate(code));
+    }
+
+    getStats() {
+        return {
+            file: this.file,
+            currencies: this.rates.size,
+            stale: this.list().filter(rate => rate.stale).map(rate => rate.code)
+        };
+    }
+}
+
+module.exports = {
+    FX_RATES_FILE,
+    FxRates
+};
@@ -0,0 +1,230 @@
+/**
+ * Local price history.
+ *
+ * Every successful price observation is appended as one JSON line to a local
+ * file (the same "plain file next to the process" approach as the token
+ * cache) and kept in memory per mint for candle queries. Samples older than
+ * the retention window are dropped on load and as new samples arrive.
+ */
+const fs = require('fs').promises;
+const { silentLogger } = require('./logger');
+
+const HISTORY_FILE = 'price_history.jsonl';
+
+const CANDLE_INTERVALS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000
+};
+
+class PriceHistory {
+    constructor({ file = HISTORY_FILE, retentionMs = 7 * 24 * 60 * 60 * 1000, logger = silentLogger } = {}) {
+        this.file = file;
+        this.logger = logger;
+        this.retentionMs = retentionMs;
+        this.samples = new Map();
+        this.writeQueue = Promise.resolve();
+        this.sampler = null;
+    }
+
+    /**
+     * Load retained samples from disk, rewriting the file if any expired
+     */
+    async load() {
+        let content;
+        try {
+            content = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            this.logger.info('📈 No price history file found, starting fresh');
+            return;
+        }
+
+        const cutoff = Date.now() - this.retentionMs;
+        let dropped = 0;
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const sample = JSON.parse(line);
+                if (sample.timestamp < cutoff) {
+                    dropped += 1;
+                    continue;
+                }
+                this.addToMemory(sample);
+            } catch (error) {
+                dropped += 1;
+            }
+        }
+
+        for (const list of this.samples.values()) {
+            list.sort((a, b) => a.timestamp - b.timestamp);
+        }
+
+        if (dropped > 0) {
+            await this.compact();
+        }
+        this.logger.info(`📈 Loaded ${this.countSamples()} price history samples`);
+    }
+
+    addToMemory(sample) {
+        if (!this.samples.has(sample.mint)) {
+            this.samples.set(sample.mint, []);
+        }
+        this.samples.get(sample.mint).push(sample);
+    }
+
+    /**
+     * Record one observation: `{ mint, price, amount, value, method, timestamp }`
+     */
+    record(observation) {
+        const sample = {
+            mint: observation.mint,
+            price: observation.price,
+            amount: observation.amount,
+            value: observation.value,
+            method: observation.method,
+            timestamp: observation.timestamp || Date.now()
+        };
+
+        if (!sample.mint || !Number.isFinite(sample.price)) return;
+
+        this.addToMemory(sample);
+        this.prune(sample.mint);
+
+        this.writeQueue = this.writeQueue
+            .then(() => fs.appendFile(this.file, `${JSON.stringify(sample)}\n`))
+            .catch(error => {
+                this.logger.warn('⚠️  Failed to write price history', { error: error.message });
+            });
+    }
+
+    prune(mint) {
+        const list = this.samples.get(mint);
+        const cutoff = Date.now() - this.retentionMs;
+        while (list && list.length && list[0].timestamp < cutoff) {
+            list.shift();
+        }
+    }
+
+    /**
+     * Rewrite the history file with only the retained samples
+     */
+    async compact() {
+        const lines = [];
+        for (const list of this.samples.values()) {
+            list.forEach(sample => lines.push(JSON.stringify(sample)));
+        }
+
+        this.writeQueue = this.writeQueue
+            .then(() => fs.writeFile(this.file, lines.length ? `${lines.join('\n')}\n` : ''))
+            .catch(error => {
+                this.logger.warn('⚠️  Failed to compact price history', { error: error.message });
+            });
+        return this.writeQueue;
+    }
+
+    getSamples(mint, from = 0, to = Date.now()) {
+        return (this.samples.get(mint) || []).filter(sample => sample.timestamp >= from && sample.timestamp <= to);
+    }
+
+    /**
+     * OHLCV candles for `mint`. Volume is the sum of quoted token amounts in
+     * the bucket (observations, not trades); empty buckets are omitted.
+     */
+    getCandles(mint, interval, from, to) {
+        const intervalMs = CANDLE_INTERVALS[interval];
+        if (!intervalMs) {
+            throw new Error(`Unsupported interval: ${interval}`);
+        }
+
+        const candles = [];
+        let current = null;
+
+        for (const sample of this.getSamples(mint, from, to)) {
+            const openTime = Math.floor(sample.timestamp / intervalMs) * intervalMs;
+
+            if (!current || current.openTime !== openTime) {
+                current = {
+                    openTime,
+                    closeTime: openTime + intervalMs - 1,
+                    open: sample.price,
+                    high: sample.price,
+                    low: sample.price,
+                    close: sample.price,
+                    volume: 0,
+                    samples: 0
+                };
+                candles.push(current);
+            }
+
+            current.high = Math.max(current.high, sample.price);
+            current.low = Math.min(current.low, sample.price);
+            current.close = sample.price;
+            current.volume += sample.amount || 0;
+            current.samples += 1;
+        }
+
+        return candles.map(candle => ({
+            ...candle,
+            time: new Date(candle.openTime).toISOString()
+        }));
+    }
+
+    countSamples() {
+        let total = 0;
+        for (const list of this.samples.values()) total += list.length;
+        return total;
+    }
+
+    /**
+     * Periodically price a watch set of mints; each fresh price is recorded
+     * through the checker's normal observation hook
+     */
+    startSampler(checker, mints, intervalMs = 60 * 1000) {
+        this.stopSampler();
+        if (!mints || mints.length === 0) return;
+
+        let running = false;
+        const sample = async () => {
+            for (const mint of mints) {
+                await checker.getTokenPriceInUSDC(mint, 1, { noCache: true });
+            }
+        };
+
+        this.sampler = setInterval(() => {
+            // Skip a tick rather than overlap a slow round
+            if (running) return;
+            running = true;
+            sample()
+                .catch(error => this.logger.warn('⚠️  History sampler failed', { error: error.message }))
+                .finally(() => {
+                    running = false;
+                });
+        }, intervalMs);
+        this.sampler.unref?.();
+        this.logger.info(`📈 Sampling ${mints.length} watched mints every ${intervalMs}ms`);
+    }
+
+    stopSampler() {
+        if (this.sampler) {
+            clearInterval(this.sampler);
+            this.sampler = null;
+        }
+    }
+
+    getStats() {
+        return {
+            file: this.file,
+            mints: this.samples.size,
+            samples: this.countSamples(),
+            retentionMs: this.retentionMs,
+            sampling: Boolean(this.sampler)
+        };
+    }
+}
+
+module.exports = {
+    HISTORY_FILE,
+    CANDLE_INTERVALS,
+    PriceHistory
+};
@@ -0,0 +1,154 @@
+/**
+ * Leveled logger with request correlation.
+ *
+ * Library code logs through an injected Logger instead of the console; the
+ * default is silent so embedding the checker adds nothing to the host's logs.
+ * The server runs each request inside `withRequestContext`, and every line
+ * logged (or upstream call made) while it is in flight carries its requestId,
+ * across awaits, retries and failover.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const LOG_LEVELS = Object.keys(LEVELS);
+const LOG_FORMATS = ['pretty', 'json'];
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function generateRequestId() {
+    return `req_${crypto.randomUUID()}`;
+}
+
+/**
+ * Accept a caller-supplied correlation ID only if it is safe to echo into
+ * headers and log lines
+ */
+function isValidRequestId(value) {
+    return typeof value === 'string' && REQUEST_ID_PATTERN.test(value);
+}
+
+function withRequestContext(context, fn) {
+    return requestContext.run({ ...context }, fn);
+}
+
+/**
+ * Run `fn` outside any request, so long-lived timers it starts do not carry
+ * the ID of whichever request happened to start them
+ */
+function withoutRequestContext(fn) {
+    return requestContext.exit(fn);
+}
+
+function getRequestContext() {
+    return requestContext.getStore() || {};
+}
+
+function formatValue(value) {
+    if (typeof value === 'string') return /[\s"=]/.test(value) ? JSON.stringify(value) : value;
+    if (value instanceof Error) return JSON.stringify(value.message);
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+function defaultWrite(line, level) {
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+}
+
+class Logger {
+    constructor({ level = 'info', format = 'pretty', fields = {}, write = defaultWrite } = {}) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Log level must be one of: ${LOG_LEVELS.join(', ')}`);
+        }
+        if (!LOG_FORMATS.includes(format)) {
+            throw new Error(`Log format must be one of: ${LOG_FORMATS.join(', ')}`);
+        }
+
+        this.level = level;
+        this.format = format;
+        this.fields = fields;
+        this.write = write;
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    /**
+     * Logger that adds `fields` to every line
+     */
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            format: this.format,
+            fields: { ...this.fields, ...fields },
+            write: this.write
+        });
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        // An explicit requestId field wins over the ambient one (e.g. logging after a response finished)
+        const { requestId, ...extra } = { ...getRequestContext(), ...this.fields, ...fields };
+        for (const [key, value] of Object.entries(extra)) {
+            if (value === undefined) delete extra[key];
+            else if (value instanceof Error) extra[key] = value.message;
+        }
+
+        if (this.format === 'json') {
+            this.write(JSON.stringify({
+                time: new Date().toISOString(),
+                level,
+                msg: message,
+                ...(requestId ? { requestId } : {}),
+                ...extra
+            }), level);
+            return;
+        }
+
+        const details = Object.entries(extra).map(([key, value]) => `${key}=${formatValue(value)}`);
+        if (requestId) details.push(`[${requestId}]`);
+        this.write(details.length > 0 ? `${message} ${details.join(' ')}` : message, level);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+const silentLogger = new Logger({ level: 'silent' });
+
+/**
+ * Logger from an instance, options, or nothing (silent)
+ */
+function createLogger(options) {
+    if (options instanceof Logger) return options;
+    return options ? new Logger(options) : silentLogger;
+}
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    Logger,
+    silentLogger,
+    createLogger,
+    generateRequestId,
+    isValidRequestId,
+    withRequestContext,
+    withoutRequestContext,
+    getRequestContext
+};
@@ -0,0 +1,247 @@
+/**
+ * On-chain token metadata.
+ *
+ * A parsed mint account carries decimals but no name or symbol. Those live in
+ * the Metaplex metadata account (a PDA of the mint) or, for Token-2022 mints,
+ * in the mint's own TokenMetadata extension. Both are read over the checker's
+ * RPC endpoints and decoded here; every field records where it came from.
+ */
+const crypto = require('crypto');
+const { TOKEN_2022_PROGRAM, METAPLEX_METADATA_PROGRAM } = require('./constants');
+const { encodeBase58, decodeBase58, accountData, decodeMintDecimals } = require('./pools');
+
+// ed25519 field prime and curve constant d = -121665 / 121666
+const ED25519_P = 2n ** 255n - 19n;
+const ED25519_D = (-121665n * modPow(121666n, ED25519_P - 2n, ED25519_P)) % ED25519_P + ED25519_P;
+
+// Token-2022 mint layout: base mint padded to the token account size, then the account type byte
+const MINT_BASE_SIZE = 82;
+const EXTENSIONS_OFFSET = 166;
+const EXTENSION_METADATA_POINTER = 18;
+const EXTENSION_TOKEN_METADATA = 19;
+
+function modPow(base, exponent, modulus) {
+    let result = 1n;
+    base %= modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % modulus;
+        base = (base * base) % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+/**
+ * Whether 32 bytes decompress to an ed25519 point (program addresses must not)
+ */
+function isOnCurve(bytes) {
+    const y = BigInt(`0x${Buffer.from(bytes).reverse().toString('hex')}`) & ((1n << 255n) - 1n);
+    const y2 = (y * y) % ED25519_P;
+    const u = (y2 - 1n + ED25519_P) % ED25519_P;
+    const v = (ED25519_D * y2 + 1n) % ED25519_P;
+    const x2 = (u * modPow(v, ED25519_P - 2n, ED25519_P)) % ED25519_P;
+
+    // Euler's criterion: x^2 must be a square for the point to exist
+    return x2 === 0n || modPow(x2, (ED25519_P - 1n) / 2n, ED25519_P) === 1n;
+}
+
+/**
+ * Same derivation as `PublicKey.findProgramAddressSync`
+ */
+function findProgramAddress(seeds, programId) {
+    const program = decodeBase58(programId);
+
+    for (let bump = 255; bump >= 0; bump--) {
+        const hash = crypto.createHash('sha256');
+        seeds.forEach(seed => hash.update(seed));
+        hash.update(Buffer.from([bump]));
+        hash.update(program);
+        hash.update('ProgramDerivedAddress');
+        const candidate = hash.digest();
+
+        if (!isOnCurve(candidate)) {
+            return { address: encodeBase58(candidate), bump };
+        }
+    }
+
+    throw new Error('Unable to find a viable program address');
+}
+
+function getMetaplexMetadataAddress(mint) {
+    return findProgramAddress([
+        Buffer.from('metadata'),
+        decodeBase58(METAPLEX_METADATA_PROGRAM),
+        decodeBase58(mint)
+    ], METAPLEX_METADATA_PROGRAM).address;
+}
+
+/**
+ * Borsh string reader; Metaplex pads fixed-width strings with NULs
+ */
+function readString(data, offset) {
+    const length = data.readUInt32LE(offset);
+    const start = offset + 4;
+    if (start + length > data.length) {
+        throw new Error('String runs past end of account data');
+    }
+    return {
+        value: data.toString('utf8', start, start + length).replace(/\0+$/, '').trim(),
+        next: start + length
+    };
+}
+
+/**
+ * Decode the name / symbol / uri prefix of a Metaplex metadata account
+ */
+function decodeMetaplexMetadata(data) {
+    // key (1) + update authority (32) + mint (32)
+    if (data.length < 65 + 12) {
+        throw new Error('Metaplex metadata account too small');
+    }
+
+    const name = readString(data, 65);
+    const symbol = readString(data, name.next);
+    const uri = readString(data, symbol.next);
+
+    return {
+        updateAuthority: encodeBase58(data.subarray(1, 33)),
+        mint: encodeBase58(data.subarray(33, 65)),
+        name: name.value,
+        symbol: symbol.value,
+        uri: uri.value
+    };
+}
+
+/**
+ * Walk the Token-2022 extension TLV entries of a mint account
+ */
+function decodeToken2022Extensions(data) {
+    const extensions = new Map();
+    if (data.length <= EXTENSIONS_OFFSET) return extensions;
+
+    let offset = EXTENSIONS_OFFSET;
+    while (offset + 4 <= data.length) {
+        const type = data.readUInt16LE(offset);
+        const length = data.readUInt16LE(offset + 2);
+        if (type === 0) break;
+        extensions.set(type, data.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+    }
+
+    return extensions;
+}
+
+/**
+ * Decode the Token-2022 TokenMetadata extension and MetadataPointer, if present
+ */
+function decodeToken2022Metadata(data) {
+    const extensions = decodeToken2022Extensions(data);
+    const result = { metadataPointer: null, metadata: null };
+
+    const pointer = extensions.get(EXTENSION_METADATA_POINTER);
+    if (pointer && pointer.length >= 64) {
+        const address = pointer.subarray(32, 64);
+        result.metadataPointer = address.every(byte => byte === 0) ? null : encodeBase58(address);
+    }
+
+    const metadata = extensions.get(EXTENSION_TOKEN_METADATA);
+    if (metadata) {
+        // update authority (32) + mint (32), then borsh strings
+        const name = readString(metadata, 64);
+        const symbol = readString(metadata, name.next);
+        const uri = readString(metadata, symbol.next);
+        result.metadata = {
+            mint: encodeBase58(metadata.subarray(32, 64)),
+            name: name.value,
+            symbol: symbol.value,
+            uri: uri.value
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Fetch the off-chain JSON at `uri` and return its image, if any
+ */
+async function fetchOffChainImage(http, uri, timeoutMs, logger) {
+    if (!/^https?:\/\//.test(uri)) return null;
+    try {
+        const response = await http.get(uri, { timeout: timeoutMs });
+        return typeof response.data?.image === 'string' ? response.data.image : null;
+    } catch (error) {
+        logger.warn('⚠️  Off-chain metadata unavailable', { uri, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Resolve name, symbol, decimals, uri and (optionally) image for a mint.
+ * `sources` maps each field to 'mint', 'token-2022-metadata', 'metaplex' or
+ * 'off-chain'; fields that could not be resolved are null. Returns null when
+ * the mint account does not exist.
+ */
+async function resolveTokenMetadata(checker, mint, { offChain = false, timeoutMs = 3000 } = {}) {
+    const metaplexAddress = getMetaplexMetadataAddress(mint);
+    const result = await checker.rpcRequest('getMultipleAccounts', [
+        [mint, metaplexAddress],
+        { encoding: 'base64' }
+    ]);
+    const [mintAccount, metaplexAccount] = result?.value || [];
+    const mintData = accountData(mintAccount);
+
+    if (!mintData || mintData.length < MINT_BASE_SIZE) {
+        return null;
+    }
+
+    const info = {
+        address: mint,
+        name: null,
+        symbol: null,
+        decimals: decodeMintDecimals(mintData),
+        uri: null,
+        image: null,
+        tokenProgram: mintAccount.owner === TOKEN_2022_PROGRAM ? 'token-2022' : 'spl-token',
+        sources: { decimals: 'mint' }
+    };
+
+    const apply = (metadata, source) => {
+        for (const field of ['name', 'symbol', 'uri']) {
+            if (!info[field] && metadata[field]) {
+                info[field] = metadata[field];
+                info.sources[field] = source;
+            }
+        }
+    };
+
+    if (info.tokenProgram === 'token-2022') {
+        const { metadata } = decodeToken2022Metadata(mintData);
+        if (metadata) apply(metadata, 'token-2022-metadata');
+    }
+
+    // Token-2022 mints may point their metadata at a Metaplex account instead
+    const metaplexData = accountData(metaplexAccount);
+    if (metaplexData && metaplexAccount.owner === METAPLEX_METADATA_PROGRAM) {
+        try {
+            apply(decodeMetaplexMetadata(metaplexData), 'metaplex');
+        } catch (error) {
+            checker.logger.warn('⚠️  Could not decode Metaplex metadata', { mint, error: error.message });
+        }
+    }
+
+    if (offChain && info.uri) {
+        info.image = await fetchOffChainImage(checker.axiosInstance, info.uri, timeoutMs, checker.logger);
+        if (info.image) info.sources.image = 'off-chain';
+    }
+
+    return info;
+}
+
+module.exports = {
+    isOnCurve,
+    findProgramAddress,
+    getMetaplexMetadataAddress,
+    decodeMetaplexMetadata,
+    decodeToken2022Metadata,
+    resolveTokenMetadata
+};
@@ -0,0 +1,226 @@
+/**
+ * Prometheus metrics.
+ *
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format. Metrics are get-or-create by name, so
+ * several checkers (or a checker and the server) can share one registry.
+ * A metric may take a `collect` callback that reports its current samples
+ * at render time, for values that already live elsewhere (cache stats,
+ * token list age, circuit state).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds; upstream calls range from a few ms (cache, local RPC) to the 15s timeout
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function helpLines(name, type, help) {
+    return [`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${type}`];
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = [], { collect = null } = {}) {
+        if (!METRIC_NAME.test(name)) {
+            throw new Error(`Invalid metric name: ${name}`);
+        }
+
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+        this.series = new Map();
+    }
+
+    /**
+     * Labels restricted to the declared names, in declared order, so the same
+     * label set always maps to the same series
+     */
+    normalize(labels = {}) {
+        const normalized = {};
+        for (const name of this.labelNames) {
+            normalized[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+        }
+        return normalized;
+    }
+
+    seriesFor(labels) {
+        const normalized = this.normalize(labels);
+        const key = JSON.stringify(normalized);
+        if (!this.series.has(key)) {
+            this.series.set(key, this.createSeries(normalized));
+        }
+        return this.series.get(key);
+    }
+
+    createSeries(labels) {
+        return { labels, value: 0 };
+    }
+
+    samples() {
+        if (this.collect) {
+            return this.collect().map(({ labels, value }) => ({ labels: this.normalize(labels), value }));
+        }
+        return [...this.series.values()];
+    }
+
+    render() {
+        const lines = helpLines(this.name, this.type, this.help);
+        for (const sample of this.samples()) {
+            lines.push(`${this.name}${formatLabels(sample.labels)} ${formatNumber(sample.value)}`);
+        }
+        return lines;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames, options) {
+        super('counter', name, help, labelNames, options);
+    }
+
+    inc(labels = {}, value = 1) {
+        if (value < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+        this.seriesFor(labels).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames, options) {
+        super('gauge', name, help, labelNames, options);
+    }
+
+    set(labels = {}, value) {
+        this.seriesFor(labels).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, { buckets = DEFAULT_BUCKETS, ...options } = {}) {
+        super('histogram', name, help, labelNames, options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    createSeries(labels) {
+        return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels = {}, value) {
+        const series = this.seriesFor(labels);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+    }
+
+    /**
+     * Time an async function, observing its duration in seconds whether it
+     * resolves or throws
+     */
+    async time(labels, fn) {
+        const start = process.hrtime.bigint();
+        try {
+            return await fn();
+        } finally {
+            this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+    }
+
+    render() {
+        const lines = helpLines(this.name, this.type, this.help);
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatNumber(bound) })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatNumber(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Existing metric by name, or a new one. A `collect` callback passed again
+     * replaces the old one, so the latest owner reports the values.
+     */
+    register(MetricClass, name, help, labelNames, options = {}) {
+        const existing = this.metrics.get(name);
+        if (existing) {
+            if (!(existing instanceof MetricClass)) {
+                throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+            }
+            if (options.collect) existing.collect = options.collect;
+            return existing;
+        }
+
+        const metric = new MetricClass(name, help, labelNames, options);
+        this.metrics.set(name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = [], options) {
+        return this.register(Counter, name, help, labelNames, options);
+    }
+
+    gauge(name, help, labelNames = [], options) {
+        return this.register(Gauge, name, help, labelNames, options);
+    }
+
+    histogram(name, help, labelNames = [], options) {
+        return this.register(Histogram, name, help, labelNames, options);
+    }
+
+    get(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    /**
+     * Every metric in the text exposition format
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.render());
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    reset() {
+        this.metrics.forEach(metric => metric.reset());
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS,
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry
+};
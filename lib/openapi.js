@@ -0,0 +1,313 @@
+/**
+ * Route definitions as the single source for routing, validation and docs.
+ *
+ * Each route is registered with its path/query parameters, request body and
+ * responses described as JSON Schema. The registry mounts the Express
+ * handler behind a validator (so handlers read already-typed values from
+ * `req.input`), answers invalid requests with one uniform 400 shape, and
+ * generates the OpenAPI 3 document and the endpoint listings from the same
+ * definitions, so the docs cannot drift from what the server accepts.
+ */
+const { coerce, validate } = require('./schema');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const SWAGGER_UI_VERSION = '5.17.14';
+
+/**
+ * Uniform 400 body for requests that fail validation
+ */
+function validationError(problems) {
+    return {
+        success: false,
+        error: 'Invalid request',
+        message: problems.map(problem => problem.message).join('; '),
+        details: problems
+    };
+}
+
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== '';
+}
+
+class ApiRegistry {
+    /**
+     * `middleware` runs before validation on every registered route, with the
+     * route definition on `req.apiRoute`. `securitySchemes` and `security`
+     * are copied into the document; a route may override `security`, and
+     * `securityResponses` are documented on every route that has any.
+     */
+    constructor(app, {
+        info,
+        components = {},
+        tags = [],
+        middleware = [],
+        securitySchemes = null,
+        security = null,
+        securityResponses = {}
+    } = {}) {
+        this.app = app;
+        this.info = info;
+        this.components = components;
+        this.tags = tags;
+        this.middleware = middleware;
+        this.securitySchemes = securitySchemes;
+        this.security = security;
+        this.securityResponses = securityResponses;
+        this.routes = [];
+        this.extraEndpoints = [];
+
+        for (const method of METHODS) {
+            this[method] = (path, definition, handler) => this.route(method, path, definition, handler);
+        }
+    }
+
+    /**
+     * Register `handler` for `method path`. `definition` holds `operationId`,
+     * `summary`, `description`, `tags`, `params` / `query` (name ->
+     * { description, required, schema }), `body` ({ schema, required,
+     * description }), `responses` (status -> { description, schema } or
+     * { description, content }) and `security`; anything else (e.g. flags for
+     * the middleware) is kept on the route as-is. Routes with their own error
+     * format set `onInvalid(req, res, problems)` to replace the uniform 400 and
+     * `errorSchema` to document it on the generated error responses.
+     */
+    route(method, path, definition, handler) {
+        const route = { method, path, ...definition };
+        this.routes.push(route);
+        this.app[method](
+            path,
+            (req, res, next) => {
+                req.apiRoute = route;
+                next();
+            },
+            ...this.middleware,
+            (req, res, next) => this.validateRequest(route, req, res, next),
+            handler
+        );
+        return route;
+    }
+
+    /**
+     * Registered route for `method path`, e.g. to derive another API version's definition from it
+     */
+    findRoute(method, path) {
+        return this.routes.find(route => route.method === method && route.path === path) || null;
+    }
+
+    /**
+     * Listed with the HTTP routes but served elsewhere (e.g. the WebSocket upgrade)
+     */
+    describeExternal(method, path, summary) {
+        this.extraEndpoints.push({ method, path, summary });
+    }
+
+    validateRequest(route, req, res, next) {
+        const problems = [];
+        const input = { params: {}, query: {}, body: undefined };
+
+        const check = (location, name, spec, raw) => {
+            if (!hasValue(raw)) {
+                if (spec.required || location === 'path') {
+                    problems.push({ in: location, path: name, message: `${name} is required` });
+                } else if (spec.schema?.default !== undefined) {
+                    return spec.schema.default;
+                }
+                return undefined;
+            }
+
+            // Repeated query keys (?a=1&a=2) arrive as arrays
+            const text = Array.isArray(raw) && spec.schema?.type === 'array' ? raw.join(',') : raw;
+            const value = coerce(spec.schema, text, this.components);
+            validate(spec.schema, value, { path: name, components: this.components })
+                .forEach(problem => problems.push({ in: location, ...problem }));
+            return value;
+        };
+
+        for (const [name, spec] of Object.entries(route.params || {})) {
+            input.params[name] = check('path', name, spec, req.params[name]);
+        }
+        for (const [name, spec] of Object.entries(route.query || {})) {
+            input.query[name] = check('query', name, spec, req.query[name]);
+        }
+
+        if (route.body) {
+            const body = req.body;
+            if (body === undefined || body === null) {
+                if (route.body.required !== false) {
+                    problems.push({ in: 'body', path: '', message: 'A JSON request body is required' });
+                }
+            } else {
+                validate(route.body.schema, body, { components: this.components })
+                    .forEach(problem => problems.push({ in: 'body', ...problem }));
+                input.body = body;
+            }
+        }
+
+        if (problems.length > 0) {
+            if (route.onInvalid) return route.onInvalid(req, res, problems);
+            return res.status(400).json(validationError(problems));
+        }
+
+        req.input = input;
+        next();
+    }
+
+    /**
+     * `METHOD /path` for every endpoint, in registration order
+     */
+    listEndpoints() {
+        return [...this.routes, ...this.extraEndpoints].map(route => `${route.method.toUpperCase()} ${route.path}`);
+    }
+
+    /**
+     * Short human-readable listing: method, path, summary and parameter descriptions
+     */
+    describe() {
+        const describeParams = specs => Object.fromEntries(Object.entries(specs || {}).map(([name, spec]) => {
+            const notes = [];
+            if (spec.required) notes.push('required');
+            if (spec.schema?.default !== undefined) notes.push(`default: ${spec.schema.default}`);
+            return [name, notes.length ? `${spec.description} (${notes.join(', ')})` : spec.description];
+        }));
+
+        return [
+            ...this.routes.map(route => ({
+                method: route.method.toUpperCase(),
+                path: route.path,
+                description: route.summary,
+                parameters: route.params || route.query
+                    ? { ...describeParams(route.params), ...describeParams(route.query) }
+                    : undefined,
+                body: route.body ? route.body.description : undefined
+            })),
+            ...this.extraEndpoints.map(endpoint => ({
+                method: endpoint.method.toUpperCase(),
+                path: endpoint.path,
+                description: endpoint.summary
+            }))
+        ];
+    }
+
+    operation(route) {
+        const parameters = [
+            ...Object.entries(route.params || {}).map(([name, spec]) => ({
+                name,
+                in: 'path',
+                required: true,
+                description: spec.description,
+                schema: spec.schema
+            })),
+            ...Object.entries(route.query || {}).map(([name, spec]) => ({
+                name,
+                in: 'query',
+                required: Boolean(spec.required),
+                description: spec.description,
+                schema: spec.schema,
+                ...(spec.schema?.type === 'array' ? { style: 'form', explode: false } : {})
+            }))
+        ];
+
+        const responses = {};
+        for (const [status, response] of Object.entries(route.responses || {})) {
+            responses[status] = {
+                description: response.description,
+                ...(response.content || response.schema
+                    ? { content: response.content || { 'application/json': { schema: response.schema } } }
+                    : {})
+            };
+        }
+        if (parameters.length > 0 || route.body) {
+            responses[400] = responses[400] || {
+                description: 'Invalid request',
+                content: { 'application/json': { schema: route.errorSchema || { $ref: '#/components/schemas/ValidationError' } } }
+            };
+        }
+        if ((route.security || this.security || []).length > 0) {
+            for (const [status, response] of Object.entries(this.securityResponses)) {
+                responses[status] = responses[status] || {
+                    description: response.description,
+                    content: { 'application/json': { schema: route.errorSchema || response.schema } }
+                };
+            }
+        }
+        responses.default = responses.default || {
+            description: 'Unexpected error',
+            content: { 'application/json': { schema: route.errorSchema || { $ref: '#/components/schemas/Error' } } }
+        };
+
+        return {
+            operationId: route.operationId,
+            summary: route.summary,
+            description: route.description,
+            tags: route.tags,
+            security: route.security,
+            parameters: parameters.length > 0 ? parameters : undefined,
+            requestBody: route.body
+                ? {
+                    required: route.body.required !== false,
+                    description: route.body.description,
+                    content: { 'application/json': { schema: route.body.schema } }
+                }
+                : undefined,
+            responses
+        };
+    }
+
+    /**
+     * OpenAPI 3.0 document for every registered route
+     */
+    spec() {
+        const paths = {};
+        for (const route of this.routes) {
+            const path = toOpenApiPath(route.path);
+            paths[path] = paths[path] || {};
+            paths[path][route.method] = this.operation(route);
+        }
+
+        return JSON.parse(JSON.stringify({
+            openapi: '3.0.3',
+            info: this.info,
+            tags: this.tags,
+            security: this.security || undefined,
+            paths,
+            components: {
+                schemas: this.components,
+                ...(this.securitySchemes ? { securitySchemes: this.securitySchemes } : {})
+            }
+        }));
+    }
+}
+
+/**
+ * Interactive docs page (Swagger UI) for the spec at `specUrl`
+ */
+function docsPage(specUrl, title) {
+    const asset = file => `https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/${file}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title}</title>
+    <link rel="stylesheet" href="${asset('swagger-ui.css')}">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${asset('swagger-ui-bundle.js')}" crossorigin></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    ApiRegistry,
+    validationError,
+    docsPage
+};
@@ -0,0 +1,392 @@
+/**
+ * On-chain AMM pool readers.
+ *
+ * Decodes Raydium AMM v4, Raydium CPMM and Orca Whirlpool pool accounts from
+ * raw RPC account data and computes swap output locally, so a price can be
+ * derived without any aggregator. Decoders and math are pure functions over
+ * Buffers / BigInts and can be exercised against recorded account fixtures.
+ */
+const {
+    RAYDIUM_AMM_V4_PROGRAM,
+    RAYDIUM_CPMM_PROGRAM,
+    ORCA_WHIRLPOOL_PROGRAM
+} = require('./constants');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const Q64 = 2n ** 64n;
+
+// Account sizes used for discovery filters
+const RAYDIUM_AMM_V4_SIZE = 752;
+const RAYDIUM_CPMM_SIZE = 637;
+const ORCA_WHIRLPOOL_SIZE = 653;
+
+/**
+ * Encode raw bytes (e.g. a 32-byte public key) as base58
+ */
+function encodeBase58(bytes) {
+    const buffer = Buffer.from(bytes);
+    let value = buffer.length ? BigInt(`0x${buffer.toString('hex')}`) : 0n;
+    let encoded = '';
+
+    while (value > 0n) {
+        encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+
+    for (const byte of buffer) {
+        if (byte !== 0) break;
+        encoded = '1' + encoded;
+    }
+
+    return encoded;
+}
+
+/**
+ * Decode a base58 string (e.g. an address) to raw bytes
+ */
+function decodeBase58(encoded) {
+    let value = 0n;
+    for (const char of encoded) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) {
+            throw new Error(`Invalid base58 character: ${char}`);
+        }
+        value = value * 58n + BigInt(digit);
+    }
+
+    const hex = value > 0n ? value.toString(16) : '';
+    const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+    const leadingZeros = encoded.length - encoded.replace(/^1+/, '').length;
+
+    return Buffer.concat([Buffer.alloc(leadingZeros), body]);
+}
+
+function readU64(data, offset) {
+    return data.readBigUInt64LE(offset);
+}
+
+function readU128(data, offset) {
+    return data.readBigUInt64LE(offset) + (data.readBigUInt64LE(offset + 8) << 64n);
+}
+
+function readPubkey(data, offset) {
+    return encodeBase58(data.subarray(offset, offset + 32));
+}
+
+/**
+ * Decode a Raydium AMM v4 (LIQUIDITY_STATE_LAYOUT_V4) account
+ */
+function decodeRaydiumAmmV4(data) {
+    if (data.length < RAYDIUM_AMM_V4_SIZE) {
+        throw new Error(`Raydium AMM v4 account too small (${data.length} bytes)`);
+    }
+
+    return {
+        status: readU64(data, 0),
+        baseDecimals: Number(readU64(data, 32)),
+        quoteDecimals: Number(readU64(data, 40)),
+        swapFeeNumerator: readU64(data, 176),
+        swapFeeDenominator: readU64(data, 184),
+        baseNeedTakePnl: readU64(data, 192),
+        quoteNeedTakePnl: readU64(data, 200),
+        baseVault: readPubkey(data, 336),
+        quoteVault: readPubkey(data, 368),
+        baseMint: readPubkey(data, 400),
+        quoteMint: readPubkey(data, 432),
+        lpMint: readPubkey(data, 464)
+    };
+}
+
+/**
+ * Decode a Raydium CPMM PoolState account
+ */
+function decodeRaydiumCpmm(data) {
+    if (data.length < 381) {
+        throw new Error(`Raydium CPMM account too small (${data.length} bytes)`);
+    }
+
+    return {
+        ammConfig: readPubkey(data, 8),
+        token0Vault: readPubkey(data, 72),
+        token1Vault: readPubkey(data, 104),
+        token0Mint: readPubkey(data, 168),
+        token1Mint: readPubkey(data, 200),
+        status: data.readUInt8(329),
+        mint0Decimals: data.readUInt8(331),
+        mint1Decimals: data.readUInt8(332),
+        protocolFeesToken0: readU64(data, 341),
+        protocolFeesToken1: readU64(data, 349),
+        fundFeesToken0: readU64(data, 357),
+        fundFeesToken1: readU64(data, 365)
+    };
+}
+
+/**
+ * Decode a Raydium CPMM AmmConfig account (trade fee rate is per 1e6)
+ */
+function decodeRaydiumCpmmConfig(data) {
+    if (data.length < 36) {
+        throw new Error(`Raydium CPMM config account too small (${data.length} bytes)`);
+    }
+
+    return {
+        tradeFeeRate: readU64(data, 12)
+    };
+}
+
+/**
+ * Decode an Orca Whirlpool account (fee rate is in hundredths of a bip, per 1e6)
+ */
+function decodeWhirlpool(data) {
+    if (data.length < 245) {
+        throw new Error(`Whirlpool account too small (${data.length} bytes)`);
+    }
+
+    return {
+        tickSpacing: data.readUInt16LE(41),
+        feeRate: data.readUInt16LE(45),
+        liquidity: readU128(data, 49),
+        sqrtPrice: readU128(data, 65),
+        tickCurrentIndex: data.readInt32LE(81),
+        tokenMintA: readPubkey(data, 101),
+        tokenVaultA: readPubkey(data, 133),
+        tokenMintB: readPubkey(data, 181),
+        tokenVaultB: readPubkey(data, 213)
+    };
+}
+
+/**
+ * SPL token account balance (amount field at offset 64)
+ */
+function decodeTokenAccountAmount(data) {
+    if (data.length < 72) {
+        throw new Error(`Token account too small (${data.length} bytes)`);
+    }
+    return readU64(data, 64);
+}
+
+/**
+ * SPL mint decimals (offset 44, after mint authority and supply)
+ */
+function decodeMintDecimals(data) {
+    if (data.length < 45) {
+        throw new Error(`Mint account too small (${data.length} bytes)`);
+    }
+    return data.readUInt8(44);
+}
+
+/**
+ * Constant-product (x * y = k) output for an exact input, fee taken from the input
+ */
+function getConstantProductOutput(amountIn, reserveIn, reserveOut, feeNumerator, feeDenominator) {
+    if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) return 0n;
+
+    const amountInAfterFee = amountIn * (feeDenominator - feeNumerator) / feeDenominator;
+    return reserveOut * amountInAfterFee / (reserveIn + amountInAfterFee);
+}
+
+/**
+ * Concentrated-liquidity output for an exact input, assuming the swap stays
+ * within the current tick range (no tick crossings). `sqrtPrice` is Q64.64.
+ */
+function getConcentratedLiquidityOutput({ amountIn, liquidity, sqrtPrice, aToB, feeRate }) {
+    if (amountIn <= 0n || liquidity <= 0n || sqrtPrice <= 0n) return 0n;
+
+    const amountInAfterFee = amountIn * (1000000n - BigInt(feeRate)) / 1000000n;
+
+    if (aToB) {
+        // Selling A lowers the price: sqrtP' = L * sqrtP / (L + dx * sqrtP)
+        const nextSqrtPrice = (liquidity * sqrtPrice * Q64) / (liquidity * Q64 + amountInAfterFee * sqrtPrice);
+        return liquidity * (sqrtPrice - nextSqrtPrice) / Q64;
+    }
+
+    // Selling B raises the price: sqrtP' = sqrtP + dy / L
+    const nextSqrtPrice = sqrtPrice + (amountInAfterFee * Q64) / liquidity;
+    return (liquidity * Q64 * (nextSqrtPrice - sqrtPrice)) / (sqrtPrice * nextSqrtPrice);
+}
+
+function accountData(account) {
+    if (!account?.data) return null;
+    const [encoded] = Array.isArray(account.data) ? account.data : [account.data];
+    return Buffer.from(encoded, 'base64');
+}
+
+async function getAccounts(rpc, addresses) {
+    const result = await rpc('getMultipleAccounts', [addresses, { encoding: 'base64' }]);
+    return result?.value || [];
+}
+
+/**
+ * Load a pool and its vault balances, detecting the pool type from the
+ * account owner. `rpc(method, params)` resolves to the JSON-RPC result.
+ */
+async function loadPool(rpc, address) {
+    const [account] = await getAccounts(rpc, [address]);
+    const data = accountData(account);
+    if (!data) {
+        throw new Error(`Pool account ${address} not found`);
+    }
+
+    if (account.owner === RAYDIUM_AMM_V4_PROGRAM) {
+        const state = decodeRaydiumAmmV4(data);
+        const [baseVault, quoteVault] = await getAccounts(rpc, [state.baseVault, state.quoteVault]);
+        const baseBalance = decodeTokenAccountAmount(accountData(baseVault));
+        const quoteBalance = decodeTokenAccountAmount(accountData(quoteVault));
+
+        return {
+            address,
+            type: 'raydium_amm_v4',
+            mintA: state.baseMint,
+            mintB: state.quoteMint,
+            decimalsA: state.baseDecimals,
+            decimalsB: state.quoteDecimals,
+            reserveA: baseBalance - state.baseNeedTakePnl,
+            reserveB: quoteBalance - state.quoteNeedTakePnl,
+            feeNumerator: state.swapFeeNumerator,
+            feeDenominator: state.swapFeeDenominator
+        };
+    }
+
+    if (account.owner === RAYDIUM_CPMM_PROGRAM) {
+        const state = decodeRaydiumCpmm(data);
+        const [vault0, vault1, config] = await getAccounts(rpc, [state.token0Vault, state.token1Vault, state.ammConfig]);
+        const configData = accountData(config);
+
+        return {
+            address,
+            type: 'raydium_cpmm',
+            mintA: state.token0Mint,
+            mintB: state.token1Mint,
+            decimalsA: state.mint0Decimals,
+            decimalsB: state.mint1Decimals,
+            reserveA: decodeTokenAccountAmount(accountData(vault0)) - state.protocolFeesToken0 - state.fundFeesToken0,
+            reserveB: decodeTokenAccountAmount(accountData(vault1)) - state.protocolFeesToken1 - state.fundFeesToken1,
+            // Fall back to the common 0.25% tier if the config cannot be read
+            feeNumerator: configData ? decodeRaydiumCpmmConfig(configData).tradeFeeRate : 2500n,
+            feeDenominator: 1000000n
+        };
+    }
+
+    if (account.owner === ORCA_WHIRLPOOL_PROGRAM) {
+        const state = decodeWhirlpool(data);
+        const [vaultA, vaultB, mintA, mintB] = await getAccounts(rpc, [
+            state.tokenVaultA,
+            state.tokenVaultB,
+            state.tokenMintA,
+            state.tokenMintB
+        ]);
+
+        return {
+            address,
+            type: 'orca_whirlpool',
+            mintA: state.tokenMintA,
+            mintB: state.tokenMintB,
+            decimalsA: decodeMintDecimals(accountData(mintA)),
+            decimalsB: decodeMintDecimals(accountData(mintB)),
+            reserveA: decodeTokenAccountAmount(accountData(vaultA)),
+            reserveB: decodeTokenAccountAmount(accountData(vaultB)),
+            liquidity: state.liquidity,
+            sqrtPrice: state.sqrtPrice,
+            feeRate: state.feeRate
+        };
+    }
+
+    throw new Error(`Unsupported pool program ${account.owner} for ${address}`);
+}
+
+/**
+ * Quote an exact raw input amount of `inputMint` against a loaded pool
+ */
+function quotePool(pool, inputMint, amountIn) {
+    const aToB = inputMint === pool.mintA;
+    if (!aToB && inputMint !== pool.mintB) {
+        throw new Error(`Mint ${inputMint} is not part of pool ${pool.address}`);
+    }
+
+    const reserveIn = aToB ? pool.reserveA : pool.reserveB;
+    const reserveOut = aToB ? pool.reserveB : pool.reserveA;
+    let amountOut;
+
+    if (pool.type === 'orca_whirlpool') {
+        amountOut = getConcentratedLiquidityOutput({
+            amountIn,
+            liquidity: pool.liquidity,
+            sqrtPrice: pool.sqrtPrice,
+            aToB,
+            feeRate: pool.feeRate
+        });
+        // The vault is a hard ceiling on what the pool can pay out
+        if (amountOut > reserveOut) amountOut = reserveOut;
+    } else {
+        amountOut = getConstantProductOutput(amountIn, reserveIn, reserveOut, pool.feeNumerator, pool.feeDenominator);
+    }
+
+    // LP fee charged on the input side (Whirlpool fee rates are per million)
+    const feeAmount = pool.type === 'orca_whirlpool'
+        ? amountIn * BigInt(pool.feeRate) / 1000000n
+        : amountIn * BigInt(pool.feeNumerator) / BigInt(pool.feeDenominator);
+
+    return {
+        pool: pool.address,
+        type: pool.type,
+        inputMint,
+        outputMint: aToB ? pool.mintB : pool.mintA,
+        inputDecimals: aToB ? pool.decimalsA : pool.decimalsB,
+        outputDecimals: aToB ? pool.decimalsB : pool.decimalsA,
+        amountIn,
+        amountOut,
+        feeAmount
+    };
+}
+
+/**
+ * Find pool addresses for a mint pair via getProgramAccounts memcmp filters.
+ * Many public RPC nodes refuse these queries, so callers should treat an
+ * empty result as "unknown" rather than "no pools".
+ */
+async function discoverPools(rpc, mintA, mintB) {
+    const layouts = [
+        { program: RAYDIUM_AMM_V4_PROGRAM, size: RAYDIUM_AMM_V4_SIZE, offsets: [400, 432] },
+        { program: RAYDIUM_CPMM_PROGRAM, size: RAYDIUM_CPMM_SIZE, offsets: [168, 200] },
+        { program: ORCA_WHIRLPOOL_PROGRAM, size: ORCA_WHIRLPOOL_SIZE, offsets: [101, 181] }
+    ];
+    const addresses = new Set();
+
+    for (const layout of layouts) {
+        for (const [first, second] of [[mintA, mintB], [mintB, mintA]]) {
+            try {
+                const accounts = await rpc('getProgramAccounts', [layout.program, {
+                    encoding: 'base64',
+                    dataSlice: { offset: 0, length: 0 },
+                    filters: [
+                        { dataSize: layout.size },
+                        { memcmp: { offset: layout.offsets[0], bytes: first } },
+                        { memcmp: { offset: layout.offsets[1], bytes: second } }
+                    ]
+                }]);
+                (accounts || []).forEach(account => addresses.add(account.pubkey));
+            } catch (error) {
+                continue;
+            }
+        }
+    }
+
+    return [...addresses];
+}
+
+module.exports = {
+    encodeBase58,
+    decodeBase58,
+    accountData,
+    decodeRaydiumAmmV4,
+    decodeRaydiumCpmm,
+    decodeRaydiumCpmmConfig,
+    decodeWhirlpool,
+    decodeTokenAccountAmount,
+    decodeMintDecimals,
+    getConstantProductOutput,
+    getConcentratedLiquidityOutput,
+    loadPool,
+    quotePool,
+    discoverPools
+};
@@ -0,0 +1,111 @@
+/**
+ * TTL price cache with stale-while-revalidate semantics.
+ *
+ * Entries are keyed by mint, amount bucket and quote mint. An entry younger
+ * than `freshMs` is served as-is; between `freshMs` and `staleMs` it is still
+ * served but the caller should refresh it in the background; older entries are
+ * treated as misses.
+ */
+class PriceCache {
+    constructor({ freshMs = 30 * 1000, staleMs = 5 * 60 * 1000, amountBucketsPerDecade = 4, maxEntries = 1000 } = {}) {
+        this.freshMs = freshMs;
+        this.staleMs = Math.max(staleMs, freshMs);
+        this.amountBucketsPerDecade = amountBucketsPerDecade;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.refreshing = new Set();
+        this.stats = { hits: 0, staleHits: 0, misses: 0, refreshes: 0, refreshFailures: 0 };
+    }
+
+    /**
+     * Amounts within the same fraction of a decade share a bucket, so
+     * 100 and 120 tokens reuse one quote while 100 and 100000 do not.
+     */
+    amountBucket(amount) {
+        return Math.floor(Math.log10(amount) * this.amountBucketsPerDecade);
+    }
+
+    key(tokenMint, amount, quoteMint) {
+        return `${tokenMint}:${this.amountBucket(amount)}:${quoteMint}`;
+    }
+
+    /**
+     * Look up an entry, returning `{ value, ageMs, stale }` or null on a miss
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses += 1;
+            return null;
+        }
+
+        const ageMs = Date.now() - entry.storedAt;
+        if (ageMs > this.staleMs) {
+            this.entries.delete(key);
+            this.stats.misses += 1;
+            return null;
+        }
+
+        const stale = ageMs > this.freshMs;
+        if (stale) {
+            this.stats.staleHits += 1;
+        } else {
+            this.stats.hits += 1;
+        }
+
+        return { value: entry.value, ageMs, stale };
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: Date.now() });
+
+        // Map keeps insertion order, so the first key is the oldest write
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Run `refresh` for a stale key unless one is already in flight
+     */
+    revalidate(key, refresh) {
+        if (this.refreshing.has(key)) return;
+
+        this.refreshing.add(key);
+        this.stats.refreshes += 1;
+
+        Promise.resolve()
+            .then(refresh)
+            .then(value => {
+                if (value) this.set(key, value);
+            })
+            .catch(() => {
+                this.stats.refreshFailures += 1;
+            })
+            .finally(() => {
+                this.refreshing.delete(key);
+            });
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+        return {
+            ...this.stats,
+            entries: this.entries.size,
+            hitRatio: lookups ? (this.stats.hits + this.stats.staleHits) / lookups : 0,
+            freshMs: this.freshMs,
+            staleMs: this.staleMs
+        };
+    }
+}
+
+module.exports = { PriceCache };
@@ -0,0 +1,282 @@
+/**
+ * Real-time price fan-out.
+ *
+ * A single server-side poller prices every mint that has at least one
+ * subscriber, once per interval, and pushes the result to each subscriber
+ * whose change threshold it crosses. Transports (WebSocket, SSE) only adapt
+ * a connection to the `{ id, send(type, payload) }` client shape.
+ */
+const { WebSocketServer } = require('ws');
+const { silentLogger, withoutRequestContext } = require('./logger');
+
+const MAX_MINTS_PER_CLIENT = 50;
+
+class PriceStreamHub {
+    constructor(fetchPrice, { pollIntervalMs = 10 * 1000, heartbeatMs = 25 * 1000, logger = silentLogger } = {}) {
+        this.fetchPrice = fetchPrice;
+        this.logger = logger;
+        this.pollIntervalMs = pollIntervalMs;
+        this.heartbeatMs = heartbeatMs;
+        this.clients = new Map();
+        this.subscribers = new Map();
+        this.latest = new Map();
+        this.pollTimer = null;
+        this.pollGeneration = 0;
+        this.heartbeatTimer = null;
+        this.nextClientId = 1;
+        this.stats = { polls: 0, pollFailures: 0, updatesSent: 0, updatesSuppressed: 0 };
+    }
+
+    /**
+     * Register a connection; `send(type, payload)` delivers one message
+     */
+    addClient(send, { minChangePct = 0 } = {}) {
+        const client = {
+            id: `client_${this.nextClientId++}`,
+            send,
+            minChangePct,
+            mints: new Set(),
+            lastSent: new Map()
+        };
+
+        this.clients.set(client.id, client);
+        this.start();
+        return client;
+    }
+
+    removeClient(client) {
+        for (const mint of client.mints) {
+            this.unsubscribe(client, [mint]);
+        }
+        this.clients.delete(client.id);
+
+        if (this.clients.size === 0) {
+            this.stop();
+        }
+    }
+
+    subscribe(client, mints) {
+        for (const mint of mints) {
+            if (client.mints.size >= MAX_MINTS_PER_CLIENT) {
+                throw new Error(`At most ${MAX_MINTS_PER_CLIENT} mints per connection`);
+            }
+
+            client.mints.add(mint);
+            if (!this.subscribers.has(mint)) {
+                this.subscribers.set(mint, new Set());
+                // First subscriber: price now instead of waiting for the next round
+                this.pollMint(mint);
+            }
+            this.subscribers.get(mint).add(client.id);
+
+            // New subscribers get the last known price immediately
+            if (this.latest.has(mint)) {
+                this.deliver(client, mint, this.latest.get(mint));
+            }
+        }
+    }
+
+    unsubscribe(client, mints) {
+        for (const mint of mints) {
+            client.mints.delete(mint);
+            client.lastSent.delete(mint);
+
+            const subscribers = this.subscribers.get(mint);
+            if (!subscribers) continue;
+            subscribers.delete(client.id);
+            if (subscribers.size === 0) {
+                this.subscribers.delete(mint);
+                this.latest.delete(mint);
+            }
+        }
+    }
+
+    start() {
+        // The first subscriber's request must not tag every later poll with its ID
+        withoutRequestContext(() => {
+            if (!this.pollTimer) {
+                // A poll still running after stop()/start() must not schedule a second loop
+                const generation = this.pollGeneration;
+                const loop = async () => {
+                    await this.pollOnce();
+                    if (generation === this.pollGeneration) {
+                        this.pollTimer = setTimeout(loop, this.pollIntervalMs);
+                    }
+                };
+                this.pollTimer = setTimeout(loop, 0);
+            }
+
+            if (!this.heartbeatTimer) {
+                this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatMs);
+            }
+        });
+    }
+
+    stop() {
+        this.pollGeneration += 1;
+        clearTimeout(this.pollTimer);
+        clearInterval(this.heartbeatTimer);
+        this.pollTimer = null;
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * One upstream price per subscribed mint, fanned out to its subscribers
+     */
+    async pollOnce() {
+        for (const mint of [...this.subscribers.keys()]) {
+            await this.pollMint(mint);
+        }
+    }
+
+    async pollMint(mint) {
+        try {
+            this.stats.polls += 1;
+            const result = await this.fetchPrice(mint);
+            if (!result.success) {
+                this.stats.pollFailures += 1;
+                return;
+            }
+            // Everyone may have unsubscribed while the price was in flight
+            if (!this.subscribers.has(mint)) return;
+
+            const update = {
+                mint,
+                symbol: result.token.symbol,
+                price: result.pricing.pricePerToken,
+                priceExact: result.pricing.pricePerTokenExact,
+                method: result.pricing.method,
+                confidence: result.pricing.confidence,
+                timestamp: result.pricing.timestamp
+            };
+            this.latest.set(mint, update);
+
+            for (const clientId of this.subscribers.get(mint) || []) {
+                const client = this.clients.get(clientId);
+                if (client) this.deliver(client, mint, update);
+            }
+        } catch (error) {
+            this.stats.pollFailures += 1;
+            this.logger.warn('⚠️  Stream poll failed', { mint, error: error.message });
+        }
+    }
+
+    /**
+     * Send an update unless it is unchanged or moved less than the client's
+     * threshold; heartbeats cover liveness in between
+     */
+    deliver(client, mint, update) {
+        const previous = client.lastSent.get(mint);
+        if (previous !== undefined && previous > 0) {
+            const changePct = Math.abs(update.price - previous) / previous * 100;
+            if (changePct === 0 || changePct < client.minChangePct) {
+                this.stats.updatesSuppressed += 1;
+                return;
+            }
+        }
+
+        client.lastSent.set(mint, update.price);
+        this.stats.updatesSent += 1;
+        client.send('price', {
+            ...update,
+            changePct: previous ? (update.price - previous) / previous * 100 : null
+        });
+    }
+
+    heartbeat() {
+        const payload = { timestamp: new Date().toISOString() };
+        for (const client of this.clients.values()) {
+            client.send('heartbeat', payload);
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            clients: this.clients.size,
+            mints: this.subscribers.size,
+            pollIntervalMs: this.pollIntervalMs
+        };
+    }
+}
+
+/**
+ * WebSocket transport. Clients send
+ * `{ "action": "subscribe" | "unsubscribe", "mints": [...], "minChangePct"?: n }`
+ * and receive `{ "type": "price" | "heartbeat" | "subscribed" | "error", ... }`.
+ * Connections that miss a ping/pong round are terminated, and `authorize(req)`
+ * decides whether an upgrade is accepted at all.
+ */
+function attachWebSocketServer(server, hub, { path = '/api/stream', validateMint = () => true, authorize = () => true } = {}) {
+    // Refused upgrades get a 401 before any socket is set up
+    const wss = new WebSocketServer({ server, path, verifyClient: ({ req }) => authorize(req) });
+
+    wss.on('connection', socket => {
+        socket.isAlive = true;
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        const send = (type, payload) => {
+            if (socket.readyState === socket.OPEN) {
+                socket.send(JSON.stringify({ type, ...payload }));
+            }
+        };
+        const client = hub.addClient(send);
+
+        socket.on('message', raw => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                return send('error', { error: 'Invalid JSON message' });
+            }
+
+            const mints = Array.isArray(message.mints) ? message.mints : [];
+            const invalid = mints.filter(mint => !validateMint(mint));
+            if (invalid.length > 0) {
+                return send('error', { error: 'Invalid contract address', mints: invalid });
+            }
+
+            try {
+                if (message.minChangePct !== undefined) {
+                    client.minChangePct = Math.max(0, parseFloat(message.minChangePct) || 0);
+                }
+
+                if (message.action === 'subscribe') {
+                    hub.subscribe(client, mints);
+                } else if (message.action === 'unsubscribe') {
+                    hub.unsubscribe(client, mints);
+                } else {
+                    return send('error', { error: 'Unknown action', action: message.action });
+                }
+                send('subscribed', { mints: [...client.mints], minChangePct: client.minChangePct });
+            } catch (error) {
+                send('error', { error: error.message });
+            }
+        });
+
+        socket.on('close', () => hub.removeClient(client));
+    });
+
+    const liveness = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, hub.heartbeatMs);
+    liveness.unref?.();
+
+    wss.on('close', () => clearInterval(liveness));
+    return wss;
+}
+
+module.exports = {
+    MAX_MINTS_PER_CLIENT,
+    PriceStreamHub,
+    attachWebSocketServer
+};
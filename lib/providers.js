@@ -0,0 +1,359 @@
+/**
+ * Price source providers.
+ *
+ * A provider answers one question: "what is `amount` of `tokenMint` worth in
+ * `quoteMint`?". The checker walks its registered providers in priority order
+ * (lowest number first) and uses the first successful answer, so deployments
+ * can register, reorder or disable sources without touching index.js.
+ */
+const { SOL_MINT } = require('./constants');
+const { loadPool, quotePool, discoverPools } = require('./pools');
+const { toBaseUnits, valueAtPrice, quoteFromBaseUnits } = require('./amounts');
+
+/**
+ * Base class for all price providers
+ */
+class PriceProvider {
+    constructor({ name, priority = 100, enabled = true, swapModes = ['ExactIn'] } = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Price provider requires a name');
+        }
+
+        this.name = name;
+        this.priority = priority;
+        this.enabled = enabled;
+        this.swapModes = swapModes;
+        this.stats = {
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            lastSuccessAt: null,
+            lastFailureAt: null,
+            lastError: null
+        };
+    }
+
+    /**
+     * Quote `amount` tokens of `tokenMint` in `quoteMint`.
+     * Must resolve to `{ success: true, pricePerToken, totalValueUSDC, amount, ... }`
+     * or `{ success: false, error? }`. Despite its name, `totalValueUSDC` is
+     * denominated in `quoteMint`. With `context.swapMode === 'ExactOut'`
+     * (only for providers listing it in `swapModes`), `amount` and
+     * `context.amountRaw` are the desired output and the result's `amountRaw`
+     * is the input required.
+     */
+    async quote(tokenMint, amount, quoteMint, context = {}) {
+        throw new Error(`Provider ${this.name} does not implement quote()`);
+    }
+
+    /**
+     * Confidence level for a successful result from this provider
+     */
+    confidence(result) {
+        return 'medium';
+    }
+
+    supportsSwapMode(swapMode) {
+        return this.swapModes.includes(swapMode);
+    }
+
+    recordSuccess() {
+        this.stats.successes += 1;
+        this.stats.consecutiveFailures = 0;
+        this.stats.lastSuccessAt = new Date().toISOString();
+    }
+
+    recordFailure(error) {
+        this.stats.failures += 1;
+        this.stats.consecutiveFailures += 1;
+        this.stats.lastFailureAt = new Date().toISOString();
+        this.stats.lastError = error || null;
+    }
+
+    /**
+     * Health snapshot based on recent outcomes
+     */
+    health() {
+        let status = 'unknown';
+
+        if (!this.enabled) {
+            status = 'disabled';
+        } else if (this.stats.consecutiveFailures >= 3) {
+            status = 'failing';
+        } else if (this.stats.consecutiveFailures > 0) {
+            status = 'degraded';
+        } else if (this.stats.successes > 0) {
+            status = 'healthy';
+        }
+
+        return {
+            name: this.name,
+            priority: this.priority,
+            enabled: this.enabled,
+            swapModes: this.swapModes,
+            status,
+            ...this.stats
+        };
+    }
+}
+
+/**
+ * Direct Jupiter quote (token -> quote mint, multi-hop allowed)
+ */
+class JupiterQuoteProvider extends PriceProvider {
+    constructor(checker, options = {}) {
+        super({ name: 'quote_api', priority: 10, swapModes: ['ExactIn', 'ExactOut'], ...options });
+        this.checker = checker;
+    }
+
+    async quote(tokenMint, amount, quoteMint, context = {}) {
+        return this.checker.tryQuoteApi(tokenMint, amount, context.tokenInfo, quoteMint, context);
+    }
+
+    confidence(result) {
+        return result.route ? 'high' : 'medium';
+    }
+}
+
+/**
+ * Two-leg conversion through SOL (token -> SOL -> quote mint)
+ */
+class SolConversionProvider extends PriceProvider {
+    constructor(checker, options = {}) {
+        super({ name: 'sol_conversion', priority: 20, swapModes: ['ExactIn', 'ExactOut'], ...options });
+        this.checker = checker;
+    }
+
+    async quote(tokenMint, amount, quoteMint, context = {}) {
+        return this.checker.trySOLConversion(tokenMint, amount, context.tokenInfo, quoteMint, context);
+    }
+
+    confidence(result) {
+        return 'medium';
+    }
+}
+
+/**
+ * Direct-route Jupiter quotes with a widening slippage ladder
+ */
+class JupiterAlternativeProvider extends PriceProvider {
+    constructor(checker, options = {}) {
+        super({ name: 'alternative', priority: 30, swapModes: ['ExactIn', 'ExactOut'], ...options });
+        this.checker = checker;
+    }
+
+    async quote(tokenMint, amount, quoteMint, context = {}) {
+        return this.checker.tryAlternativePricing(tokenMint, amount, context.tokenInfo, quoteMint, context);
+    }
+
+    confidence(result) {
+        if (!result.slippage) return 'medium';
+        return parseFloat(result.slippage) <= 1 ? 'medium' : 'low';
+    }
+}
+
+/**
+ * A mint priced in itself is worth exactly its amount; aggregators reject
+ * same-mint swaps, so this answers before any of them are asked
+ */
+class IdentityProvider extends PriceProvider {
+    constructor(options = {}) {
+        super({ name: 'identity', priority: 0, swapModes: ['ExactIn', 'ExactOut'], ...options });
+    }
+
+    async quote(tokenMint, amount, quoteMint, context = {}) {
+        if (tokenMint !== quoteMint) {
+            return { success: false };
+        }
+
+        const decimals = context.tokenInfo?.decimals ?? 6;
+        const amountRaw = context.amountRaw ?? toBaseUnits(amount, decimals);
+
+        return {
+            success: true,
+            ...quoteFromBaseUnits({
+                amountRaw,
+                inputDecimals: decimals,
+                outAmountRaw: amountRaw,
+                outputDecimals: decimals
+            }),
+            swapMode: context.swapMode || 'ExactIn',
+            minOutAmountRaw: amountRaw,
+            maxInAmountRaw: amountRaw
+        };
+    }
+
+    confidence(result) {
+        return 'high';
+    }
+}
+
+/**
+ * Fixed prices for pegged assets, e.g. `{ [USDT_MINT]: 1 }` against USDC.
+ * Not registered by default.
+ */
+class StaticPriceProvider extends PriceProvider {
+    constructor({ prices = {}, quoteMint = null, ...options } = {}) {
+        super({ name: 'static_peg', priority: 0, ...options });
+        this.prices = prices;
+        this.quoteMint = quoteMint;
+    }
+
+    async quote(tokenMint, amount, quoteMint, context = {}) {
+        if (this.quoteMint && this.quoteMint !== quoteMint) {
+            return { success: false };
+        }
+
+        const pricePerToken = this.prices[tokenMint];
+        if (typeof pricePerToken !== 'number' && typeof pricePerToken !== 'string') {
+            return { success: false };
+        }
+
+        const decimals = context.tokenInfo?.decimals ?? 6;
+        const quoteDecimals = context.quoteDecimals ?? 6;
+        const amountRaw = context.amountRaw ?? toBaseUnits(amount, decimals);
+
+        return {
+            success: true,
+            ...quoteFromBaseUnits({
+                amountRaw,
+                inputDecimals: decimals,
+                outAmountRaw: valueAtPrice(amountRaw, decimals, pricePerToken, quoteDecimals),
+                outputDecimals: quoteDecimals
+            })
+        };
+    }
+
+    confidence(result) {
+        return 'medium';
+    }
+}
+
+/**
+ * Aggregator-independent pricing from Raydium / Orca pool accounts read over RPC.
+ * `pools` maps a mint to the pool addresses it trades in, e.g.
+ * `{ [WIF_MINT]: ['<raydium pool>'], [SOL_MINT]: ['<SOL/USDC whirlpool>'] }`.
+ * Pairs without a direct pool are routed through SOL.
+ */
+class OnChainPoolProvider extends PriceProvider {
+    constructor(checker, { pools = {}, discover = false, ...options } = {}) {
+        super({ name: 'onchain_pool', priority: 40, ...options });
+        this.checker = checker;
+        this.pools = pools;
+        this.discover = discover;
+        this.discovered = new Map();
+    }
+
+    async quote(tokenMint, amount, quoteMint, context = {}) {
+        const decimals = context.tokenInfo?.decimals ?? 6;
+        const amountIn = context.amountRaw ?? toBaseUnits(amount, decimals);
+        const loaded = new Map();
+
+        let legs = [];
+        const direct = await this.quoteDirect(tokenMint, amountIn, quoteMint, loaded);
+
+        if (direct) {
+            legs = [direct];
+        } else if (tokenMint !== SOL_MINT && quoteMint !== SOL_MINT) {
+            const toSol = await this.quoteDirect(tokenMint, amountIn, SOL_MINT, loaded);
+            const fromSol = toSol && await this.quoteDirect(SOL_MINT, toSol.amountOut, quoteMint, loaded);
+            if (fromSol) legs = [toSol, fromSol];
+        }
+
+        if (legs.length === 0) {
+            return { success: false, error: 'No on-chain pool found for pair' };
+        }
+
+        const last = legs[legs.length - 1];
+
+        return {
+            success: true,
+            ...quoteFromBaseUnits({
+                amountRaw: amountIn,
+                inputDecimals: legs[0].inputDecimals,
+                outAmountRaw: last.amountOut,
+                outputDecimals: last.outputDecimals
+            }),
+            conversionPath: legs.length > 1 ? 'TOKEN -> SOL -> USDC (on-chain)' : 'DIRECT (on-chain)',
+            pools: legs.map(leg => ({
+                address: leg.pool,
+                type: leg.type,
+                inputMint: leg.inputMint,
+                outputMint: leg.outputMint,
+                amountIn: leg.amountIn.toString(),
+                amountOut: leg.amountOut.toString(),
+                feeAmount: leg.feeAmount.toString()
+            }))
+        };
+    }
+
+    /**
+     * Best single-pool quote for a pair, or null when no pool has output
+     */
+    async quoteDirect(inputMint, amountIn, outputMint, loaded) {
+        let best = null;
+
+        for (const address of await this.findPools(inputMint, outputMint)) {
+            try {
+                if (!loaded.has(address)) {
+                    loaded.set(address, await loadPool((method, params) => this.checker.rpcRequest(method, params), address));
+                }
+                const pool = loaded.get(address);
+                const pair = [pool.mintA, pool.mintB];
+                if (!pair.includes(inputMint) || !pair.includes(outputMint)) continue;
+
+                const quote = quotePool(pool, inputMint, amountIn);
+                if (quote.amountOut > 0n && (!best || quote.amountOut > best.amountOut)) {
+                    best = quote;
+                }
+            } catch (error) {
+                this.checker.logger.warn('⚠️  Pool quote failed', { pool: address, error: error.message });
+                continue;
+            }
+        }
+
+        return best;
+    }
+
+    async findPools(mintA, mintB) {
+        const configured = [...(this.pools[mintA] || []), ...(this.pools[mintB] || [])];
+        if (configured.length > 0 || !this.discover) {
+            return [...new Set(configured)];
+        }
+
+        const key = [mintA, mintB].sort().join(':');
+        if (!this.discovered.has(key)) {
+            const rpc = (method, params) => this.checker.rpcRequest(method, params);
+            this.discovered.set(key, await discoverPools(rpc, mintA, mintB));
+        }
+        return this.discovered.get(key);
+    }
+
+    confidence(result) {
+        return 'medium';
+    }
+}
+
+/**
+ * Default provider chain used when no providers are passed to the checker
+ */
+function createDefaultProviders(checker, options = {}) {
+    return [
+        new IdentityProvider(),
+        new JupiterQuoteProvider(checker),
+        new SolConversionProvider(checker),
+        new JupiterAlternativeProvider(checker),
+        new OnChainPoolProvider(checker, { pools: options.pools, discover: options.discoverPools })
+    ];
+}
+
+module.exports = {
+    PriceProvider,
+    IdentityProvider,
+    JupiterQuoteProvider,
+    SolConversionProvider,
+    JupiterAlternativeProvider,
+    StaticPriceProvider,
+    OnChainPoolProvider,
+    createDefaultProviders
+};
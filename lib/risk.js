@@ -0,0 +1,277 @@
+/**
+ * Token risk report.
+ *
+ * Checks the things a clean-looking quote does not show: who can mint or
+ * freeze, how concentrated the supply is, which Token-2022 extensions can tax,
+ * block or claw back transfers, and whether the token can actually be sold
+ * at size. Every finding carries a severity; the report's level is the worst
+ * finding.
+ */
+const { TOKEN_2022_PROGRAM } = require('./constants');
+const { fromBaseUnits } = require('./amounts');
+const { PriceError, failureResult } = require('./errors');
+
+const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+const LIQUIDITY_SIZES_USD = [100, 1000];
+
+const finding = (code, severity, message, details = {}) => ({ code, severity, message, details });
+
+function percentOf(part, total) {
+    if (total === 0n) return 0;
+    return Number((part * 1000000n) / total) / 10000;
+}
+
+function worstSeverity(findings) {
+    return findings.reduce((worst, item) => (
+        SEVERITIES.indexOf(item.severity) > SEVERITIES.indexOf(worst) ? item.severity : worst
+    ), 'info');
+}
+
+function checkAuthorities(info) {
+    return [
+        info.mintAuthority
+            ? finding('mint_authority', 'high', 'Mint authority is active; supply can be increased at any time', { authority: info.mintAuthority })
+            : finding('mint_authority', 'info', 'Mint authority is revoked; supply is fixed'),
+        info.freezeAuthority
+            ? finding('freeze_authority', 'high', 'Freeze authority is active; holder accounts can be frozen and unable to sell', { authority: info.freezeAuthority })
+            : finding('freeze_authority', 'info', 'Freeze authority is revoked')
+    ];
+}
+
+/**
+ * Concentration of the largest token accounts. Pool vaults are among them,
+ * so a high share is a prompt to look closer rather than proof of a rug.
+ */
+function checkHolders(largest, supplyRaw, decimals) {
+    const amounts = largest.map(account => BigInt(account.amount));
+    const top1 = amounts[0] || 0n;
+    const top10 = amounts.slice(0, 10).reduce((sum, value) => sum + value, 0n);
+
+    const holders = {
+        top1Pct: percentOf(top1, supplyRaw),
+        top10Pct: percentOf(top10, supplyRaw),
+        largest: largest.slice(0, 10).map(account => ({
+            address: account.address,
+            amount: fromBaseUnits(BigInt(account.amount), decimals),
+            pct: percentOf(BigInt(account.amount), supplyRaw)
+        }))
+    };
+
+    const findings = [];
+    if (holders.top1Pct > 50) {
+        findings.push(finding('holder_concentration', 'high', `Largest account holds ${holders.top1Pct}% of supply`, { top1Pct: holders.top1Pct }));
+    } else if (holders.top10Pct > 80) {
+        findings.push(finding('holder_concentration', 'high', `Top 10 accounts hold ${holders.top10Pct}% of supply`, { top10Pct: holders.top10Pct }));
+    } else if (holders.top1Pct > 20 || holders.top10Pct > 50) {
+        findings.push(finding('holder_concentration', 'medium', `Top 10 accounts hold ${holders.top10Pct}% of supply`, { top1Pct: holders.top1Pct, top10Pct: holders.top10Pct }));
+    } else {
+        findings.push(finding('holder_concentration', 'info', `Top 10 accounts hold ${holders.top10Pct}% of supply`, { top10Pct: holders.top10Pct }));
+    }
+
+    return { holders, findings };
+}
+
+/**
+ * Token-2022 extensions from the jsonParsed mint account
+ */
+function checkExtensions(extensions = []) {
+    const findings = [];
+
+    for (const { extension, state = {} } of extensions) {
+        switch (extension) {
+            case 'transferFeeConfig': {
+                const fee = state.newerTransferFee || state.olderTransferFee || {};
+                const bps = fee.transferFeeBasisPoints || 0;
+                if (bps > 0) {
+                    findings.push(finding('transfer_fee', bps >= 500 ? 'high' : 'medium',
+                        `Transfers are taxed ${bps / 100}%`, { basisPoints: bps, maximumFee: fee.maximumFee }));
+                }
+                if (state.transferFeeConfigAuthority) {
+                    findings.push(finding('transfer_fee_authority', 'medium', 'Transfer fee can be changed by its authority',
+                        { authority: state.transferFeeConfigAuthority }));
+                }
+                break;
+            }
+            case 'permanentDelegate':
+                if (state.delegate) {
+                    findings.push(finding('permanent_delegate', 'critical', 'A permanent delegate can transfer or burn tokens from any holder',
+                        { delegate: state.delegate }));
+                }
+                break;
+            case 'transferHook':
+                if (state.programId) {
+                    findings.push(finding('transfer_hook', 'high', 'Every transfer runs a custom program that can reject sells',
+                        { programId: state.programId, authority: state.authority }));
+                }
+                break;
+            case 'nonTransferable':
+                findings.push(finding('non_transferable', 'critical', 'Token is non-transferable and cannot be sold'));
+                break;
+            case 'defaultAccountState':
+                if (state.accountState === 'frozen') {
+                    findings.push(finding('default_frozen', 'high', 'New token accounts start frozen until the issuer thaws them'));
+                }
+                break;
+            case 'pausableConfig':
+                findings.push(state.paused
+                    ? finding('paused', 'critical', 'Transfers are currently paused')
+                    : finding('pausable', 'medium', 'Transfers can be paused by an authority', { authority: state.authority }));
+                break;
+            case 'mintCloseAuthority':
+                if (state.closeAuthority) {
+                    findings.push(finding('mint_close_authority', 'low', 'The mint account can be closed by an authority',
+                        { authority: state.closeAuthority }));
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Sell-side depth through the quote path: a token that quotes but cannot be
+ * sold at size, or loses a lot on a round trip, is flagged here
+ */
+async function checkLiquidity(checker, mint) {
+    const result = await checker.getLiquidityDepth(mint, {
+        sizes: LIQUIDITY_SIZES_USD,
+        unit: 'usd',
+        direction: 'sell'
+    });
+
+    if (!result.success) {
+        return {
+            liquidity: null,
+            findings: [finding('no_sell_route', 'critical', 'No sell route to USDC was found', { error: result.error })]
+        };
+    }
+
+    const rungs = result.ladder.sell;
+    const liquidity = {
+        spreadPct: result.reference.spreadPct,
+        sells: rungs.map(rung => ({ sizeUSD: rung.sizeUSD, success: rung.success, impactPct: rung.success ? rung.impactPct : null }))
+    };
+    const findings = [];
+
+    if (result.reference.spreadPct > 10) {
+        findings.push(finding('round_trip_loss', 'high',
+            `Buying and immediately selling loses ${result.reference.spreadPct}%; possible hidden sell tax`,
+            { spreadPct: result.reference.spreadPct }));
+    }
+
+    const largest = rungs[rungs.length - 1];
+    if (!largest.success) {
+        findings.push(finding('shallow_liquidity', 'high', `No sell route for $${largest.sizeUSD}`));
+    } else if (largest.impactPct >= 10) {
+        findings.push(finding('shallow_liquidity', 'high', `Selling $${largest.sizeUSD} moves the price ${largest.impactPct}%`, { impactPct: largest.impactPct }));
+    } else if (largest.impactPct >= 3) {
+        findings.push(finding('shallow_liquidity', 'medium', `Selling $${largest.sizeUSD} moves the price ${largest.impactPct}%`, { impactPct: largest.impactPct }));
+    } else {
+        findings.push(finding('liquidity', 'info', `Selling $${largest.sizeUSD} moves the price ${largest.impactPct}%`, { impactPct: largest.impactPct }));
+    }
+
+    return { liquidity, findings };
+}
+
+/**
+ * Full report for `mint`. `liquidity: false` skips the quote-path checks,
+ * leaving only RPC reads.
+ */
+async function getTokenRisk(checker, mint, { liquidity = true } = {}) {
+    try {
+        const account = await checker.rpcRequest('getAccountInfo', [mint, { encoding: 'jsonParsed' }]);
+        const parsed = account?.value?.data?.parsed;
+        if (!account?.value) {
+            throw new PriceError('UNKNOWN_TOKEN', `No account exists at ${mint}`);
+        }
+        if (!parsed || parsed.type !== 'mint') {
+            throw new PriceError('INVALID_MINT', 'Account is not a token mint');
+        }
+
+        const info = parsed.info;
+        const supplyRaw = BigInt(info.supply);
+        const tokenInfo = await checker.getTokenInfo(mint);
+        const findings = [...checkAuthorities(info), ...checkExtensions(info.extensions)];
+
+        if (supplyRaw === 0n) {
+            findings.push(finding('zero_supply', 'medium', 'Token has no circulating supply'));
+        }
+
+        let holders = null;
+        try {
+            const largest = await checker.rpcRequest('getTokenLargestAccounts', [mint]);
+            const holderCheck = checkHolders(largest?.value || [], supplyRaw, info.decimals);
+            holders = holderCheck.holders;
+            findings.push(...holderCheck.findings);
+        } catch (error) {
+            findings.push(finding('holders_unavailable', 'low', 'Largest holders could not be fetched', { error: error.message }));
+        }
+
+        let liquidityReport = null;
+        if (liquidity) {
+            const liquidityCheck = await checkLiquidity(checker, mint);
+            liquidityReport = liquidityCheck.liquidity;
+            findings.push(...liquidityCheck.findings);
+        }
+
+        findings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+
+        return {
+            success: true,
+            token: {
+                address: mint,
+                name: tokenInfo.name,
+                symbol: tokenInfo.symbol,
+                decimals: info.decimals,
+                tokenProgram: account.value.owner === TOKEN_2022_PROGRAM ? 'token-2022' : 'spl-token'
+            },
+            riskLevel: worstSeverity(findings),
+            supply: {
+                raw: supplyRaw.toString(),
+                amount: fromBaseUnits(supplyRaw, info.decimals)
+            },
+            authorities: {
+                mint: info.mintAuthority || null,
+                freeze: info.freezeAuthority || null
+            },
+            extensions: (info.extensions || []).map(item => item.extension),
+            holders,
+            liquidity: liquidityReport,
+            findings,
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        checker.logger.error('❌ Error in getTokenRisk', { mint, error: error.message });
+        return failureResult(error, {
+            tokenMint: mint,
+            suggestion: 'Check that the address is a token mint and that the RPC endpoints are reachable'
+        });
+    }
+}
+
+/**
+ * Compact form for embedding in price responses: level plus non-info findings
+ */
+function summarizeRisk(report) {
+    if (!report.success) {
+        return { available: false, error: report.error };
+    }
+
+    return {
+        available: true,
+        riskLevel: report.riskLevel,
+        findings: report.findings
+            .filter(item => item.severity !== 'info')
+            .map(({ code, severity, message }) => ({ code, severity, message })),
+        timestamp: report.timestamp
+    };
+}
+
+module.exports = {
+    SEVERITIES,
+    getTokenRisk,
+    summarizeRisk
+};
@@ -0,0 +1,110 @@
+/**
+ * Source-agnostic route description.
+ *
+ * Providers hand back whatever their source gives them: a raw Jupiter quote
+ * (`route`), on-chain pool legs (`pools`), or for two-step conversions the
+ * sub-quotes themselves (`legs`). `describeRoute` turns any of these into the
+ * same shape: venue legs with mints, amounts and fees, total price impact and
+ * the minimum output at the requested slippage.
+ */
+const { fromBaseUnits } = require('./amounts');
+
+const POOL_VENUES = {
+    raydium_amm_v4: 'Raydium AMM',
+    raydium_cpmm: 'Raydium CPMM',
+    orca_whirlpool: 'Orca Whirlpool'
+};
+
+/**
+ * Legs of a raw Jupiter quote. `scale` rescales amounts when a quote for one
+ * size is reused for another (see getSharedSOLQuote).
+ */
+function jupiterLegs(quote, scale = null) {
+    const amount = value => {
+        if (value === undefined || value === null) return null;
+        return scale
+            ? (BigInt(value) * BigInt(scale.numerator) / BigInt(scale.denominator)).toString()
+            : String(value);
+    };
+
+    return (quote.routePlan || []).map(step => {
+        const info = step.swapInfo || {};
+        return {
+            venue: info.label || 'Unknown',
+            pool: info.ammKey || null,
+            inputMint: info.inputMint,
+            outputMint: info.outputMint,
+            inAmountRaw: amount(info.inAmount),
+            outAmountRaw: amount(info.outAmount),
+            fee: info.feeAmount !== undefined
+                ? { amountRaw: amount(info.feeAmount), mint: info.feeMint || null }
+                : null,
+            percent: step.percent ?? 100
+        };
+    });
+}
+
+function poolLegs(pools) {
+    return pools.map(leg => ({
+        venue: POOL_VENUES[leg.type] || leg.type,
+        pool: leg.address,
+        inputMint: leg.inputMint,
+        outputMint: leg.outputMint,
+        inAmountRaw: leg.amountIn,
+        outAmountRaw: leg.amountOut,
+        fee: leg.feeAmount !== undefined ? { amountRaw: leg.feeAmount, mint: leg.inputMint } : null,
+        percent: 100
+    }));
+}
+
+function legsOf(result) {
+    if (Array.isArray(result.legs)) return result.legs.flatMap(legsOf);
+    if (result.route && typeof result.route === 'object') return jupiterLegs(result.route, result.routeScale);
+    if (Array.isArray(result.pools)) return poolLegs(result.pools);
+    return [];
+}
+
+/**
+ * Total impact across sequential legs, summed (first-order); null if any leg
+ * did not report one
+ */
+function combinedImpact(result) {
+    if (!Array.isArray(result.legs)) {
+        return typeof result.priceImpactPct === 'number' ? result.priceImpactPct : null;
+    }
+
+    const impacts = result.legs.map(combinedImpact);
+    if (impacts.some(impact => impact === null)) return null;
+    return impacts.reduce((sum, impact) => sum + impact, 0);
+}
+
+/**
+ * Structured route for a provider result; `source` is the provider name
+ */
+function describeRoute(result, source) {
+    const legs = legsOf(result);
+    const minOutAmountRaw = result.minOutAmountRaw ?? null;
+    const maxInAmountRaw = result.maxInAmountRaw ?? null;
+
+    return {
+        source,
+        swapMode: result.swapMode || 'ExactIn',
+        hops: legs.length,
+        venues: [...new Set(legs.map(leg => leg.venue))],
+        legs,
+        priceImpactPct: combinedImpact(result),
+        slippageBps: result.slippageBps ?? null,
+        minOutAmountRaw: minOutAmountRaw !== null ? minOutAmountRaw.toString() : null,
+        minOutAmount: minOutAmountRaw !== null && result.outputDecimals !== undefined
+            ? fromBaseUnits(minOutAmountRaw, result.outputDecimals)
+            : null,
+        maxInAmountRaw: maxInAmountRaw !== null ? maxInAmountRaw.toString() : null,
+        maxInAmount: maxInAmountRaw !== null && result.inputDecimals !== undefined
+            ? fromBaseUnits(maxInAmountRaw, result.inputDecimals)
+            : null
+    };
+}
+
+module.exports = {
+    describeRoute
+};
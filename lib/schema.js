@@ -0,0 +1,161 @@
+/**
+ * JSON Schema validation for API input.
+ *
+ * Covers the subset of JSON Schema (as used by OpenAPI 3.0) that the route
+ * definitions need: type, enum, allOf / anyOf, numeric and length bounds,
+ * pattern, arrays, objects with required / additionalProperties, and local
+ * `$ref`s into the document's components. Query and path values arrive as
+ * strings, so `coerce` turns them into the schema's type first
+ * (comma-separated for arrays, OpenAPI's `style: form, explode: false`).
+ */
+
+const REF_PREFIX = '#/components/schemas/';
+
+function resolveRef(schema, components = {}) {
+    if (!schema || !schema.$ref) return schema;
+    const name = schema.$ref.startsWith(REF_PREFIX) ? schema.$ref.slice(REF_PREFIX.length) : null;
+    if (!name || !components[name]) {
+        throw new Error(`Unresolvable schema reference: ${schema.$ref}`);
+    }
+    return resolveRef(components[name], components);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function describeType(schema, components) {
+    const resolved = resolveRef(schema, components);
+    return resolved.description || resolved.type || 'a valid value';
+}
+
+/**
+ * String from a query string or path turned into `schema`'s type; values that
+ * do not convert are returned as-is so validation reports them
+ */
+function coerce(schema, value, components) {
+    const resolved = resolveRef(schema, components);
+    if (value === undefined || typeof value !== 'string' || !resolved) return value;
+
+    switch (resolved.type) {
+        case 'number':
+        case 'integer': {
+            const number = value.trim() === '' ? NaN : Number(value);
+            return Number.isNaN(number) ? value : number;
+        }
+        case 'boolean':
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            return value;
+        case 'array':
+            return value.split(',').map(item => item.trim()).filter(item => item !== '')
+                .map(item => coerce(resolved.items, item, components));
+        default:
+            return value;
+    }
+}
+
+/**
+ * Problems with `value` against `schema`, as `[{ path, message }]` (empty when valid)
+ */
+function validate(schema, value, { path = '', components = {} } = {}) {
+    const resolved = resolveRef(schema, components);
+    const problems = [];
+    const fail = message => problems.push({ path, message });
+    const name = path || 'value';
+
+    if (!resolved) return problems;
+
+    if (value === null && resolved.nullable) return problems;
+
+    for (const part of resolved.allOf || []) {
+        problems.push(...validate(part, value, { path, components }));
+    }
+
+    if (resolved.anyOf) {
+        const attempts = resolved.anyOf.map(part => validate(part, value, { path, components }));
+        if (attempts.every(attempt => attempt.length > 0)) {
+            fail(`${name} must be ${resolved.anyOf.map(part => describeType(part, components)).join(' or ')}`);
+        }
+    }
+
+    if (resolved.type && !matchesType(resolved.type, value)) {
+        fail(`${name} must be ${resolved.type === 'integer' || resolved.type === 'array' || resolved.type === 'object' ? 'an' : 'a'} ${resolved.type}`);
+        return problems;
+    }
+
+    if (resolved.enum && !resolved.enum.includes(value)) {
+        fail(`${name} must be one of: ${resolved.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (resolved.minimum !== undefined && (resolved.exclusiveMinimum ? value <= resolved.minimum : value < resolved.minimum)) {
+            fail(`${name} must be ${resolved.exclusiveMinimum ? 'greater than' : 'at least'} ${resolved.minimum}`);
+        }
+        if (resolved.maximum !== undefined && (resolved.exclusiveMaximum ? value >= resolved.maximum : value > resolved.maximum)) {
+            fail(`${name} must be ${resolved.exclusiveMaximum ? 'less than' : 'at most'} ${resolved.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+            fail(`${name} must be at least ${resolved.minLength} characters long`);
+        }
+        if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+            fail(`${name} must be at most ${resolved.maxLength} characters long`);
+        }
+        if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+            fail(resolved['x-pattern-message'] ? `${name} ${resolved['x-pattern-message']}` : `${name} must match ${resolved.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+            fail(`${name} must have at least ${resolved.minItems} item${resolved.minItems === 1 ? '' : 's'}`);
+        }
+        if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+            fail(`${name} must have at most ${resolved.maxItems} items`);
+        }
+        if (resolved.items) {
+            value.forEach((item, index) => {
+                problems.push(...validate(resolved.items, item, { path: `${path}[${index}]`, components }));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = resolved.properties || {};
+        for (const key of resolved.required || []) {
+            if (value[key] === undefined) {
+                problems.push({ path: path ? `${path}.${key}` : key, message: `${path ? `${path}.${key}` : key} is required` });
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const itemPath = path ? `${path}.${key}` : key;
+            if (properties[key]) {
+                if (item !== undefined) problems.push(...validate(properties[key], item, { path: itemPath, components }));
+            } else if (resolved.additionalProperties === false) {
+                problems.push({ path: itemPath, message: `${itemPath} is not a recognized field` });
+            } else if (typeof resolved.additionalProperties === 'object') {
+                problems.push(...validate(resolved.additionalProperties, item, { path: itemPath, components }));
+            }
+        }
+    }
+
+    return problems;
+}
+
+module.exports = {
+    coerce,
+    validate,
+    resolveRef
+};
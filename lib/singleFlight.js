@@ -0,0 +1,41 @@
+/**
+ * In-flight request deduplication ("single-flight").
+ *
+ * Concurrent calls with the same key share one execution of `fn`; the
+ * promise is dropped as soon as it settles, so later calls run fresh.
+ */
+class SingleFlight {
+    constructor() {
+        this.inFlight = new Map();
+        this.stats = { calls: 0, executions: 0, coalesced: 0 };
+    }
+
+    do(key, fn) {
+        this.stats.calls += 1;
+
+        if (this.inFlight.has(key)) {
+            this.stats.coalesced += 1;
+            return this.inFlight.get(key);
+        }
+
+        this.stats.executions += 1;
+        const promise = Promise.resolve()
+            .then(fn)
+            .finally(() => {
+                this.inFlight.delete(key);
+            });
+
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            inFlight: this.inFlight.size,
+            coalescedRatio: this.stats.calls ? this.stats.coalesced / this.stats.calls : 0
+        };
+    }
+}
+
+module.exports = { SingleFlight };
@@ -0,0 +1,151 @@
+/**
+ * Wallet portfolio valuation.
+ *
+ * Enumerates a wallet's SPL Token and Token-2022 accounts plus its native SOL
+ * balance over the checker's RPC endpoints, prices every non-zero holding in
+ * USDC using exact base-unit amounts, and separates dust and unpriceable
+ * tokens from the priced holdings.
+ */
+const { SOL_MINT, TOKEN_PROGRAM, TOKEN_2022_PROGRAM } = require('./constants');
+const { toBaseUnits, fromBaseUnits } = require('./amounts');
+const { mapWithConcurrency } = require('./batch');
+const { failureResult } = require('./errors');
+
+const USDC_DECIMALS = 6;
+
+/**
+ * Non-zero balances per mint, summing multiple accounts of the same mint
+ */
+async function getWalletBalances(checker, owner) {
+    const balances = new Map();
+
+    for (const programId of [TOKEN_PROGRAM, TOKEN_2022_PROGRAM]) {
+        const result = await checker.rpcRequest('getTokenAccountsByOwner', [
+            owner,
+            { programId },
+            { encoding: 'jsonParsed' }
+        ]);
+
+        for (const account of result?.value || []) {
+            const info = account.account?.data?.parsed?.info;
+            const amountRaw = BigInt(info?.tokenAmount?.amount || '0');
+            if (!info || amountRaw === 0n) continue;
+
+            const existing = balances.get(info.mint);
+            balances.set(info.mint, {
+                mint: info.mint,
+                tokenProgram: programId === TOKEN_2022_PROGRAM ? 'token-2022' : 'spl-token',
+                decimals: info.tokenAmount.decimals,
+                amountRaw: (existing?.amountRaw || 0n) + amountRaw,
+                accounts: (existing?.accounts || 0) + 1
+            });
+        }
+    }
+
+    const lamports = BigInt((await checker.rpcRequest('getBalance', [owner]))?.value || 0);
+    if (lamports > 0n) {
+        // Native SOL is valued as wrapped SOL; a wSOL account adds to the same holding
+        const existing = balances.get(SOL_MINT);
+        balances.set(SOL_MINT, {
+            mint: SOL_MINT,
+            tokenProgram: existing ? existing.tokenProgram : 'native',
+            decimals: 9,
+            amountRaw: (existing?.amountRaw || 0n) + lamports,
+            accounts: (existing?.accounts || 0) + 1,
+            native: true
+        });
+    }
+
+    return [...balances.values()];
+}
+
+/**
+ * Value every holding of `owner`. Holdings worth less than `minValueUSD`
+ * are reported as dust and excluded from the holdings list (but not the total).
+ */
+async function getWalletValue(checker, owner, { minValueUSD = 0.01, concurrency = 5 } = {}) {
+    try {
+        const balances = await getWalletBalances(checker, owner);
+        const shared = new Map();
+
+        const valued = await mapWithConcurrency(balances, concurrency, async balance => {
+            const tokenInfo = await checker.getTokenInfo(balance.mint);
+            const result = await checker.getTokenPriceInUSDC(balance.mint, null, {
+                amountRaw: balance.amountRaw,
+                shared
+            });
+
+            const holding = {
+                mint: balance.mint,
+                name: tokenInfo.name,
+                symbol: tokenInfo.symbol,
+                tokenProgram: balance.tokenProgram,
+                native: Boolean(balance.native),
+                accounts: balance.accounts,
+                decimals: balance.decimals,
+                amount: fromBaseUnits(balance.amountRaw, balance.decimals),
+                amountRaw: balance.amountRaw.toString()
+            };
+
+            if (!result.success) {
+                return { ...holding, priced: false, error: result.error, code: result.code };
+            }
+
+            return {
+                ...holding,
+                priced: true,
+                pricePerToken: result.pricing.pricePerToken,
+                valueUSDC: result.pricing.totalValueUSDC,
+                valueUSDCExact: result.pricing.totalValueUSDCExact,
+                method: result.pricing.method,
+                confidence: result.pricing.confidence
+            };
+        });
+
+        const priced = valued.filter(holding => holding.priced);
+        const unpriceable = valued.filter(holding => !holding.priced);
+        const holdings = priced
+            .filter(holding => holding.valueUSDC >= minValueUSD)
+            .sort((a, b) => b.valueUSDC - a.valueUSDC);
+        const dust = priced.filter(holding => holding.valueUSDC < minValueUSD);
+
+        const totalRaw = priced.reduce((sum, holding) => (
+            sum + (holding.valueUSDCExact
+                ? toBaseUnits(holding.valueUSDCExact, USDC_DECIMALS)
+                : toBaseUnits(holding.valueUSDC.toFixed(USDC_DECIMALS), USDC_DECIMALS))
+        ), 0n);
+        const totalExact = fromBaseUnits(totalRaw, USDC_DECIMALS);
+
+        return {
+            success: true,
+            owner,
+            holdings: holdings.map(holding => ({
+                ...holding,
+                portfolioPct: Number(totalExact) > 0 ? holding.valueUSDC / Number(totalExact) * 100 : 0
+            })),
+            dust,
+            unpriceable,
+            totals: {
+                valueUSDC: Number(totalExact),
+                valueUSDCExact: totalExact,
+                holdings: holdings.length,
+                dust: dust.length,
+                dustValueUSDC: dust.reduce((sum, holding) => sum + holding.valueUSDC, 0),
+                unpriceable: unpriceable.length,
+                minValueUSD
+            },
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        checker.logger.error('❌ Error in getWalletValue', { owner, error: error.message });
+        return failureResult(error, {
+            owner,
+            suggestion: 'Check the wallet address and that the RPC endpoints are reachable'
+        });
+    }
+}
+
+module.exports = {
+    getWalletBalances,
+    getWalletValue
+};
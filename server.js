@@ -1,87 +1,370 @@
 const express = require('express');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
-const { OptimizedSolanaTokenPriceChecker } = require('./index'); // Your price checker
+const { OptimizedSolanaTokenPriceChecker, USDC_MINT, Config } = require('./index'); // Your price checker
+const { SingleFlight } = require('./lib/singleFlight');
+const { mapWithConcurrency, summarizeBatch } = require('./lib/batch');
+const { CANDLE_INTERVALS } = require('./lib/history');
+const { AGGREGATIONS: CONSENSUS_AGGREGATIONS } = require('./lib/consensus');
+const { PriceStreamHub, attachWebSocketServer, MAX_MINTS_PER_CLIENT } = require('./lib/priceStream');
+const { AlertManager } = require('./lib/alerts');
+const { ApiKeyStore, ApiKeyAuth, ANONYMOUS_TIER } = require('./lib/apiKeys');
+const { DEFAULT_USD_LADDER } = require('./lib/depth');
+const { createLogger, generateRequestId, isValidRequestId, withRequestContext } = require('./lib/logger');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { ApiRegistry, validationError, docsPage } = require('./lib/openapi');
+const { SOLANA_ADDRESS_PATTERN, components, ref, envelope, envelopeV2, requestMetadata, errorResponse } = require('./lib/apiSchemas');
+const { ERROR_CODES, PriceError, toPriceError } = require('./lib/errors');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+
+// Settings come from defaults, the config file and environment (see lib/config.js);
+// an invalid setting stops the server before it listens
+let config;
+try {
+    config = Config.load();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+const PORT = config.get('server.port');
+const BATCH_MAX_TOKENS = config.get('server.batchMaxTokens');
+const BATCH_CONCURRENCY = config.get('server.batchConcurrency');
+const DEPTH_MAX_RUNGS = 12;
+const HISTORY_MAX_CANDLES = 1000;
+const HISTORY_WATCH_MINTS = config.get('history.watchMints');
+const HISTORY_SAMPLE_INTERVAL_MS = config.get('history.sampleIntervalMs');
+const STREAM_POLL_INTERVAL_MS = config.get('server.streamPollIntervalMs');
+const STREAM_HEARTBEAT_MS = config.get('server.streamHeartbeatMs');
+const ALERT_INTERVAL_MS = config.get('server.alertIntervalMs');
+
+const logger = createLogger({ level: config.get('log.level'), format: config.get('log.format') });
+
+// One registry for the server's HTTP metrics and the checker's pricing/upstream metrics
+const metrics = new MetricsRegistry();
+const httpRequests = metrics.counter('solana_http_requests_total', 'API requests served', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('solana_http_request_duration_seconds', 'API request duration', ['method', 'route']);
+
+// Options shared by every checker instance the server creates
+const CHECKER_OPTIONS = {
+    config,
+    logger,
+    metrics,
+    history: true
+};
 
 // Initialize the price checker
 let priceChecker;
+let alertManager;
+
+// Shares one upstream lookup between concurrent identical price requests
+const priceFlight = new SingleFlight();
+
+// Correlation ID: a well-formed incoming X-Request-Id is kept, otherwise one is
+// generated. It is echoed in the response header, and everything logged or
+// requested upstream while handling the request carries it.
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = isValidRequestId(incoming) ? incoming : generateRequestId();
+    res.set('X-Request-Id', req.id);
+
+    const start = Date.now();
+    res.on('finish', () => {
+        const durationMs = Date.now() - start;
+        // The route pattern, not the URL, so each mint does not become its own series
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+
+        // API keys may arrive in the query string; keep them out of the logs
+        const url = req.originalUrl.replace(/([?&]apiKey=)[^&]*/, '$1***');
+        logger.info(`${req.method} ${url} ${res.statusCode}`, { requestId: req.id, durationMs, apiKey: req.apiKey?.id });
+    });
+
+    withRequestContext({ requestId: req.id }, next);
+});
 
 // Middleware
 app.use(express.json());
 app.use(cors());
 
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: 60 * 1000, // 1 minute
-    max: 30, // limit each IP to 30 requests per windowMs
-    message: {
-        error: 'Too many requests',
-        message: 'Rate limit exceeded. Please try again later.',
-        resetTime: 60
-    }
+// API keys and tiers: each key's tier sets its rate limit, daily quota, batch
+// cap and allowed routes. Keyless requests use the anonymous tier (limited per
+// IP by server.rateLimit.*) unless auth.anonymous is deny.
+const apiKeyStore = new ApiKeyStore({
+    file: config.get('auth.keysFile'),
+    tiers: {
+        [ANONYMOUS_TIER]: {
+            rateLimit: { windowMs: config.get('server.rateLimit.windowMs'), max: config.get('server.rateLimit.max') }
+        }
+    },
+    logger
+});
+const apiKeyAuth = new ApiKeyAuth(apiKeyStore, {
+    allowAnonymous: config.get('auth.anonymous') === 'allow',
+    adminKey: config.get('auth.adminKey'),
+    logger
 });
-
-app.use('/api/', limiter);
 
 // Initialize price checker on startup
 async function initializeServer() {
+    // A corrupt keys file stops startup instead of being replaced by an empty one
+    await apiKeyStore.load();
+
     try {
-        console.log('🚀 Initializing Solana Price API Server...');
-        priceChecker = new OptimizedSolanaTokenPriceChecker();
+        logger.info('🚀 Initializing Solana Price API Server...');
+        priceChecker = new OptimizedSolanaTokenPriceChecker(CHECKER_OPTIONS);
         await priceChecker.initialize();
-        console.log('✅ Price checker initialized successfully');
+        logger.info('✅ Price checker initialized successfully');
     } catch (error) {
-        console.error('❌ Failed to initialize price checker:', error.message);
+        logger.error('❌ Failed to initialize price checker', { error: error.message });
         // Continue with limited functionality
-        priceChecker = new OptimizedSolanaTokenPriceChecker();
+        priceChecker = new OptimizedSolanaTokenPriceChecker(CHECKER_OPTIONS);
     }
+
+    priceChecker.history.startSampler(priceChecker, HISTORY_WATCH_MINTS, HISTORY_SAMPLE_INTERVAL_MS);
+
+    alertManager = new AlertManager(priceChecker, {
+        file: config.get('server.alertsFile'),
+        intervalMs: ALERT_INTERVAL_MS,
+        logger
+    });
+    await alertManager.load();
+    alertManager.start();
 }
 
-// Helper function to validate contract address
+// Helper function to validate contract address (base58, 32-44 characters)
+const SOLANA_ADDRESS = new RegExp(SOLANA_ADDRESS_PATTERN);
 function isValidSolanaAddress(address) {
-    if (!address || typeof address !== 'string') return false;
-    // Basic Solana address validation (base58, 32-44 characters)
-    const base58Regex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
-    return base58Regex.test(address);
+    return typeof address === 'string' && SOLANA_ADDRESS.test(address);
 }
 
-// ================================
-// API ROUTES
-// ================================
+// Shared poller for WebSocket and SSE subscribers: one upstream price per mint per interval
+const priceStream = new PriceStreamHub(
+    mint => getCoalescedPrice(mint, 1, { noCache: true }),
+    { pollIntervalMs: STREAM_POLL_INTERVAL_MS, heartbeatMs: STREAM_HEARTBEAT_MS, logger }
+);
 
-// 1. GET Token Price - Main endpoint for Postman testing
-app.get('/api/price/:contractAddress', async (req, res) => {
+// 400 in the validation shape for input that passes its schema but not a semantic check
+function rejectInput(res, location, path, message) {
+    return res.status(400).json(validationError([{ in: location, path, message }]));
+}
+
+// amountRaw (integer base units) wins over amount when both are given
+function amountFromInput({ amount, amountRaw }) {
+    return amountRaw !== undefined ? { amount: null, amountRaw } : { amount, amountRaw: null };
+}
+
+// Resolve the quote currency (mint, symbol or fiat code); USDC when omitted
+async function parseQuoteInput(quote) {
+    if (quote === undefined) {
+        return { quote: null, resolved: await priceChecker.resolveQuote() };
+    }
     try {
-        const { contractAddress } = req.params;
-        const { amount = 1 } = req.query;
+        return { quote: quote.trim(), resolved: await priceChecker.resolveQuote(quote) };
+    } catch (error) {
+        return {
+            error: `${error.message}. Use a mint address, a token symbol (SOL, USDT, ...) or a fiat code from /api/fx`
+        };
+    }
+}
+
+// Coalesced price lookup used by every price route
+async function getCoalescedPrice(contractAddress, amount, options = {}) {
+    const { includeRisk, includeRoute, ...priceOptions } = options;
+    const size = priceOptions.amountRaw ? `raw:${priceOptions.amountRaw}` : amount;
+    const key = `${contractAddress}:${size}:${priceOptions.quote || USDC_MINT}`;
+    let result = await priceFlight.do(key, () => priceChecker.getTokenPrice(contractAddress, amount, priceOptions));
+
+    // Per-caller shaping happens outside the coalesced call; the risk summary has its own cache
+    if (includeRoute === false) {
+        result = priceChecker.withoutRoute(result);
+    }
+    return includeRisk && result.success ? priceChecker.withRiskSummary(result) : result;
+}
+
+// Batch streaming mode from ?stream= or the Accept header (null = plain JSON)
+function getBatchStreamMode(req) {
+    if (req.input.query.stream) return req.input.query.stream;
+
+    const accept = req.get('Accept') || '';
+    if (accept.includes('text/event-stream')) return 'sse';
+    if (accept.includes('application/x-ndjson')) return 'ndjson';
+    return null;
+}
+
+// Starts a batch stream (when streamMode is set) and returns emit(event, payload);
+// without a stream mode emit does nothing
+function openBatchStream(res, streamMode) {
+    if (streamMode) {
+        res.status(200);
+        res.set({
+            'Content-Type': streamMode === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+    }
+
+    return (event, payload) => {
+        if (!streamMode || res.writableEnded || res.destroyed) return;
+        if (streamMode === 'sse') {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+        } else {
+            res.write(`${JSON.stringify({ type: event, ...payload })}\n`);
+        }
+    };
+}
+
+// Price every batch token (bounded by BATCH_CONCURRENCY), calling onEntry as
+// each one resolves. Invalid addresses become failed entries, not errors.
+async function priceBatch(tokens, parsedQuote, includeRoute, onEntry) {
+    // Quotes shared by every token in this batch (e.g. the SOL/USDC leg)
+    const shared = new Map();
+    const startedAt = Date.now();
+
+    const entries = await mapWithConcurrency(tokens, BATCH_CONCURRENCY, async (token, index) => {
+        const { contractAddress } = token;
+        const tokenStart = Date.now();
+        let result;
 
-        // Validation
         if (!isValidSolanaAddress(contractAddress)) {
-            return res.status(400).json({
+            result = {
+                contractAddress,
                 success: false,
-                error: 'Invalid contract address format',
-                message: 'Please provide a valid Solana contract address (32-44 characters, base58)',
-                example: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm'
+                error: 'Invalid contract address',
+                code: 'INVALID_MINT'
+            };
+        } else {
+            const { amount, amountRaw } = amountFromInput({ amount: 1, ...token });
+            result = await getCoalescedPrice(contractAddress, amount, {
+                amountRaw,
+                quote: parsedQuote.quote,
+                includeRoute,
+                shared
             });
         }
 
-        const tokenAmount = parseFloat(amount);
-        if (isNaN(tokenAmount) || tokenAmount <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid amount',
-                message: 'Amount must be a positive number',
-                provided: amount
-            });
+        const entry = { index, contractAddress, result, latencyMs: Date.now() - tokenStart };
+        onEntry(entry);
+        return entry;
+    });
+
+    const summary = summarizeBatch(entries, Date.now() - startedAt, priceChecker.describeQuote(parsedQuote.resolved));
+    return { entries, summary };
+}
+
+// ================================
+// API ROUTES
+// ================================
+
+// Every route below is registered with its parameter, body and response
+// schemas: requests are validated (and typed) before the handler runs, and
+// the same definitions produce /api/openapi.json, /api/docs and the listings.
+const api = new ApiRegistry(app, {
+    info: {
+        title: 'Solana Token Price API',
+        version: '1.0.0',
+        description: 'Token prices, conversions, liquidity depth, history, risk reports, wallet values and alerts for Solana tokens. ' +
+            'Routes under /api/v2 share one response envelope and typed error codes.'
+    },
+    components,
+    middleware: [apiKeyAuth.middleware()],
+    securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey' }
+    },
+    // {} marks the key as optional while anonymous access is allowed
+    security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }, ...(config.get('auth.anonymous') === 'allow' ? [{}] : [])],
+    securityResponses: {
+        401: errorResponse('Missing, unknown or revoked API key'),
+        403: errorResponse('Route not available to the key\'s tier'),
+        429: errorResponse('Rate limit or daily quota exceeded (see Retry-After)')
+    },
+    tags: [
+        { name: 'Pricing', description: 'Prices, batches, conversions and consensus' },
+        { name: 'Tokens', description: 'Search, liquidity depth, risk and wallets' },
+        { name: 'History', description: 'Candles from recorded price observations' },
+        { name: 'Streaming', description: 'Real-time price updates' },
+        { name: 'Alerts', description: 'Webhook alert rules' },
+        { name: 'FX', description: 'Fiat rates for fiat quotes' },
+        { name: 'Server', description: 'Health, configuration, metrics and docs' },
+        { name: 'Keys', description: 'API key usage and administration' }
+    ]
+});
+
+const CONTRACT_ADDRESS_PARAM = { description: 'Solana token contract address', schema: ref('SolanaAddress') };
+const QUOTE_SCHEMA = {
+    type: 'string',
+    minLength: 1,
+    description: 'Quote currency: mint address, symbol (SOL, USDT, ...) or fiat code from /api/fx (default: USDC)'
+};
+const POSITIVE_NUMBER = { type: 'number', minimum: 0, exclusiveMinimum: true };
+const TOLERANCE_SCHEMA = {
+    type: 'number',
+    minimum: 0,
+    exclusiveMinimum: true,
+    maximum: 100,
+    default: config.get('pricing.consensusTolerancePct'),
+    description: 'Consensus outlier threshold in percent from the median'
+};
+const AGGREGATION_SCHEMA = { type: 'string', enum: CONSENSUS_AGGREGATIONS, default: 'median', description: 'Consensus aggregation' };
+const PRICE_DATA = {
+    type: 'object',
+    properties: {
+        token: ref('Token'),
+        pricing: ref('Pricing'),
+        risk: ref('RiskSummary'),
+        consensus: ref('Consensus'),
+        metadata: requestMetadata
+    }
+};
+const ALERT_ID_PARAM = { description: 'Alert rule ID', schema: { type: 'string' } };
+const NOT_FOUND = errorResponse('Alert rule not found');
+
+// 1. GET Token Price - Main endpoint for Postman testing
+api.get('/api/price/:contractAddress', {
+    operationId: 'getTokenPrice',
+    tags: ['Pricing'],
+    summary: 'Get token price in USDC or another quote currency',
+    params: { contractAddress: CONTRACT_ADDRESS_PARAM },
+    query: {
+        amount: { description: 'Number of tokens', schema: { ...POSITIVE_NUMBER, default: 1 } },
+        amountRaw: { description: 'Exact amount in base units, overrides amount', schema: ref('BaseUnits') },
+        quote: { description: QUOTE_SCHEMA.description, schema: QUOTE_SCHEMA },
+        risk: { description: 'Include a risk summary', schema: { type: 'boolean', default: false } },
+        route: { description: 'Include the route plan', schema: { type: 'boolean', default: true } },
+        consensus: { description: 'Price from every source and flag outliers', schema: { type: 'boolean', default: false } },
+        tolerancePct: { description: TOLERANCE_SCHEMA.description, schema: TOLERANCE_SCHEMA },
+        aggregation: { description: AGGREGATION_SCHEMA.description, schema: AGGREGATION_SCHEMA }
+    },
+    responses: {
+        200: { description: 'Token price', schema: envelope(PRICE_DATA, { additional: ref('PriceAdditional') }) },
+        404: errorResponse('No source could price the token')
+    }
+}, async (req, res) => {
+    try {
+        const { contractAddress } = req.params;
+        const { quote, risk, route, consensus, tolerancePct, aggregation } = req.input.query;
+        const { amount: tokenAmount, amountRaw } = amountFromInput(req.input.query);
+
+        const parsedQuote = await parseQuoteInput(quote);
+        if (parsedQuote.error) {
+            return rejectInput(res, 'query', 'quote', parsedQuote.error);
         }
 
-        console.log(`📡 API Request: ${tokenAmount} tokens of ${contractAddress}`);
+        logger.debug('📡 API Request', { mint: contractAddress, amount: tokenAmount, amountRaw });
 
-        // Get token price
-        const result = await priceChecker.getTokenPriceInUSDC(contractAddress, tokenAmount);
+        // Get token price; consensus asks every source fresh, so it skips the cache and coalescing
+        const priceOptions = {
+            amountRaw,
+            quote: parsedQuote.quote,
+            includeRisk: risk,
+            includeRoute: route
+        };
+        const result = consensus
+            ? await priceChecker.getConsensusPrice(contractAddress, tokenAmount, { ...priceOptions, tolerancePct, aggregation })
+            : await getCoalescedPrice(contractAddress, tokenAmount, priceOptions);
 
         if (result.success) {
             res.json({
@@ -89,8 +372,10 @@ app.get('/api/price/:contractAddress', async (req, res) => {
                 data: {
                     token: result.token,
                     pricing: result.pricing,
+                    risk: result.risk,
+                    consensus: result.consensus,
                     metadata: {
-                        requestId: `req_${Date.now()}`,
+                        requestId: req.id,
                         processingTime: '~2-5s',
                         apiVersion: '1.0'
                     }
@@ -104,12 +389,14 @@ app.get('/api/price/:contractAddress', async (req, res) => {
                 message: 'Could not fetch token price',
                 suggestion: result.suggestion || 'Please verify the contract address and try again',
                 contractAddress,
-                amount: tokenAmount
+                amount: tokenAmount,
+                amountRaw,
+                quote: parsedQuote.resolved.code
             });
         }
 
     } catch (error) {
-        console.error('❌ API Error:', error.message);
+        logger.error('❌ API Error', { error: error.message });
         res.status(500).json({
             success: false,
             error: 'Internal server error',
@@ -120,45 +407,68 @@ app.get('/api/price/:contractAddress', async (req, res) => {
 });
 
 // 2. POST Token Price - Alternative endpoint for POST requests
-app.post('/api/price', async (req, res) => {
-    try {
-        const { contractAddress, amount = 1 } = req.body;
-
-        if (!contractAddress) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing contract address',
-                message: 'Please provide a contractAddress in the request body'
-            });
-        }
-
-        if (!isValidSolanaAddress(contractAddress)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid contract address format',
-                message: 'Please provide a valid Solana contract address'
-            });
+api.post('/api/price', {
+    operationId: 'postTokenPrice',
+    tags: ['Pricing'],
+    summary: 'Get token price (POST method)',
+    body: {
+        description: 'contractAddress plus the same options as GET /api/price/:contractAddress',
+        schema: {
+            type: 'object',
+            required: ['contractAddress'],
+            properties: {
+                contractAddress: ref('SolanaAddress'),
+                amount: { ...POSITIVE_NUMBER, default: 1, description: 'Number of tokens' },
+                amountRaw: ref('BaseUnits'),
+                quote: QUOTE_SCHEMA,
+                includeRisk: { type: 'boolean', default: false, description: 'Include a risk summary' },
+                includeRoute: { type: 'boolean', default: true, description: 'Include the route plan' },
+                consensus: { type: 'boolean', default: false, description: 'Price from every source and flag outliers' },
+                tolerancePct: TOLERANCE_SCHEMA,
+                aggregation: AGGREGATION_SCHEMA
+            }
         }
+    },
+    responses: {
+        200: { description: 'Token price', schema: envelope(ref('PriceResult'), { metadata: requestMetadata }) },
+        404: errorResponse('No source could price the token')
+    }
+}, async (req, res) => {
+    try {
+        const {
+            contractAddress,
+            quote,
+            includeRisk = false,
+            includeRoute = true,
+            consensus = false,
+            tolerancePct,
+            aggregation
+        } = req.input.body;
+        const { amount: tokenAmount, amountRaw } = amountFromInput({ amount: 1, ...req.input.body });
 
-        const tokenAmount = parseFloat(amount);
-        if (isNaN(tokenAmount) || tokenAmount <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid amount',
-                message: 'Amount must be a positive number'
-            });
+        const parsedQuote = await parseQuoteInput(quote);
+        if (parsedQuote.error) {
+            return rejectInput(res, 'body', 'quote', parsedQuote.error);
         }
 
-        console.log(`📡 POST Request: ${tokenAmount} tokens of ${contractAddress}`);
+        logger.debug('📡 POST Request', { mint: contractAddress, amount: tokenAmount, amountRaw });
 
-        const result = await priceChecker.getTokenPriceInUSDC(contractAddress, tokenAmount);
+        const priceOptions = {
+            amountRaw,
+            quote: parsedQuote.quote,
+            includeRisk,
+            includeRoute
+        };
+        const result = consensus
+            ? await priceChecker.getConsensusPrice(contractAddress, tokenAmount, { ...priceOptions, tolerancePct, aggregation })
+            : await getCoalescedPrice(contractAddress, tokenAmount, priceOptions);
 
         if (result.success) {
             res.json({
                 success: true,
                 data: result,
                 metadata: {
-                    requestId: `req_${Date.now()}`,
+                    requestId: req.id,
                     method: 'POST'
                 }
             });
@@ -167,12 +477,13 @@ app.post('/api/price', async (req, res) => {
                 success: false,
                 error: result.error,
                 contractAddress,
-                amount: tokenAmount
+                amount: tokenAmount,
+                amountRaw
             });
         }
 
     } catch (error) {
-        console.error('❌ POST API Error:', error.message);
+        logger.error('❌ POST API Error', { error: error.message });
         res.status(500).json({
             success: false,
             error: 'Internal server error',
@@ -182,77 +493,116 @@ app.post('/api/price', async (req, res) => {
 });
 
 // 3. GET Multiple Token Prices - Batch endpoint
-app.post('/api/price/batch', async (req, res) => {
+// Tokens are priced in parallel (bounded by BATCH_CONCURRENCY). Pass
+// ?stream=ndjson or ?stream=sse (or the matching Accept header) to receive
+// each token's result as soon as it resolves, followed by the summary.
+api.post('/api/price/batch', {
+    operationId: 'getBatchPrices',
+    tags: ['Pricing'],
+    summary: `Price up to ${BATCH_MAX_TOKENS} tokens in parallel, optionally streaming each result`,
+    description: 'Entries whose contractAddress is not a valid Solana address, or that cannot be priced, ' +
+        'are reported as failed tokens in the results and summary instead of failing the whole batch. ' +
+        'The API key\'s tier may allow fewer tokens per batch (batchMaxTokens).',
+    query: {
+        stream: {
+            description: 'Stream each result as it resolves (also selected by Accept: application/x-ndjson or text/event-stream)',
+            schema: { type: 'string', enum: ['ndjson', 'sse'] }
+        }
+    },
+    body: {
+        description: 'Tokens to price and one quote currency for the whole batch',
+        schema: {
+            type: 'object',
+            required: ['tokens'],
+            properties: {
+                tokens: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: BATCH_MAX_TOKENS,
+                    items: {
+                        type: 'object',
+                        required: ['contractAddress'],
+                        properties: {
+                            contractAddress: { type: 'string', description: 'Solana token contract address' },
+                            amount: { ...POSITIVE_NUMBER, default: 1, description: 'Number of tokens' },
+                            amountRaw: ref('BaseUnits')
+                        }
+                    }
+                },
+                quote: QUOTE_SCHEMA,
+                includeRoute: { type: 'boolean', default: true, description: 'Include each token\'s route plan' }
+            }
+        }
+    },
+    responses: {
+        200: {
+            description: 'Per-token results (in request order) and a summary; streamed as one event per result, then the summary',
+            content: {
+                'application/json': {
+                    schema: envelope({
+                        type: 'object',
+                        properties: {
+                            tokens: { type: 'array', items: ref('PriceResult') },
+                            summary: ref('BatchSummary')
+                        }
+                    }, { metadata: requestMetadata })
+                },
+                'application/x-ndjson': {
+                    schema: { type: 'string', description: 'Lines of {"type":"result",...} then {"type":"summary",...}' }
+                },
+                'text/event-stream': {
+                    schema: { type: 'string', description: '"result" events then one "summary" event' }
+                }
+            }
+        }
+    }
+}, async (req, res) => {
     try {
-        const { tokens } = req.body;
+        const { tokens, quote, includeRoute = true } = req.input.body;
 
-        if (!tokens || !Array.isArray(tokens) || tokens.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid tokens array',
-                message: 'Please provide an array of tokens with contractAddress and amount',
-                example: [
-                    { contractAddress: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', amount: 100 },
-                    { contractAddress: '5z3EqYQo9HiCEs3R84RCDMu2n7anpDMxRhdK8PSWmrRC', amount: 1 }
-                ]
-            });
+        if (tokens.length > req.apiTier.batchMaxTokens) {
+            return rejectInput(res, 'body', 'tokens',
+                `tokens must have at most ${req.apiTier.batchMaxTokens} items for the ${req.apiTier.name} tier`);
         }
 
-        if (tokens.length > 10) {
-            return res.status(400).json({
-                success: false,
-                error: 'Too many tokens',
-                message: 'Maximum 10 tokens allowed per batch request'
-            });
+        // One quote currency per batch so the summary totals add up
+        const parsedQuote = await parseQuoteInput(quote);
+        if (parsedQuote.error) {
+            return rejectInput(res, 'body', 'quote', parsedQuote.error);
         }
 
-        console.log(`📡 Batch Request: ${tokens.length} tokens`);
+        const streamMode = getBatchStreamMode(req);
+        logger.debug('📡 Batch Request', { tokens: tokens.length, stream: streamMode || undefined });
 
-        const results = [];
-        let totalValue = 0;
-
-        for (const token of tokens) {
-            if (!token.contractAddress || !isValidSolanaAddress(token.contractAddress)) {
-                results.push({
-                    contractAddress: token.contractAddress,
-                    success: false,
-                    error: 'Invalid contract address'
-                });
-                continue;
-            }
-
-            const amount = parseFloat(token.amount) || 1;
-            const result = await priceChecker.getTokenPriceInUSDC(token.contractAddress, amount);
-            
-            if (result.success) {
-                totalValue += result.pricing.totalValueUSDC;
-            }
-            
-            results.push(result);
+        const emit = openBatchStream(res, streamMode);
+        const { entries, summary } = await priceBatch(tokens, parsedQuote, includeRoute, entry => {
+            emit('result', { index: entry.index, latencyMs: entry.latencyMs, result: entry.result });
+        });
+        const metadata = {
+            requestId: req.id,
+            processingTime: `${summary.durationMs}ms`,
+            concurrency: BATCH_CONCURRENCY
+        };
 
-            // Rate limiting delay
-            await new Promise(resolve => setTimeout(resolve, 200));
+        if (streamMode) {
+            emit('summary', { summary, metadata });
+            return res.end();
         }
 
         res.json({
             success: true,
             data: {
-                tokens: results,
-                summary: {
-                    totalTokens: tokens.length,
-                    successfulPrices: results.filter(r => r.success).length,
-                    failedPrices: results.filter(r => !r.success).length,
-                    totalValueUSDC: totalValue.toFixed(6)
-                }
+                tokens: entries.map(entry => entry.result),
+                summary
             },
-            metadata: {
-                requestId: `batch_${Date.now()}`,
-                processingTime: `~${tokens.length * 2}-${tokens.length * 5}s`
-            }
+            metadata
         });
 
     } catch (error) {
-        console.error('❌ Batch API Error:', error.message);
+        logger.error('❌ Batch API Error', { error: error.message });
+        if (res.headersSent) {
+            return res.end();
+        }
         res.status(500).json({
             success: false,
             error: 'Internal server error',
@@ -262,23 +612,39 @@ app.post('/api/price/batch', async (req, res) => {
 });
 
 // 4. GET Token Search
-app.get('/api/search/:query', async (req, res) => {
-    try {
-        const { query } = req.params;
-        const { limit = 10 } = req.query;
-
-        if (!query || query.length < 2) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid search query',
-                message: 'Search query must be at least 2 characters long'
-            });
+api.get('/api/search/:query', {
+    operationId: 'searchTokens',
+    tags: ['Tokens'],
+    summary: 'Search the token list by name or symbol',
+    params: {
+        query: { description: 'Search term', schema: { type: 'string', minLength: 2 } }
+    },
+    query: {
+        limit: { description: 'Maximum number of results', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } }
+    },
+    responses: {
+        200: {
+            description: 'Matching tokens',
+            schema: envelope({
+                type: 'object',
+                properties: {
+                    query: { type: 'string' },
+                    results: { type: 'array', items: ref('Token') },
+                    count: { type: 'integer', description: 'Results returned (at most limit)' },
+                    totalFound: { type: 'integer', description: 'Every match in the token list' }
+                }
+            })
         }
+    }
+}, async (req, res) => {
+    try {
+        const { query } = req.input.params;
+        const { limit } = req.input.query;
 
-        console.log(`🔍 Search Request: "${query}"`);
+        logger.debug('🔍 Search Request', { query });
 
-        const results = await priceChecker.searchTokens(query);
-        const limitedResults = results.slice(0, parseInt(limit));
+        const results = await priceChecker.searchTokens(query, Infinity);
+        const limitedResults = results.slice(0, limit);
 
         res.json({
             success: true,
@@ -291,7 +657,7 @@ app.get('/api/search/:query', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('❌ Search API Error:', error.message);
+        logger.error('❌ Search API Error', { error: error.message });
         res.status(500).json({
             success: false,
             error: 'Internal server error',
@@ -301,41 +667,18 @@ app.get('/api/search/:query', async (req, res) => {
 });
 
 // 5. GET Server Status and Health Check
-app.get('/api/status', async (req, res) => {
+api.get('/api/status', {
+    operationId: 'getStatus',
+    tags: ['Server'],
+    summary: 'Server health check and status',
+    responses: {
+        200: { description: 'Status of the price checker, providers, endpoint pools, caches and background jobs', schema: envelope({ type: 'object' }) }
+    }
+}, async (req, res) => {
     try {
-        const status = {
-            server: 'online',
-            timestamp: new Date().toISOString(),
-            version: '1.0.0',
-            priceChecker: priceChecker ? 'initialized' : 'not_initialized',
-            uptime: process.uptime(),
-            endpoints: [
-                'GET /api/price/:contractAddress?amount=1',
-                'POST /api/price',
-                'POST /api/price/batch',
-                'GET /api/search/:query',
-                'GET /api/status'
-            ]
-        };
-
-        // Test a quick price check to verify functionality
-        try {
-            const testResult = await priceChecker.getTokenPriceInUSDC(
-                'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
-                1
-            );
-            status.priceChecker = testResult.success ? 'working' : 'degraded';
-            status.lastTestPrice = testResult.success ? 
-                `1 USDC = $${testResult.pricing.pricePerToken}` : 
-                testResult.error;
-        } catch (error) {
-            status.priceChecker = 'error';
-            status.error = error.message;
-        }
-
         res.json({
             success: true,
-            data: status
+            data: await getServerStatus()
         });
 
     } catch (error) {
@@ -347,126 +690,1306 @@ app.get('/api/status', async (req, res) => {
     }
 });
 
-// Root endpoint with API documentation
-app.get('/', (req, res) => {
-    res.json({
-        message: 'Solana Token Price API',
+// Health of the checker, its providers and pools, caches and background jobs
+async function getServerStatus() {
+    const status = {
+        server: 'online',
+        timestamp: new Date().toISOString(),
         version: '1.0.0',
-        documentation: {
-            endpoints: [
-                {
-                    method: 'GET',
-                    path: '/api/price/:contractAddress',
-                    description: 'Get token price in USDC',
-                    parameters: {
-                        contractAddress: 'Solana token contract address',
-                        amount: 'Number of tokens (query parameter, default: 1)'
-                    },
-                    example: '/api/price/EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm?amount=100'
-                },
-                {
-                    method: 'POST',
-                    path: '/api/price',
-                    description: 'Get token price in USDC (POST method)',
-                    body: {
-                        contractAddress: 'string',
-                        amount: 'number (optional)'
-                    }
-                },
-                {
-                    method: 'POST',
-                    path: '/api/price/batch',
-                    description: 'Get multiple token prices',
-                    body: {
-                        tokens: [
-                            { contractAddress: 'string', amount: 'number' }
-                        ]
-                    }
-                },
-                {
-                    method: 'GET',
-                    path: '/api/search/:query',
-                    description: 'Search for tokens by name or symbol',
-                    parameters: {
-                        query: 'Search term',
-                        limit: 'Number of results (optional, default: 10)'
-                    }
-                },
-                {
-                    method: 'GET',
-                    path: '/api/status',
-                    description: 'Server health check and status'
+        priceChecker: priceChecker ? 'initialized' : 'not_initialized',
+        uptime: process.uptime(),
+        endpoints: api.listEndpoints()
+    };
+
+    // Test a quick price check to verify functionality
+    try {
+        const testResult = await priceChecker.getTokenPriceInUSDC(
+            'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+            1
+        );
+        status.priceChecker = testResult.success ? 'working' : 'degraded';
+        status.lastTestPrice = testResult.success ?
+            `1 USDC = $${testResult.pricing.pricePerToken}` :
+            testResult.error;
+    } catch (error) {
+        status.priceChecker = 'error';
+        status.error = error.message;
+    }
+
+    status.providers = priceChecker.getProviderHealth();
+    status.endpointPools = priceChecker.getEndpointHealth();
+    status.priceCache = priceChecker.priceCache.getStats();
+    status.coalescing = priceFlight.getStats();
+    status.history = priceChecker.history.getStats();
+    status.stream = priceStream.getStats();
+    status.alerts = alertManager ? alertManager.getStats() : null;
+    status.fx = priceChecker ? priceChecker.fx.getStats() : null;
+    status.apiKeys = apiKeyStore.getStats();
+    return status;
+}
+
+// 6. GET Liquidity Depth Ladder
+api.get('/api/depth/:contractAddress', {
+    operationId: 'getLiquidityDepth',
+    tags: ['Tokens'],
+    summary: 'Liquidity depth ladder with price impact per size and 1%/2%/5% impact estimates',
+    params: { contractAddress: CONTRACT_ADDRESS_PARAM },
+    query: {
+        sizes: {
+            description: `Ladder sizes (default: ${DEFAULT_USD_LADDER.join(',')} USD)`,
+            schema: { type: 'array', items: POSITIVE_NUMBER, maxItems: DEPTH_MAX_RUNGS }
+        },
+        unit: { description: 'Unit of sizes', schema: { type: 'string', enum: ['usd', 'token'], default: 'usd' } },
+        direction: { description: 'Sides of the book to walk', schema: { type: 'string', enum: ['both', 'sell', 'buy'], default: 'both' } }
+    },
+    responses: {
+        200: { description: 'Depth ladder', schema: envelope({ type: 'object' }, { metadata: requestMetadata }) },
+        404: errorResponse('No route to build the ladder from')
+    }
+}, async (req, res) => {
+    try {
+        const { contractAddress } = req.input.params;
+        const { sizes = [], unit, direction } = req.input.query;
+
+        logger.debug('📡 Depth Request', { mint: contractAddress, direction, unit });
+
+        const result = await priceChecker.getLiquidityDepth(contractAddress, { sizes, unit, direction });
+
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result,
+                metadata: {
+                    requestId: req.id
                 }
-            ]
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                error: result.error,
+                message: 'Could not build depth ladder',
+                suggestion: result.suggestion,
+                contractAddress
+            });
+        }
+
+    } catch (error) {
+        logger.error('❌ Depth API Error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// 7. GET Price History Candles
+api.get('/api/history/:contractAddress', {
+    operationId: 'getPriceHistory',
+    tags: ['History'],
+    summary: 'OHLCV candles built from recorded price observations',
+    params: { contractAddress: CONTRACT_ADDRESS_PARAM },
+    query: {
+        interval: { description: 'Candle interval', schema: { type: 'string', enum: Object.keys(CANDLE_INTERVALS), default: '5m' } },
+        from: {
+            description: `Start time, epoch ms or ISO date (default: 24h ago, at most ${HISTORY_MAX_CANDLES} candles)`,
+            schema: { type: 'string' }
         },
-        examples: {
-            commonTokens: {
-                WIF: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm',
-                PONKE: '5z3EqYQo9HiCEs3R84RCDMu2n7anpDMxRhdK8PSWmrRC',
-                BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
-                JUP: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
-                SOL: 'So11111111111111111111111111111111111111112',
-                USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
-            }
+        to: { description: 'End time, epoch ms or ISO date (default: now)', schema: { type: 'string' } }
+    },
+    responses: {
+        200: {
+            description: 'Candles in the requested range',
+            schema: envelope({
+                type: 'object',
+                properties: {
+                    contractAddress: { type: 'string' },
+                    interval: { type: 'string' },
+                    from: { type: 'string', format: 'date-time' },
+                    to: { type: 'string', format: 'date-time' },
+                    candles: { type: 'array', items: ref('Candle') },
+                    count: { type: 'integer' }
+                }
+            })
         }
-    });
+    }
+}, async (req, res) => {
+    try {
+        const { contractAddress } = req.input.params;
+        const { interval, from, to } = req.input.query;
+
+        const range = parseHistoryRange(interval, from, to);
+        if (range.error) {
+            return rejectInput(res, 'query', 'from', range.error);
+        }
+
+        res.json({
+            success: true,
+            data: getHistoryCandles(contractAddress, interval, range)
+        });
+
+    } catch (error) {
+        logger.error('❌ History API Error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-    console.error('❌ Unhandled Error:', error);
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error',
-        message: 'An unexpected error occurred'
+// from/to accept epoch milliseconds or ISO dates; default is the last
+// 24 hours, shortened to HISTORY_MAX_CANDLES candles for small intervals
+function parseHistoryRange(interval, from, to) {
+    const parseTime = value => (/^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value));
+    const toTime = to !== undefined ? parseTime(to) : Date.now();
+    const defaultWindow = Math.min(24 * 60 * 60 * 1000, (HISTORY_MAX_CANDLES - 1) * CANDLE_INTERVALS[interval]);
+    const fromTime = from !== undefined ? parseTime(from) : toTime - defaultWindow;
+
+    if (isNaN(fromTime) || isNaN(toTime) || fromTime > toTime) {
+        return { error: 'from and to must be epoch milliseconds or ISO dates, with from <= to' };
+    }
+    if ((toTime - fromTime) / CANDLE_INTERVALS[interval] > HISTORY_MAX_CANDLES) {
+        return { error: `At most ${HISTORY_MAX_CANDLES} ${interval} candles can be requested at once` };
+    }
+    return { fromTime, toTime };
+}
+
+function getHistoryCandles(contractAddress, interval, { fromTime, toTime }) {
+    const candles = priceChecker.history.getCandles(contractAddress, interval, fromTime, toTime);
+    return {
+        contractAddress,
+        interval,
+        from: new Date(fromTime).toISOString(),
+        to: new Date(toTime).toISOString(),
+        candles,
+        count: candles.length
+    };
+}
+
+// 8. GET Price Stream (Server-Sent Events fallback for the /api/stream WebSocket)
+api.describeExternal('ws', '/api/stream',
+    'Real-time price updates over WebSocket: send {"action":"subscribe","mints":[...],"minChangePct":0.5} or {"action":"unsubscribe","mints":[...]}');
+
+api.get('/api/stream/sse', {
+    operationId: 'streamPrices',
+    tags: ['Streaming'],
+    summary: 'Real-time price updates over Server-Sent Events',
+    query: {
+        mints: {
+            description: 'Contract addresses to follow',
+            required: true,
+            schema: { type: 'array', items: ref('SolanaAddress'), minItems: 1, maxItems: MAX_MINTS_PER_CLIENT }
+        },
+        minChangePct: {
+            description: 'Only push updates that moved at least this many percent',
+            schema: { type: 'number', minimum: 0, default: 0 }
+        }
+    },
+    responses: {
+        200: {
+            description: 'Event stream of price updates and heartbeats',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+        }
+    }
+}, (req, res) => {
+    const { mints, minChangePct } = req.input.query;
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
     });
-});
+    res.flushHeaders();
 
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Endpoint not found',
-        message: `The endpoint ${req.method} ${req.path} does not exist`,
-        availableEndpoints: [
-            'GET /',
-            'GET /api/status',
-            'GET /api/price/:contractAddress',
-            'POST /api/price',
-            'POST /api/price/batch',
-            'GET /api/search/:query'
-        ]
+    const client = priceStream.addClient((type, payload) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+        }
+    }, { minChangePct });
+
+    priceStream.subscribe(client, mints);
+    logger.info('📡 SSE stream opened', { mints: mints.length, client: client.id });
+
+    req.on('close', () => {
+        priceStream.removeClient(client);
+        logger.info('📡 SSE stream closed', { client: client.id });
     });
 });
 
-// Start server
-async function startServer() {
+// 9. Alert Rules
+api.post('/api/alerts', {
+    operationId: 'createAlert',
+    tags: ['Alerts'],
+    summary: 'Create an alert rule',
+    description: 'Fires a signed webhook: X-Alert-Signature is sha256=HMAC(secret, timestamp.body).',
+    body: { description: 'Alert rule', schema: ref('AlertRuleInput') },
+    responses: {
+        201: {
+            description: 'Rule created; the secret is only returned here',
+            schema: envelope(ref('AlertRule'), { message: { type: 'string' } })
+        }
+    }
+}, async (req, res) => {
     try {
-        await initializeServer();
-        
-        app.listen(PORT, () => {
-            console.log(`\n🚀 Solana Token Price API Server running on port ${PORT}`);
-            console.log(`📡 API Base URL: http://localhost:${PORT}`);
-            console.log(`📚 Documentation: http://localhost:${PORT}`);
-            console.log(`❤️  Health Check: http://localhost:${PORT}/api/status`);
-            console.log('\n📋 Ready for Postman testing!');
-            console.log('='.repeat(50));
+        let rule;
+        try {
+            rule = await alertManager.createRule(req.input.body);
+        } catch (error) {
+            return rejectInput(res, 'body', '', error.message);
+        }
+
+        logger.info('🔔 Alert rule created', { ruleId: rule.id, type: rule.type, mint: rule.mint });
+
+        res.status(201).json({
+            success: true,
+            data: rule,
+            message: 'Store the secret now; it is used to sign webhook payloads and will not be shown again'
+        });
+
+    } catch (error) {
+        logger.error('❌ Alert API Error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+api.get('/api/alerts', {
+    operationId: 'listAlerts',
+    tags: ['Alerts'],
+    summary: 'List alert rules',
+    responses: {
+        200: {
+            description: 'Every rule',
+            schema: envelope({
+                type: 'object',
+                properties: { rules: { type: 'array', items: ref('AlertRule') }, count: { type: 'integer' } }
+            })
+        }
+    }
+}, (req, res) => {
+    const rules = alertManager.listRules();
+    res.json({
+        success: true,
+        data: {
+            rules,
+            count: rules.length
+        }
+    });
+});
+
+api.get('/api/alerts/:id', {
+    operationId: 'getAlert',
+    tags: ['Alerts'],
+    summary: 'One alert rule with its recent webhook deliveries',
+    params: { id: ALERT_ID_PARAM },
+    responses: {
+        200: {
+            description: 'Rule and deliveries',
+            schema: envelope({
+                type: 'object',
+                properties: { rule: ref('AlertRule'), deliveries: { type: 'array', items: ref('AlertDelivery') } }
+            })
+        },
+        404: NOT_FOUND
+    }
+}, (req, res) => {
+    const rule = alertManager.getRule(req.params.id);
+    if (!rule) {
+        return res.status(404).json({
+            success: false,
+            error: 'Alert rule not found',
+            id: req.params.id
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            rule,
+            deliveries: alertManager.getDeliveries(rule.id)
+        }
+    });
+});
+
+api.patch('/api/alerts/:id', {
+    operationId: 'updateAlert',
+    tags: ['Alerts'],
+    summary: 'Enable or disable an alert rule',
+    params: { id: ALERT_ID_PARAM },
+    body: {
+        description: 'Only enabled can be updated',
+        schema: {
+            type: 'object',
+            required: ['enabled'],
+            additionalProperties: false,
+            properties: { enabled: { type: 'boolean' } }
+        }
+    },
+    responses: {
+        200: { description: 'Updated rule', schema: envelope(ref('AlertRule')) },
+        404: NOT_FOUND
+    }
+}, async (req, res) => {
+    const rule = await alertManager.setRuleEnabled(req.params.id, req.input.body.enabled);
+    if (!rule) {
+        return res.status(404).json({
+            success: false,
+            error: 'Alert rule not found',
+            id: req.params.id
+        });
+    }
+
+    res.json({ success: true, data: rule });
+});
+
+api.delete('/api/alerts/:id', {
+    operationId: 'deleteAlert',
+    tags: ['Alerts'],
+    summary: 'Delete an alert rule',
+    params: { id: ALERT_ID_PARAM },
+    responses: {
+        200: {
+            description: 'Rule deleted',
+            schema: envelope({ type: 'object', properties: { id: { type: 'string' }, deleted: { type: 'boolean' } } })
+        },
+        404: NOT_FOUND
+    }
+}, async (req, res) => {
+    const deleted = await alertManager.deleteRule(req.params.id);
+    if (!deleted) {
+        return res.status(404).json({
+            success: false,
+            error: 'Alert rule not found',
+            id: req.params.id
+        });
+    }
+
+    res.json({ success: true, data: { id: req.params.id, deleted: true } });
+});
+
+api.get('/api/alerts/:id/deliveries', {
+    operationId: 'listAlertDeliveries',
+    tags: ['Alerts'],
+    summary: 'Webhook delivery attempts for an alert rule, newest first',
+    params: { id: ALERT_ID_PARAM },
+    query: {
+        limit: { description: 'Maximum number of deliveries', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } }
+    },
+    responses: {
+        200: {
+            description: 'Deliveries',
+            schema: envelope({ type: 'object', properties: { deliveries: { type: 'array', items: ref('AlertDelivery') } } })
+        },
+        404: NOT_FOUND
+    }
+}, (req, res) => {
+    if (!alertManager.getRule(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Alert rule not found',
+            id: req.params.id
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            deliveries: alertManager.getDeliveries(req.params.id, req.input.query.limit)
+        }
+    });
+});
+
+// 10. GET Wallet Portfolio Value
+api.get('/api/wallet/:address/value', {
+    operationId: 'getWalletValue',
+    tags: ['Tokens'],
+    summary: 'USDC value of a wallet\'s SOL, SPL Token and Token-2022 holdings',
+    params: { address: { description: 'Solana wallet address', schema: ref('SolanaAddress') } },
+    query: {
+        minValueUSD: {
+            description: 'Holdings below this value are reported as dust',
+            schema: { type: 'number', minimum: 0, default: 0.01 }
+        }
+    },
+    responses: {
+        200: { description: 'Holdings and total value', schema: envelope({ type: 'object' }, { metadata: requestMetadata }) },
+        502: errorResponse('The wallet\'s accounts could not be read')
+    }
+}, async (req, res) => {
+    try {
+        const { address } = req.input.params;
+        const { minValueUSD } = req.input.query;
+
+        logger.debug('📡 Wallet Request', { owner: address });
+
+        const result = await priceChecker.getWalletValue(address, { minValueUSD, concurrency: BATCH_CONCURRENCY });
+
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result,
+                metadata: {
+                    requestId: req.id
+                }
+            });
+        } else {
+            res.status(502).json({
+                success: false,
+                error: result.error,
+                message: 'Could not value wallet',
+                suggestion: result.suggestion,
+                address
+            });
+        }
+
+    } catch (error) {
+        logger.error('❌ Wallet API Error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// 11. GET Token Risk Report
+api.get('/api/token/:contractAddress/risk', {
+    operationId: 'getTokenRisk',
+    tags: ['Tokens'],
+    summary: 'Mint/freeze authority, holder concentration, Token-2022 extension and liquidity risk findings',
+    params: { contractAddress: CONTRACT_ADDRESS_PARAM },
+    query: {
+        liquidity: { description: 'Include sell-side liquidity checks', schema: { type: 'boolean', default: true } }
+    },
+    responses: {
+        200: { description: 'Risk report', schema: envelope({ type: 'object' }, { metadata: requestMetadata }) },
+        404: errorResponse('The mint could not be read')
+    }
+}, async (req, res) => {
+    try {
+        const { contractAddress } = req.input.params;
+        const { liquidity } = req.input.query;
+
+        logger.debug('📡 Risk Request', { mint: contractAddress });
+
+        const result = await priceChecker.getTokenRisk(contractAddress, { liquidity });
+
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result,
+                metadata: {
+                    requestId: req.id
+                }
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                error: result.error,
+                message: 'Could not build risk report',
+                suggestion: result.suggestion,
+                contractAddress
+            });
+        }
+
+    } catch (error) {
+        logger.error('❌ Risk API Error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// 12. FX rate table for fiat quotes
+api.get('/api/fx', {
+    operationId: 'getFxRates',
+    tags: ['FX'],
+    summary: 'Fiat rates (units per USD) applied on top of USDC prices for fiat quotes',
+    responses: {
+        200: { description: 'Rate table', schema: envelope(ref('FxTable')) }
+    }
+}, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            base: 'USD',
+            via: 'USDC',
+            rates: priceChecker.fx.list()
+        }
+    });
+});
+
+api.put('/api/fx', {
+    operationId: 'setFxRates',
+    tags: ['FX'],
+    summary: 'Add or update fiat rates; persisted to the local FX table',
+    body: {
+        description: 'Rates by ISO 4217 code, e.g. { "rates": { "EUR": 0.92, "GBP": 0.79 } }',
+        schema: {
+            type: 'object',
+            required: ['rates'],
+            properties: {
+                rates: { type: 'object', additionalProperties: ref('FxRateInput'), example: { EUR: 0.92, GBP: 0.79 } }
+            }
+        }
+    },
+    responses: {
+        200: { description: 'Updated rate table', schema: envelope(ref('FxTable')) }
+    }
+}, async (req, res) => {
+    let rates;
+    try {
+        rates = await priceChecker.fx.setRates(req.input.body.rates);
+    } catch (error) {
+        return rejectInput(res, 'body', 'rates', error.message);
+    }
+
+    res.json({
+        success: true,
+        data: {
+            base: 'USD',
+            via: 'USDC',
+            rates
+        }
+    });
+});
+
+// 13. GET Convert - ExactIn (amount) or ExactOut (outAmount) between two tokens
+api.get('/api/convert', {
+    operationId: 'convert',
+    tags: ['Pricing'],
+    summary: 'Swap-style conversion: ExactIn with amount, or ExactOut with outAmount, including minimum received / maximum spent',
+    description: 'Give exactly one side: amount / amountRaw (ExactIn) or outAmount / outAmountRaw (ExactOut).',
+    query: {
+        from: { description: 'Input mint address or symbol', required: true, schema: { type: 'string', minLength: 1 } },
+        to: { description: 'Output mint address or symbol', required: true, schema: { type: 'string', minLength: 1 } },
+        amount: { description: 'Amount of from to spend (ExactIn)', schema: POSITIVE_NUMBER },
+        amountRaw: { description: 'Amount of from to spend in base units (ExactIn)', schema: ref('BaseUnits') },
+        outAmount: { description: 'Amount of to to receive (ExactOut)', schema: POSITIVE_NUMBER },
+        outAmountRaw: { description: 'Amount of to to receive in base units (ExactOut)', schema: ref('BaseUnits') },
+        slippageBps: {
+            description: 'Slippage tolerance in basis points',
+            schema: { type: 'integer', minimum: 0, maximum: 5000, default: config.get('pricing.slippageBps') }
+        },
+        route: { description: 'Include the route plan', schema: { type: 'boolean', default: true } }
+    },
+    responses: {
+        200: { description: 'Conversion', schema: envelope({ type: 'object' }, { metadata: requestMetadata }) },
+        404: errorResponse('No route between the two tokens')
+    }
+}, async (req, res) => {
+    try {
+        const { from, to, slippageBps, route } = req.input.query;
+
+        const parsedAmount = parseConvertAmount(req.input.query);
+        if (parsedAmount.error) {
+            return rejectInput(res, 'query', 'amount', parsedAmount.error);
+        }
+        const { swapMode } = parsedAmount;
+
+        logger.debug('📡 Convert Request', { from, to, swapMode });
+
+        const result = await priceChecker.convert(from, to, parsedAmount.amount, {
+            amountRaw: parsedAmount.amountRaw,
+            swapMode,
+            slippageBps,
+            includeRoute: route
+        });
+
+        if (result.success) {
+            res.json({
+                success: true,
+                data: result,
+                metadata: {
+                    requestId: req.id
+                }
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                error: result.error,
+                message: 'Could not convert',
+                suggestion: result.suggestion,
+                from,
+                to,
+                swapMode
+            });
+        }
+
+    } catch (error) {
+        logger.error('❌ Convert API Error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Exactly one side of a conversion: amount / amountRaw (ExactIn) or outAmount / outAmountRaw (ExactOut)
+function parseConvertAmount({ amount, amountRaw, outAmount, outAmountRaw }) {
+    const hasInput = [amount, amountRaw].some(value => value !== undefined);
+    const hasOutput = [outAmount, outAmountRaw].some(value => value !== undefined);
+    if (hasInput === hasOutput) {
+        return { error: 'Provide amount / amountRaw (ExactIn) or outAmount / outAmountRaw (ExactOut), not both' };
+    }
+
+    return {
+        swapMode: hasOutput ? 'ExactOut' : 'ExactIn',
+        ...(hasOutput
+            ? amountFromInput({ amount: outAmount, amountRaw: outAmountRaw })
+            : amountFromInput({ amount, amountRaw }))
+    };
+}
+
+// 14. GET Effective configuration (credentials redacted)
+api.get('/api/config', {
+    operationId: 'getConfig',
+    tags: ['Server'],
+    summary: 'Effective settings (defaults, config file, environment) with credentials redacted, and where each came from',
+    responses: {
+        200: { description: 'Settings by key', schema: envelope({ type: 'object' }) }
+    }
+}, (req, res) => {
+    res.json({
+        success: true,
+        data: config.describe()
+    });
+});
+
+// 15. GET Prometheus metrics (no API key or rate limit, so scrapes always work)
+api.get('/metrics', {
+    operationId: 'getMetrics',
+    tags: ['Server'],
+    auth: false,
+    security: [],
+    summary: 'Prometheus metrics: API routes, price methods and providers, upstream hosts (latency, errors, retries, 429s), caches and token list age',
+    responses: {
+        200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } }
+    }
+}, (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(metrics.render());
+});
+
+// 16. GET OpenAPI document, generated from the route definitions above
+api.get('/api/openapi.json', {
+    operationId: 'getOpenApiSpec',
+    tags: ['Server'],
+    auth: false,
+    security: [],
+    summary: 'OpenAPI 3 description of this API, for client generators',
+    responses: {
+        200: { description: 'OpenAPI document', schema: { type: 'object' } }
+    }
+}, (req, res) => {
+    res.json(api.spec());
+});
+
+// 17. GET Interactive API docs
+api.get('/api/docs', {
+    operationId: 'getApiDocs',
+    tags: ['Server'],
+    auth: false,
+    security: [],
+    summary: 'Interactive API documentation',
+    responses: {
+        200: { description: 'Swagger UI page for /api/openapi.json', content: { 'text/html': { schema: { type: 'string' } } } }
+    }
+}, (req, res) => {
+    res.type('html').send(docsPage('/api/openapi.json', 'Solana Token Price API'));
+});
+
+// 18. GET Usage report for the calling API key
+const USAGE_DAYS_QUERY = {
+    days: { description: 'UTC days of history, newest first', schema: { type: 'integer', minimum: 1, maximum: 31, default: 7 } }
+};
+
+api.get('/api/usage', {
+    operationId: 'getUsage',
+    tags: ['Keys'],
+    summary: 'Usage, daily quota and tier limits for the calling API key',
+    query: USAGE_DAYS_QUERY,
+    responses: {
+        200: { description: 'Usage report', schema: envelope(ref('ApiUsage')) }
+    }
+}, (req, res) => {
+    if (!req.apiKey) {
+        return res.status(401).json({
+            success: false,
+            error: 'API key required',
+            message: 'Usage is reported per API key; send one in the X-API-Key header or the apiKey query parameter'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: apiKeyStore.getUsage(req.apiKey.id, { days: req.input.query.days })
+    });
+});
+
+// 19. API key administration (admin tier, or the configured auth.adminKey)
+const KEY_ID_PARAM = { description: 'API key ID', schema: { type: 'string' } };
+const KEY_NOT_FOUND = errorResponse('API key not found');
+
+api.post('/api/admin/keys', {
+    operationId: 'createApiKey',
+    tags: ['Keys'],
+    admin: true,
+    summary: 'Issue an API key',
+    body: {
+        description: 'Key name and tier',
+        schema: {
+            type: 'object',
+            required: ['name', 'tier'],
+            additionalProperties: false,
+            properties: {
+                name: { type: 'string', minLength: 1, maxLength: 100, description: 'Who or what the key is for' },
+                tier: { type: 'string', description: 'Tier name, e.g. free or pro' }
+            }
+        }
+    },
+    responses: {
+        201: {
+            description: 'Key issued; the secret is only returned here',
+            schema: envelope(ref('ApiKey'), { message: { type: 'string' } })
+        }
+    }
+}, async (req, res) => {
+    let key;
+    try {
+        key = await apiKeyStore.createKey(req.input.body);
+    } catch (error) {
+        return rejectInput(res, 'body', '', error.message);
+    }
+
+    logger.info('🔑 API key issued', { keyId: key.id, tier: key.tier });
+
+    res.status(201).json({
+        success: true,
+        data: key,
+        message: 'Store the key now; only its hash is kept and it will not be shown again'
+    });
+});
+
+api.get('/api/admin/keys', {
+    operationId: 'listApiKeys',
+    tags: ['Keys'],
+    admin: true,
+    summary: 'List API keys (without secrets) and the configured tiers',
+    responses: {
+        200: {
+            description: 'Keys and tiers',
+            schema: envelope({
+                type: 'object',
+                properties: {
+                    keys: { type: 'array', items: ref('ApiKey') },
+                    count: { type: 'integer' },
+                    tiers: { type: 'array', items: ref('Tier') }
+                }
+            })
+        }
+    }
+}, (req, res) => {
+    const keys = apiKeyStore.listKeys();
+    res.json({
+        success: true,
+        data: {
+            keys,
+            count: keys.length,
+            tiers: apiKeyStore.listTiers()
+        }
+    });
+});
+
+api.delete('/api/admin/keys/:id', {
+    operationId: 'revokeApiKey',
+    tags: ['Keys'],
+    admin: true,
+    summary: 'Revoke an API key; it stays listed with its usage',
+    params: { id: KEY_ID_PARAM },
+    responses: {
+        200: { description: 'Revoked key', schema: envelope(ref('ApiKey')) },
+        404: KEY_NOT_FOUND
+    }
+}, async (req, res) => {
+    const key = await apiKeyStore.revokeKey(req.params.id);
+    if (!key) {
+        return res.status(404).json({
+            success: false,
+            error: 'API key not found',
+            id: req.params.id
+        });
+    }
+
+    logger.info('🔑 API key revoked', { keyId: key.id });
+    res.json({ success: true, data: key });
+});
+
+api.get('/api/admin/keys/:id/usage', {
+    operationId: 'getApiKeyUsage',
+    tags: ['Keys'],
+    admin: true,
+    summary: `Usage report for one API key (or ${ANONYMOUS_TIER} for all keyless requests)`,
+    params: { id: KEY_ID_PARAM },
+    query: USAGE_DAYS_QUERY,
+    responses: {
+        200: { description: 'Usage report', schema: envelope(ref('ApiUsage')) },
+        404: KEY_NOT_FOUND
+    }
+}, (req, res) => {
+    const { id } = req.params;
+    if (id !== ANONYMOUS_TIER && !apiKeyStore.getKey(id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'API key not found',
+            id
+        });
+    }
+
+    res.json({
+        success: true,
+        data: apiKeyStore.getUsage(id, { days: req.input.query.days })
+    });
+});
+
+// ================================
+// API v2
+// ================================
+
+// Every v2 route answers with one envelope:
+//   { success: true, data, meta }
+//   { success: false, error: { code, message, retryable, ... }, meta }
+// The HTTP status comes from the error code (see lib/errors.js), with
+// Retry-After whenever the error says when to retry. v1 routes above keep
+// their original shapes.
+const V2_PREFIX = '/api/v2';
+
+// Validation problems on these fields get their own code instead of INVALID_REQUEST
+const V2_FIELD_CODES = {
+    contractAddress: 'INVALID_MINT',
+    address: 'INVALID_MINT',
+    mints: 'INVALID_MINT',
+    amount: 'INVALID_AMOUNT',
+    amountRaw: 'INVALID_AMOUNT',
+    outAmount: 'INVALID_AMOUNT',
+    outAmountRaw: 'INVALID_AMOUNT',
+    quote: 'INVALID_QUOTE'
+};
+
+function v2Meta(req, res) {
+    return { apiVersion: '2', requestId: req.id, timestamp: new Date().toISOString(), ...res.locals.meta };
+}
+
+function sendV2Error(req, res, error) {
+    let typed = toPriceError(error);
+    if (typed.code === 'INTERNAL_ERROR') {
+        logger.error('❌ API v2 Error', { path: req.path, error: typed.message });
+        // Unexpected failures are logged, not echoed to the client
+        typed = new PriceError('INTERNAL_ERROR');
+    }
+    if (typed.retryAfterMs !== null && !res.get('Retry-After')) {
+        res.set('Retry-After', String(Math.ceil(typed.retryAfterMs / 1000)));
+    }
+    res.status(typed.status).json({ success: false, error: typed, meta: v2Meta(req, res) });
+}
+
+function v2ValidationError(problems) {
+    const codes = new Set(problems.map(problem => V2_FIELD_CODES[problem.path] || 'INVALID_REQUEST'));
+    return new PriceError(codes.size === 1 ? [...codes][0] : 'INVALID_REQUEST',
+        problems.map(problem => problem.message).join('; '), { details: problems });
+}
+
+// data of a successful checker result; a failed one is thrown as its typed error
+function resultData(result) {
+    if (!result.success) throw PriceError.fromResult(result);
+    const { success, ...data } = result;
+    return data;
+}
+
+async function checkQuoteV2(quote) {
+    const parsed = await parseQuoteInput(quote);
+    if (parsed.error) {
+        throw new PriceError('INVALID_QUOTE', parsed.error, { details: { quote } });
+    }
+    return parsed;
+}
+
+// The v2 twin of a v1 route: same parameters, body, tags and access rules
+// under /api/v2. The handler returns the response data (status and extra
+// meta via res.status / res.locals.meta) or throws. `responses` default to
+// the v1 route's success data; `errors` lists the codes the route answers
+// with besides validation and auth.
+function v2Route(method, v1Path, { summary, description, responses, errors = [] }, handler) {
+    const v1 = api.findRoute(method, v1Path);
+    const documented = {};
+    for (const [status, response] of Object.entries(responses || v1.responses)) {
+        const data = responses ? response.schema : response.schema?.properties?.data;
+        if (/^2/.test(status) && data) {
+            documented[status] = { description: response.description, schema: envelopeV2(data) };
+        }
+    }
+    for (const code of errors) {
+        const { status } = ERROR_CODES[code];
+        documented[status] = {
+            description: documented[status] ? `${documented[status].description}, ${code}` : code,
+            schema: ref('V2Error')
+        };
+    }
+
+    return api[method](v1Path.replace(/^\/api/, V2_PREFIX), {
+        operationId: `${v1.operationId}V2`,
+        tags: v1.tags,
+        summary: summary || v1.summary,
+        description: description ?? v1.description,
+        params: v1.params,
+        query: v1.query,
+        body: v1.body,
+        admin: v1.admin,
+        responses: documented,
+        errorSchema: ref('V2Error'),
+        onInvalid: (req, res, problems) => sendV2Error(req, res, v2ValidationError(problems)),
+        sendError: sendV2Error
+    }, async (req, res) => {
+        try {
+            const data = await handler(req, res);
+            // Streaming handlers write their own response
+            if (res.headersSent) return;
+            res.json({ success: true, data, meta: v2Meta(req, res) });
+        } catch (error) {
+            if (res.headersSent) return res.end();
+            sendV2Error(req, res, error);
+        }
+    });
+}
+
+const PRICING_ERRORS = ['UNKNOWN_TOKEN', 'NO_LIQUIDITY', 'UPSTREAM_UNAVAILABLE', 'UPSTREAM_RATE_LIMITED', 'UPSTREAM_TIMEOUT'];
+
+// Price (or consensus price) for both v2 price routes
+async function priceV2({ contractAddress, amount, amountRaw, quote, includeRisk, includeRoute, consensus, tolerancePct, aggregation }) {
+    const parsedQuote = await checkQuoteV2(quote);
+    const size = amountFromInput({ amount: amount ?? 1, amountRaw });
+
+    logger.debug('📡 API v2 Price Request', { mint: contractAddress, amount: size.amount, amountRaw: size.amountRaw });
+
+    const priceOptions = {
+        amountRaw: size.amountRaw,
+        quote: parsedQuote.quote,
+        includeRisk,
+        includeRoute
+    };
+    return resultData(consensus
+        ? await priceChecker.getConsensusPrice(contractAddress, size.amount, { ...priceOptions, tolerancePct, aggregation })
+        : await getCoalescedPrice(contractAddress, size.amount, priceOptions));
+}
+
+function batchItemV2({ index, contractAddress, latencyMs, result }) {
+    if (result.success) {
+        const { success, ...data } = result;
+        return { index, contractAddress, success: true, latencyMs, data };
+    }
+    return { index, contractAddress, success: false, latencyMs, error: PriceError.fromResult(result) };
+}
+
+// 20. v2 Pricing
+v2Route('get', '/api/price/:contractAddress', {
+    responses: { 200: { description: 'Token price', schema: ref('V2Price') } },
+    errors: PRICING_ERRORS
+}, req => {
+    const { risk, route, ...query } = req.input.query;
+    return priceV2({ contractAddress: req.input.params.contractAddress, ...query, includeRisk: risk, includeRoute: route });
+});
+
+v2Route('post', '/api/price', {
+    responses: { 200: { description: 'Token price (same data as the GET route)', schema: ref('V2Price') } },
+    errors: PRICING_ERRORS
+}, req => priceV2(req.input.body));
+
+v2Route('post', '/api/price/batch', {
+    description: 'Every token gets its own success flag and either data or a typed error; the batch itself only fails ' +
+        'for invalid input. Streams emit "result" events (one batch item each) and then one "summary" event.',
+    responses: {
+        200: {
+            description: 'Per-token results (in request order) and a summary',
+            schema: {
+                type: 'object',
+                properties: {
+                    results: { type: 'array', items: ref('V2BatchItem') },
+                    summary: ref('BatchSummary')
+                }
+            }
+        }
+    }
+}, async (req, res) => {
+    const { tokens, quote, includeRoute = true } = req.input.body;
+
+    if (tokens.length > req.apiTier.batchMaxTokens) {
+        const message = `tokens must have at most ${req.apiTier.batchMaxTokens} items for the ${req.apiTier.name} tier`;
+        throw new PriceError('INVALID_REQUEST', message, { details: [{ in: 'body', path: 'tokens', message }] });
+    }
+
+    const parsedQuote = await checkQuoteV2(quote);
+    const streamMode = getBatchStreamMode(req);
+    logger.debug('📡 API v2 Batch Request', { tokens: tokens.length, stream: streamMode || undefined });
+
+    const emit = openBatchStream(res, streamMode);
+    const { entries, summary } = await priceBatch(tokens, parsedQuote, includeRoute, entry => emit('result', batchItemV2(entry)));
+    res.locals.meta = { processingTimeMs: summary.durationMs, concurrency: BATCH_CONCURRENCY };
+
+    if (streamMode) {
+        emit('summary', { summary, meta: v2Meta(req, res) });
+        return res.end();
+    }
+    return { results: entries.map(batchItemV2), summary };
+});
+
+v2Route('get', '/api/convert', { errors: PRICING_ERRORS }, async req => {
+    const { from, to, slippageBps, route } = req.input.query;
+    const parsedAmount = parseConvertAmount(req.input.query);
+    if (parsedAmount.error) {
+        throw new PriceError('INVALID_AMOUNT', parsedAmount.error);
+    }
+
+    return resultData(await priceChecker.convert(from, to, parsedAmount.amount, {
+        amountRaw: parsedAmount.amountRaw,
+        swapMode: parsedAmount.swapMode,
+        slippageBps,
+        includeRoute: route
+    }));
+});
+
+// 21. v2 Tokens and history
+v2Route('get', '/api/search/:query', {}, async req => {
+    const { query } = req.input.params;
+    const results = await priceChecker.searchTokens(query, Infinity);
+    const limited = results.slice(0, req.input.query.limit);
+    return { query, results: limited, count: limited.length, totalFound: results.length };
+});
+
+v2Route('get', '/api/depth/:contractAddress', { errors: PRICING_ERRORS }, async req => {
+    const { sizes = [], unit, direction } = req.input.query;
+    return resultData(await priceChecker.getLiquidityDepth(req.input.params.contractAddress, { sizes, unit, direction }));
+});
+
+v2Route('get', '/api/history/:contractAddress', {}, req => {
+    const { interval, from, to } = req.input.query;
+    const range = parseHistoryRange(interval, from, to);
+    if (range.error) {
+        throw new PriceError('INVALID_REQUEST', range.error, { details: [{ in: 'query', path: 'from', message: range.error }] });
+    }
+    return getHistoryCandles(req.input.params.contractAddress, interval, range);
+});
+
+v2Route('get', '/api/wallet/:address/value', { errors: ['UPSTREAM_UNAVAILABLE', 'UPSTREAM_TIMEOUT'] }, async req => {
+    const { minValueUSD } = req.input.query;
+    return resultData(await priceChecker.getWalletValue(req.input.params.address, { minValueUSD, concurrency: BATCH_CONCURRENCY }));
+});
+
+v2Route('get', '/api/token/:contractAddress/risk', {
+    errors: ['INVALID_MINT', 'UNKNOWN_TOKEN', 'UPSTREAM_UNAVAILABLE', 'UPSTREAM_TIMEOUT']
+}, async req => resultData(await priceChecker.getTokenRisk(req.input.params.contractAddress, { liquidity: req.input.query.liquidity })));
+
+// 22. v2 Alerts and FX
+const alertOrNotFound = id => {
+    const rule = alertManager.getRule(id);
+    if (!rule) throw new PriceError('NOT_FOUND', 'Alert rule not found', { details: { id } });
+    return rule;
+};
+
+v2Route('post', '/api/alerts', {}, async (req, res) => {
+    let rule;
+    try {
+        rule = await alertManager.createRule(req.input.body);
+    } catch (error) {
+        throw new PriceError('INVALID_REQUEST', error.message);
+    }
+
+    logger.info('🔔 Alert rule created', { ruleId: rule.id, type: rule.type, mint: rule.mint });
+    res.status(201);
+    return rule;
+});
+
+v2Route('get', '/api/alerts', {}, () => {
+    const rules = alertManager.listRules();
+    return { rules, count: rules.length };
+});
+
+v2Route('get', '/api/alerts/:id', { errors: ['NOT_FOUND'] }, req => {
+    const rule = alertOrNotFound(req.params.id);
+    return { rule, deliveries: alertManager.getDeliveries(rule.id) };
+});
+
+v2Route('patch', '/api/alerts/:id', { errors: ['NOT_FOUND'] }, async req => {
+    alertOrNotFound(req.params.id);
+    return alertManager.setRuleEnabled(req.params.id, req.input.body.enabled);
+});
+
+v2Route('delete', '/api/alerts/:id', { errors: ['NOT_FOUND'] }, async req => {
+    alertOrNotFound(req.params.id);
+    await alertManager.deleteRule(req.params.id);
+    return { id: req.params.id, deleted: true };
+});
+
+v2Route('get', '/api/alerts/:id/deliveries', { errors: ['NOT_FOUND'] }, req => {
+    alertOrNotFound(req.params.id);
+    return { deliveries: alertManager.getDeliveries(req.params.id, req.input.query.limit) };
+});
+
+v2Route('get', '/api/fx', {}, () => ({ base: 'USD', via: 'USDC', rates: priceChecker.fx.list() }));
+
+v2Route('put', '/api/fx', {}, async req => {
+    try {
+        return { base: 'USD', via: 'USDC', rates: await priceChecker.fx.setRates(req.input.body.rates) };
+    } catch (error) {
+        throw new PriceError('INVALID_REQUEST', error.message, { details: [{ in: 'body', path: 'rates', message: error.message }] });
+    }
+});
+
+// 23. v2 Server and keys
+v2Route('get', '/api/status', {}, () => getServerStatus());
+
+v2Route('get', '/api/config', {}, () => config.describe());
+
+v2Route('get', '/api/usage', {}, req => {
+    if (!req.apiKey) {
+        throw new PriceError('UNAUTHORIZED', 'Usage is reported per API key; send one in the X-API-Key header or the apiKey query parameter');
+    }
+    return apiKeyStore.getUsage(req.apiKey.id, { days: req.input.query.days });
+});
+
+v2Route('post', '/api/admin/keys', {}, async (req, res) => {
+    let key;
+    try {
+        key = await apiKeyStore.createKey(req.input.body);
+    } catch (error) {
+        throw new PriceError('INVALID_REQUEST', error.message);
+    }
+
+    logger.info('🔑 API key issued', { keyId: key.id, tier: key.tier });
+    res.status(201);
+    return key;
+});
+
+v2Route('get', '/api/admin/keys', {}, () => {
+    const keys = apiKeyStore.listKeys();
+    return { keys, count: keys.length, tiers: apiKeyStore.listTiers() };
+});
+
+v2Route('delete', '/api/admin/keys/:id', { errors: ['NOT_FOUND'] }, async req => {
+    const key = await apiKeyStore.revokeKey(req.params.id);
+    if (!key) throw new PriceError('NOT_FOUND', 'API key not found', { details: { id: req.params.id } });
+
+    logger.info('🔑 API key revoked', { keyId: key.id });
+    return key;
+});
+
+v2Route('get', '/api/admin/keys/:id/usage', { errors: ['NOT_FOUND'] }, req => {
+    const { id } = req.params;
+    if (id !== ANONYMOUS_TIER && !apiKeyStore.getKey(id)) {
+        throw new PriceError('NOT_FOUND', 'API key not found', { details: { id } });
+    }
+    return apiKeyStore.getUsage(id, { days: req.input.query.days });
+});
+
+// Unknown v2 paths get the v2 envelope too
+app.use(V2_PREFIX, (req, res) => {
+    sendV2Error(req, res, new PriceError('NOT_FOUND', `The endpoint ${req.method} ${req.baseUrl}${req.path} does not exist`));
+});
+
+// Root endpoint with API documentation
+app.get('/', (req, res) => {
+    res.json({
+        message: 'Solana Token Price API',
+        version: '1.0.0',
+        documentation: {
+            openapi: '/api/openapi.json',
+            docs: '/api/docs',
+            v2: {
+                basePath: V2_PREFIX,
+                envelope: '{ success, data, meta } or { success: false, error: { code, message, retryable, retryAfterMs?, details? }, meta }',
+                errorCodes: Object.fromEntries(Object.entries(ERROR_CODES).map(([code, { status }]) => [code, status]))
+            },
+            endpoints: api.describe()
+        },
+        examples: {
+            commonTokens: {
+                WIF: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm',
+                PONKE: '5z3EqYQo9HiCEs3R84RCDMu2n7anpDMxRhdK8PSWmrRC',
+                BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
+                JUP: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
+                SOL: 'So11111111111111111111111111111111111111112',
+                USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+            }
+        }
+    });
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+    if (req.path.startsWith(`${V2_PREFIX}/`)) {
+        return sendV2Error(req, res, error.type === 'entity.parse.failed'
+            ? new PriceError('INVALID_REQUEST', 'The request body is not valid JSON')
+            : error);
+    }
+    logger.error('❌ Unhandled Error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'An unexpected error occurred'
+    });
+});
+
+// 404 handler
+app.use((req, res) => {
+    res.status(404).json({
+        success: false,
+        error: 'Endpoint not found',
+        message: `The endpoint ${req.method} ${req.path} does not exist`,
+        availableEndpoints: ['GET /', ...api.listEndpoints()]
+    });
+});
+
+// Start server
+async function startServer() {
+    try {
+        await initializeServer();
+        
+        const server = app.listen(PORT, () => {
+            logger.info(`🚀 Solana Token Price API Server running on port ${PORT}`);
+            logger.info(`📡 API Base URL: http://localhost:${PORT}`);
+            logger.info(`📚 Documentation: http://localhost:${PORT}`);
+            logger.info(`❤️  Health Check: http://localhost:${PORT}/api/status`);
+            logger.info(`📶 Price Stream: ws://localhost:${PORT}/api/stream`);
+            logger.info('📋 Ready for Postman testing!');
+        });
+
+        attachWebSocketServer(server, priceStream, {
+            validateMint: isValidSolanaAddress,
+            authorize: req => apiKeyAuth.authorizeUpgrade(req, 'WS /api/stream')
         });
     } catch (error) {
-        console.error('❌ Failed to start server:', error.message);
+        logger.error('❌ Failed to start server', { error: error.message });
         process.exit(1);
     }
 }
 
 // Graceful shutdown
+// Pending API key usage is written before exiting
 process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down server gracefully...');
-    process.exit(0);
+    logger.info('🛑 Shutting down server gracefully...');
+    apiKeyStore.close().finally(() => process.exit(0));
 });
 
 process.on('SIGTERM', () => {
-    console.log('\n🛑 Server terminated');
-    process.exit(0);
+    logger.info('🛑 Server terminated');
+    apiKeyStore.close().finally(() => process.exit(0));
 });
 
 // Start the server